@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * 数据迁移脚本：回填新闻发布时间
+ * 旧版本把入库时间写入 news.published_at（published_at_source = 'ingested'），
+ * 本脚本重新抓取文章页面的发布时间元数据，找不到时标记为 unresolved 并保留原值
+ *
+ * 用法：node backfill-published-at.js [每批数量]
+ */
+
+const DatabaseService = require('./services/DatabaseService');
+const NewsService = require('./services/NewsService');
+
+async function backfillPublishedAt(batchSize = 100) {
+  try {
+    console.log('开始回填新闻发布时间...');
+
+    // 初始化数据库连接（会自动补充 published_at_source 字段）
+    await DatabaseService.init();
+
+    let totalUpdated = 0;
+    let totalUnresolved = 0;
+
+    while (true) {
+      const result = await NewsService.backfillPublishedAt({ limit: batchSize });
+
+      totalUpdated += result.updated;
+      totalUnresolved += result.unresolved;
+      console.log(`已处理 ${result.processed} 条：回填 ${result.updated} 条，无法确定 ${result.unresolved} 条`);
+
+      if (result.processed < batchSize) {
+        break;
+      }
+    }
+
+    console.log(`✅ 回填完成，共回填 ${totalUpdated} 条，${totalUnresolved} 条保留入库时间`);
+
+  } catch (error) {
+    console.error('❌ 回填发布时间失败:', error);
+    process.exit(1);
+  } finally {
+    DatabaseService.close();
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  backfillPublishedAt(parseInt(process.argv[2]) || 100);
+}
+
+module.exports = backfillPublishedAt;
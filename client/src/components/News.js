@@ -93,7 +93,8 @@ const News = () => {
     {
       onSuccess: (response) => {
         // 这里可以设置搜索结果到状态中
-        message.success(`找到 ${response.data.length} 条相关新闻`);
+        const { results, nextCursor } = response.data;
+        message.success(`找到 ${results.length}${nextCursor ? '+' : ''} 条相关新闻`);
       },
       onError: () => {
         message.error('搜索失败，请重试');
@@ -6,6 +6,14 @@ import axios from 'axios';
 const { Title, Text } = Typography;
 const { TabPane } = Tabs;
 
+const LOG_STATUS = {
+  openai_call: { color: 'green', text: '成功' },
+  openai_error: { color: 'red', text: '错误' },
+  openai_validation_error: { color: 'orange', text: '校验失败' }
+};
+
+const getLogStatus = (type) => LOG_STATUS[type] || LOG_STATUS.openai_error;
+
 const OpenAILogger = () => {
   const [logs, setLogs] = useState([]);
   const [analysis, setAnalysis] = useState(null);
@@ -80,8 +88,8 @@ const OpenAILogger = () => {
       key: 'type',
       width: 100,
       render: (type) => (
-        <Tag color={type === 'openai_call' ? 'green' : 'red'}>
-          {type === 'openai_call' ? '成功' : '错误'}
+        <Tag color={getLogStatus(type).color}>
+          {getLogStatus(type).text}
         </Tag>
       ),
     },
@@ -132,7 +140,7 @@ const OpenAILogger = () => {
           <h2>OpenAI日志详情 - ${record.operation}</h2>
           <div class="section">
             <div class="title">时间: ${new Date(record.timestamp).toLocaleString()}</div>
-            <div class="title">状态: ${record.type === 'openai_call' ? '成功' : '错误'}</div>
+            <div class="title">状态: ${getLogStatus(record.type).text}</div>
           </div>
           <div class="section">
             <div class="title">输入:</div>
@@ -275,6 +283,17 @@ const OpenAILogger = () => {
                   ))}
                 </Card>
               </Col>
+              {analysis.validationFailures && Object.keys(analysis.validationFailures).length > 0 && (
+                <Col span={24}>
+                  <Card title="输出校验失败">
+                    {Object.entries(analysis.validationFailures).map(([operation, count]) => (
+                      <div key={operation}>
+                        <Text type="warning">{operation}: {count}次</Text>
+                      </div>
+                    ))}
+                  </Card>
+                </Col>
+              )}
               <Col span={24}>
                 <Card title="模型使用情况">
                   <Row gutter={16}>
@@ -12,7 +12,10 @@ import {
   Modal,
   Tag,
   Select,
-  Popconfirm
+  Popconfirm,
+  Switch,
+  Tooltip,
+  InputNumber
 } from 'antd';
 import {
   SaveOutlined,
@@ -20,11 +23,14 @@ import {
   PlusOutlined,
   EditOutlined,
   KeyOutlined,
-  ApiOutlined
+  ApiOutlined,
+  ReloadOutlined,
+  DownloadOutlined
 } from '@ant-design/icons';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
+import dayjs from 'dayjs';
 
 const { Title, Text } = Typography;
 const { TextArea } = Input;
@@ -35,11 +41,13 @@ const Settings = () => {
   const [configForm] = Form.useForm();
   const [passwordForm] = Form.useForm();
   const [industryForm] = Form.useForm();
+  const [retentionForm] = Form.useForm();
   const [isIndustryModalVisible, setIsIndustryModalVisible] = useState(false);
   const [editingIndustry, setEditingIndustry] = useState(null);
   const [testingOpenAI, setTestingOpenAI] = useState(false);
   const { user, changePassword } = useAuth();
   const queryClient = useQueryClient();
+  const isAdmin = user?.role === 'admin';
 
   // 获取配置
   const { data: config = {}, isLoading: configLoading } = useQuery(
@@ -53,6 +61,30 @@ const Settings = () => {
     () => axios.get('/api/config/industries').then(res => res.data).catch(() => [])
   );
 
+  // 获取新闻源健康度
+  const { data: sourceHealth = [], isLoading: sourceHealthLoading } = useQuery(
+    'news-source-health',
+    () => axios.get('/api/news/sources/health').then(res => res.data),
+    { enabled: isAdmin }
+  );
+
+  // 获取新闻保留策略
+  useQuery(
+    'news-retention-policy',
+    () => axios.get('/api/news/archive/policy').then(res => res.data),
+    {
+      enabled: isAdmin,
+      onSuccess: (policy) => retentionForm.setFieldsValue(policy)
+    }
+  );
+
+  // 获取新闻存档月份
+  const { data: archiveMonths = [], isLoading: archiveMonthsLoading } = useQuery(
+    'news-archive-months',
+    () => axios.get('/api/news/archive').then(res => res.data),
+    { enabled: isAdmin }
+  );
+
   // 保存配置
   const saveConfigMutation = useMutation(
     (data) => axios.post('/api/config/batch', { configs: data }),
@@ -113,6 +145,80 @@ const Settings = () => {
     }
   );
 
+  // 启用/禁用新闻源
+  const toggleSourceMutation = useMutation(
+    ({ id, enabled }) => axios.put(`/api/news/sources/${id}/enabled`, { enabled }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('news-source-health');
+      },
+      onError: (error) => {
+        message.error(error.response?.data?.error || '操作失败');
+      }
+    }
+  );
+
+  // 试抓取新闻源
+  const testSourceMutation = useMutation(
+    (id) => axios.post(`/api/news/sources/${id}/test`),
+    {
+      onSuccess: (response) => {
+        const result = response.data;
+        if (result.success) {
+          message.success(`抓取成功：${result.itemCount} 条，耗时 ${result.latencyMs}ms`);
+        } else {
+          message.error(`抓取失败：${result.error}`);
+        }
+      },
+      onError: (error) => {
+        message.error(error.response?.data?.error || '测试失败');
+      }
+    }
+  );
+
+  // 解除新闻源退避
+  const resetSourceMutation = useMutation(
+    (id) => axios.post(`/api/news/sources/${id}/reset`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('news-source-health');
+        message.success('已解除退避，下次更新时重新抓取');
+      },
+      onError: (error) => {
+        message.error(error.response?.data?.error || '操作失败');
+      }
+    }
+  );
+
+  // 保存新闻保留策略
+  const saveRetentionMutation = useMutation(
+    (policy) => axios.put('/api/news/archive/policy', policy),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('news-retention-policy');
+        message.success('保留策略已保存');
+      },
+      onError: (error) => {
+        message.error(error.response?.data?.error || '保存失败');
+      }
+    }
+  );
+
+  // 立即执行保留策略
+  const applyRetentionMutation = useMutation(
+    () => axios.post('/api/news/archive/apply'),
+    {
+      onSuccess: (response) => {
+        const { compacted, deleted } = response.data;
+        queryClient.invalidateQueries('news-archive-months');
+        message.success(`已压缩 ${compacted} 条，删除 ${deleted} 条`);
+      },
+      onError: (error) => {
+        message.error(error.response?.data?.error || '执行失败');
+      }
+    }
+  );
+
   // 测试OpenAI API
   const testOpenAIMutation = useMutation(
     (data) => axios.post('/api/config/test-openai', data),
@@ -195,6 +301,67 @@ const Settings = () => {
     });
   };
 
+  const handleSaveRetention = () => {
+    retentionForm.validateFields().then((values) => {
+      saveRetentionMutation.mutate({
+        ...values,
+        purgeAfterDays: values.purgeAfterDays || null
+      });
+    });
+  };
+
+  // 下载某月新闻存档（需要携带认证信息，使用 blob 方式下载）
+  const handleExportMonth = async (month) => {
+    try {
+      const response = await axios.get(`/api/news/archive/${month}/export`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `news-${month}.jsonl.gz`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      message.error('导出失败');
+    }
+  };
+
+  const archiveColumns = [
+    {
+      title: '月份',
+      dataIndex: 'month',
+      key: 'month'
+    },
+    {
+      title: '新闻数',
+      dataIndex: 'total',
+      key: 'total'
+    },
+    {
+      title: '已压缩',
+      dataIndex: 'compacted',
+      key: 'compacted'
+    },
+    {
+      title: '归档文件',
+      dataIndex: 'archived',
+      key: 'archived',
+      render: (archived) => archived ? <Tag color="blue">已归档</Tag> : <Text type="secondary">-</Text>
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      render: (_, record) => (
+        <Button
+          type="link"
+          icon={<DownloadOutlined />}
+          onClick={() => handleExportMonth(record.month)}
+        >
+          导出
+        </Button>
+      )
+    }
+  ];
+
   const industryColumns = [
     {
       title: '行业名称',
@@ -253,6 +420,98 @@ const Settings = () => {
     }
   ];
 
+  const sourceHealthColumns = [
+    {
+      title: '新闻源',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => (
+        <Tooltip title={record.url}>
+          <Text>{name}</Text>
+        </Tooltip>
+      )
+    },
+    {
+      title: '类型',
+      dataIndex: 'type',
+      key: 'type',
+      render: (type) => <Tag>{type.toUpperCase()}</Tag>
+    },
+    {
+      title: '成功率(7天)',
+      dataIndex: 'success_rate',
+      key: 'success_rate',
+      render: (rate, record) => {
+        if (rate === null) return <Text type="secondary">暂无数据</Text>;
+        const color = rate >= 0.9 ? 'success' : rate >= 0.5 ? 'warning' : 'error';
+        return (
+          <Tooltip title={`${record.success_count}/${record.total_fetches} 次成功`}>
+            <Tag color={color}>{Math.round(rate * 100)}%</Tag>
+          </Tooltip>
+        );
+      }
+    },
+    {
+      title: '最近成功抓取',
+      dataIndex: 'last_success_at',
+      key: 'last_success_at',
+      render: (date) => date
+        ? dayjs(date).format('MM-DD HH:mm')
+        : <Text type="secondary">从未成功</Text>
+    },
+    {
+      title: '状态',
+      key: 'status',
+      render: (_, record) => {
+        if (!record.enabled) return <Tag>已禁用</Tag>;
+        if (record.quarantined) {
+          return (
+            <Tooltip title={`${record.last_error || ''}，${dayjs(record.backoff_until).format('MM-DD HH:mm')} 后重试`}>
+              <Tag color="error">退避中</Tag>
+            </Tooltip>
+          );
+        }
+        if (record.consecutive_failures > 0) {
+          return (
+            <Tooltip title={record.last_error}>
+              <Tag color="warning">连续失败 {record.consecutive_failures} 次</Tag>
+            </Tooltip>
+          );
+        }
+        return <Tag color="success">正常</Tag>;
+      }
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Switch
+            size="small"
+            checked={!!record.enabled}
+            onChange={(checked) => toggleSourceMutation.mutate({ id: record.id, enabled: checked })}
+          />
+          <Button
+            type="link"
+            icon={<ApiOutlined />}
+            onClick={() => testSourceMutation.mutate(record.id)}
+          >
+            测试
+          </Button>
+          {record.quarantined && (
+            <Button
+              type="link"
+              icon={<ReloadOutlined />}
+              onClick={() => resetSourceMutation.mutate(record.id)}
+            >
+              重置
+            </Button>
+          )}
+        </Space>
+      )
+    }
+  ];
+
   return (
     <div>
       <div className="page-header">
@@ -418,12 +677,98 @@ const Settings = () => {
         />
       </Card>
 
+      {/* 新闻源健康度（仅管理员） */}
+      {isAdmin && (
+        <Card
+          title="新闻源状态"
+          extra={
+            <Button
+              icon={<ReloadOutlined />}
+              onClick={() => queryClient.invalidateQueries('news-source-health')}
+            >
+              刷新
+            </Button>
+          }
+          style={{ marginBottom: '24px' }}
+        >
+          <Table
+            columns={sourceHealthColumns}
+            dataSource={sourceHealth}
+            rowKey="id"
+            loading={sourceHealthLoading}
+            pagination={false}
+            size="small"
+            locale={{ emptyText: '暂无新闻源' }}
+          />
+        </Card>
+      )}
+
+      {/* 新闻保留策略（仅管理员） */}
+      {isAdmin && (
+        <Card
+          title="新闻保留策略"
+          extra={
+            <Popconfirm
+              title="确定立即执行保留策略吗？"
+              onConfirm={() => applyRetentionMutation.mutate()}
+            >
+              <Button loading={applyRetentionMutation.isLoading}>
+                立即执行
+              </Button>
+            </Popconfirm>
+          }
+          style={{ marginBottom: '24px' }}
+        >
+          <Form form={retentionForm} layout="inline" style={{ marginBottom: '16px' }}>
+            <Form.Item
+              name="retentionDays"
+              label="保留天数"
+              rules={[{ required: true, message: '请输入保留天数' }]}
+            >
+              <InputNumber min={1} />
+            </Form.Item>
+            <Form.Item name="mode" label="超期处理">
+              <Select style={{ width: 160 }}>
+                <Option value="compact">压缩（删除正文）</Option>
+                <Option value="delete">删除</Option>
+              </Select>
+            </Form.Item>
+            <Form.Item
+              name="purgeAfterDays"
+              label="归档删除天数"
+              tooltip="压缩模式下，超过该天数的新闻按月导出归档后从数据库删除，留空表示永久保留"
+            >
+              <InputNumber min={2} placeholder="永久保留" />
+            </Form.Item>
+            <Form.Item>
+              <Button
+                type="primary"
+                icon={<SaveOutlined />}
+                loading={saveRetentionMutation.isLoading}
+                onClick={handleSaveRetention}
+              >
+                保存
+              </Button>
+            </Form.Item>
+          </Form>
+          <Table
+            columns={archiveColumns}
+            dataSource={archiveMonths}
+            rowKey="month"
+            loading={archiveMonthsLoading}
+            pagination={{ pageSize: 6 }}
+            size="small"
+            locale={{ emptyText: '暂无新闻数据' }}
+          />
+        </Card>
+      )}
+
       {/* 账户安全 */}
       <Card title="账户安全">
         <div style={{ marginBottom: '16px' }}>
           <Text strong>当前账户：</Text>
           <Text>{user?.email}</Text>
-          {user?.role === 'admin' && (
+          {isAdmin && (
             <Tag color="blue" style={{ marginLeft: '8px' }}>管理员</Tag>
           )}
         </div>
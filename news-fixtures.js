@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * 新闻抓取录制/回放脚本
+ * record：真实请求新闻源、文章页面、News API 和 OpenAI，把响应保存到夹具目录
+ * replay：只读取夹具目录中的响应、不访问网络，完整执行一次新闻更新（相关性过滤、摘要、情感分析、入库）并生成日报，可在CI中运行
+ *
+ * 用法：node news-fixtures.js <record|replay> [夹具目录]
+ * 录制和回放都应使用全新的数据库（例如 DB_PATH=/tmp/replay.db），否则已入库的新闻会被当作重复跳过
+ */
+
+const mode = process.argv[2];
+if (!['record', 'replay'].includes(mode)) {
+  console.error('用法: node news-fixtures.js <record|replay> [夹具目录]');
+  process.exit(1);
+}
+
+// 必须在加载服务之前设置，FixtureRecorder 在加载时安装 axios 拦截器
+process.env.FIXTURE_MODE = mode;
+if (process.argv[3]) {
+  process.env.FIXTURE_DIR = process.argv[3];
+}
+
+const DatabaseService = require('./services/DatabaseService');
+const NewsPipelineService = require('./services/NewsPipelineService');
+const ReportService = require('./services/ReportService');
+
+async function runWithFixtures() {
+  let failed = false;
+
+  try {
+    await DatabaseService.init();
+
+    const run = await NewsPipelineService.run({ triggeredBy: mode });
+    console.log(`新闻更新${run.status === 'completed' ? '完成' : '未完成'}: ${JSON.stringify(run.stats)}`);
+    failed = run.status !== 'completed';
+
+    const report = await ReportService.generateDailyReport();
+    console.log(`日报生成完成：新闻 ${report.totalNews} 条，组合相关 ${report.portfolioNews.length} 条，市场情绪 ${report.marketSentiment.toFixed(3)}`);
+
+    console.log(`✅ ${mode === 'record' ? '录制' : '回放'}完成`);
+  } catch (error) {
+    console.error(`❌ ${mode === 'record' ? '录制' : '回放'}失败:`, error);
+    failed = true;
+  } finally {
+    DatabaseService.close();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runWithFixtures();
+}
+
+module.exports = runWithFixtures;
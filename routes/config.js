@@ -1,6 +1,8 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const DatabaseService = require('../services/DatabaseService');
+const LLMService = require('../services/LLMService');
+const PromptService = require('../services/PromptService');
 
 const router = express.Router();
 
@@ -28,6 +30,129 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// 获取大模型后端和各任务的模型回退链
+router.get('/llm', authenticateToken, async (req, res) => {
+  try {
+    const config = await LLMService.getConfig();
+    res.json(config);
+  } catch (error) {
+    console.error('Get LLM config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新大模型配置
+router.put('/llm', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { providers, tasks } = req.body;
+
+    if (providers !== undefined && (!providers || typeof providers !== 'object' || Array.isArray(providers))) {
+      return res.status(400).json({ error: 'providers must be an object' });
+    }
+    if (tasks !== undefined && (!tasks || typeof tasks !== 'object' || Array.isArray(tasks))) {
+      return res.status(400).json({ error: 'tasks must be an object' });
+    }
+
+    const config = await LLMService.setConfig({ providers, tasks });
+    res.json(config);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update LLM config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取提示词列表（当前启用的版本和最新版本）
+router.get('/prompts', authenticateToken, async (req, res) => {
+  try {
+    const prompts = await PromptService.listPrompts();
+    res.json({ prompts });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取提示词的全部版本
+router.get('/prompts/:name', authenticateToken, async (req, res) => {
+  try {
+    const prompt = await PromptService.getVersions(req.params.name);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json(prompt);
+  } catch (error) {
+    console.error('Get prompt versions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 保存提示词新版本并启用（管理员）
+router.post('/prompts/:name', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { system, user, note } = req.body;
+
+    if (system === undefined && user === undefined) {
+      return res.status(400).json({ error: 'system or user template required' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const version = await PromptService.createVersion(req.params.name, { system, user, note }, req.user.id);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.status(201).json(version);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create prompt version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 回滚到指定版本（管理员）
+router.post('/prompts/:name/rollback', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const version = Number(req.body.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const activated = await PromptService.activateVersion(req.params.name, version);
+
+    if (!activated) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    res.json(await PromptService.getVersions(req.params.name));
+  } catch (error) {
+    console.error('Rollback prompt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 获取单个配置
 router.get('/:key', authenticateToken, async (req, res) => {
   try {
@@ -202,33 +327,19 @@ router.post('/batch', authenticateToken, async (req, res) => {
 // 测试OpenAI API连接
 router.post('/test-openai', authenticateToken, async (req, res) => {
   try {
-    const { apiKey, model } = req.body;
-
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+    // baseUrl 由请求指定，服务端会向该地址发起请求，仅管理员可用
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { OpenAI } = require('openai');
-    
-    // 配置OpenAI客户端
-    const config = {
-      apiKey: apiKey,
-      timeout: 10000 // 10秒超时
-    };
+    const { apiKey, model, baseUrl } = req.body;
 
-    // 如果设置了代理，使用代理配置
-    if (process.env.HTTP_PROXY || process.env.HTTPS_PROXY) {
-      try {
-        const { HttpsProxyAgent } = require('https-proxy-agent');
-        const proxyUrl = process.env.HTTPS_PROXY || process.env.HTTP_PROXY;
-        config.httpAgent = new HttpsProxyAgent(proxyUrl);
-        console.log(`Testing OpenAI with proxy: ${proxyUrl}`);
-      } catch (error) {
-        console.warn('Failed to configure proxy for test:', error.message);
-      }
+    // 本地 OpenAI 兼容服务可以不提供密钥
+    if (!apiKey && !baseUrl) {
+      return res.status(400).json({ error: 'API key is required' });
     }
 
-    const openai = new OpenAI(config);
+    const openai = LLMService.createClient({ apiKey, baseUrl, timeoutMs: 10000 });
     const OpenAILogger = require('../utils/OpenAILogger');
     
     // 测试聊天完成API
@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const DatabaseService = require('../services/DatabaseService');
+const NewsRelevanceService = require('../services/NewsRelevanceService');
 
 const router = express.Router();
 
@@ -49,6 +50,9 @@ router.post('/industry', authenticateToken, async (req, res) => {
         [id]
       );
 
+      // 关注行业变化后重新计算新闻相关度
+      NewsRelevanceService.scheduleRescore(req.user.id);
+
       res.json(updatedIndustry);
     } else {
       // 添加新行业
@@ -62,6 +66,9 @@ router.post('/industry', authenticateToken, async (req, res) => {
         [result.id]
       );
 
+      // 关注行业变化后重新计算新闻相关度
+      NewsRelevanceService.scheduleRescore(req.user.id);
+
       res.status(201).json(newIndustry);
     }
   } catch (error) {
@@ -84,6 +91,9 @@ router.delete('/industry/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Industry not found' });
     }
 
+    // 关注行业变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.json({ message: 'Industry deleted successfully' });
   } catch (error) {
     console.error('Delete industry error:', error);
@@ -0,0 +1,104 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const NewsArchiveService = require('../services/NewsArchiveService');
+
+const router = express.Router();
+
+// 获取新闻保留策略
+router.get('/policy', authenticateToken, async (req, res) => {
+  try {
+    const policy = await NewsArchiveService.getPolicy();
+    res.json(policy);
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新新闻保留策略
+router.put('/policy', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { retentionDays, mode, purgeAfterDays } = req.body;
+    const updates = {};
+
+    if (retentionDays !== undefined) updates.retentionDays = retentionDays;
+    if (mode !== undefined) updates.mode = mode;
+    if (purgeAfterDays !== undefined) updates.purgeAfterDays = purgeAfterDays;
+
+    const policy = await NewsArchiveService.setPolicy(updates);
+    res.json(policy);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update retention policy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 立即执行保留策略
+router.post('/apply', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await NewsArchiveService.applyRetention();
+    res.json(result);
+  } catch (error) {
+    console.error('Apply retention policy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 按月份列出新闻存档
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const months = await NewsArchiveService.listMonths();
+    res.json(months);
+  } catch (error) {
+    console.error('List news archive error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 导出某月新闻（gzip 压缩的 JSONL）
+router.get('/:month/export', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { month } = req.params;
+
+    if (!NewsArchiveService.isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const months = await NewsArchiveService.listMonths();
+    if (!months.some(row => row.month === month)) {
+      return res.status(404).json({ error: 'No news archived for this month' });
+    }
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="news-${month}.jsonl.gz"`);
+    await NewsArchiveService.exportMonth(month, res);
+  } catch (error) {
+    console.error('Export news archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+module.exports = router;
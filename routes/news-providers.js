@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const NewsProviderService = require('../services/NewsProviderService');
+
+const router = express.Router();
+
+// 获取外部新闻接口的配额和最近几天的请求用量
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const providers = await NewsProviderService.getUsage(days);
+    res.json(providers);
+  } catch (error) {
+    console.error('Get news providers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const NewsPipelineService = require('../services/NewsPipelineService');
+
+const router = express.Router();
+
+const RUN_STATUSES = ['running', 'completed', 'failed', 'skipped', 'abandoned'];
+
+// 获取新闻更新运行记录
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 20, status } = req.query;
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${RUN_STATUSES.join(', ')}` });
+    }
+
+    const runs = await NewsPipelineService.getRuns({
+      limit: Math.min(parseInt(limit) || 20, 100),
+      status
+    });
+
+    res.json(runs);
+  } catch (error) {
+    console.error('Get news runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取流水线并发配置
+router.get('/config', authenticateToken, async (req, res) => {
+  try {
+    const config = await NewsPipelineService.getConfig();
+    res.json(config);
+  } catch (error) {
+    console.error('Get news pipeline config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新流水线并发配置
+router.put('/config', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { fetchConcurrency, contentConcurrency, enrichConcurrency, lockTimeoutMinutes } = req.body;
+    const updates = {};
+
+    if (fetchConcurrency !== undefined) updates.fetchConcurrency = fetchConcurrency;
+    if (contentConcurrency !== undefined) updates.contentConcurrency = contentConcurrency;
+    if (enrichConcurrency !== undefined) updates.enrichConcurrency = enrichConcurrency;
+    if (lockTimeoutMinutes !== undefined) updates.lockTimeoutMinutes = lockTimeoutMinutes;
+
+    const config = await NewsPipelineService.setConfig(updates);
+    res.json(config);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update news pipeline config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取单次运行记录
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const run = await NewsPipelineService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'News run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Get news run error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const NewsSourceService = require('../services/NewsSourceService');
+const NewsService = require('../services/NewsService');
+const PageFetcherService = require('../services/PageFetcherService');
+const ArticleExtractorService = require('../services/ArticleExtractorService');
+
+const router = express.Router();
+
+// 获取新闻源列表
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { type, enabled } = req.query;
+
+    const sources = await NewsSourceService.getSources({
+      type,
+      enabled: enabled === undefined ? undefined : enabled === 'true'
+    });
+
+    res.json(sources);
+  } catch (error) {
+    console.error('Get news sources error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取新闻源抓取健康度（成功率、最近成功时间、退避状态）
+router.get('/health', authenticateToken, async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    const health = await NewsSourceService.getHealth(Math.min(parseInt(days) || 7, 30));
+
+    res.json(health);
+  } catch (error) {
+    console.error('Get news source health error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取需要无头浏览器渲染的文章域名
+router.get('/render-domains', authenticateToken, async (req, res) => {
+  try {
+    const domains = await PageFetcherService.getRenderDomains();
+    res.json({ domains });
+  } catch (error) {
+    console.error('Get render domains error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新需要无头浏览器渲染的文章域名
+router.put('/render-domains', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const domains = await PageFetcherService.setRenderDomains(req.body.domains);
+    res.json({ domains });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update render domains error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取按域名配置的正文提取规则
+router.get('/extraction-rules', authenticateToken, async (req, res) => {
+  try {
+    const rules = await ArticleExtractorService.getRules();
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get extraction rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新按域名配置的正文提取规则
+router.put('/extraction-rules', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const rules = await ArticleExtractorService.setRules(req.body.rules);
+    res.json({ rules });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update extraction rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 试提取文章（不入库），用于调试提取规则
+router.post('/extract', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { url } = req.body;
+
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Valid article URL required' });
+    }
+
+    const article = await NewsService.fetchArticle(url);
+    res.json(article);
+  } catch (error) {
+    console.error('Extract article error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 导出订阅源为 OPML
+router.get('/opml', authenticateToken, async (req, res) => {
+  try {
+    const opml = await NewsSourceService.exportOpml();
+
+    res.setHeader('Content-Type', 'text/x-opml; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="market-daily-sources.opml"');
+    res.send(opml);
+  } catch (error) {
+    console.error('Export OPML error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 从 OPML 导入订阅源
+router.post('/opml', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { opml } = req.body;
+
+    if (!opml) {
+      return res.status(400).json({ error: 'OPML content required' });
+    }
+
+    const result = await NewsSourceService.importOpml(opml);
+    res.json(result);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import OPML error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 试抓取未保存的新闻源配置
+router.post('/test', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const source = { type: 'rss', name: 'Test', ...req.body };
+
+    const validationError = NewsSourceService.validateSource(source);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await NewsService.testSource(source);
+    res.json(result);
+  } catch (error) {
+    console.error('Test news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取单个新闻源
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const source = await NewsSourceService.getSource(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+
+    res.json(source);
+  } catch (error) {
+    console.error('Get news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 添加新闻源
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const validationError = NewsSourceService.validateSource(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const source = await NewsSourceService.createSource(req.body);
+    res.status(201).json(source);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(400).json({ error: 'News source URL already exists' });
+    }
+    console.error('Create news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新新闻源
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const existing = await NewsSourceService.getSource(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+
+    const validationError = NewsSourceService.validateSource({ ...existing, ...req.body });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const source = await NewsSourceService.updateSource(req.params.id, req.body);
+    res.json(source);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(400).json({ error: 'News source URL already exists' });
+    }
+    console.error('Update news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 启用/禁用新闻源
+router.put('/:id/enabled', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+
+    const source = await NewsSourceService.setEnabled(req.params.id, enabled);
+
+    if (!source) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+
+    res.json(source);
+  } catch (error) {
+    console.error('Toggle news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 试抓取已保存的新闻源
+router.post('/:id/test', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const source = await NewsSourceService.getSource(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+
+    const result = await NewsService.testSource(source);
+    res.json(result);
+  } catch (error) {
+    console.error('Test news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取新闻源的抓取记录
+router.get('/:id/fetches', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const fetches = await NewsSourceService.getFetchHistory(
+      req.params.id,
+      Math.min(parseInt(limit) || 50, 200)
+    );
+
+    res.json(fetches);
+  } catch (error) {
+    console.error('Get news source fetches error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 解除新闻源的退避隔离
+router.post('/:id/reset', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const reset = await NewsSourceService.resetHealth(req.params.id);
+
+    if (!reset) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+
+    res.json({ message: 'News source health reset successfully' });
+  } catch (error) {
+    console.error('Reset news source health error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 删除新闻源
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const deleted = await NewsSourceService.deleteSource(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+
+    res.json({ message: 'News source deleted successfully' });
+  } catch (error) {
+    console.error('Delete news source error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
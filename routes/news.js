@@ -1,11 +1,43 @@
+const crypto = require('crypto');
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const DatabaseService = require('../services/DatabaseService');
 const NewsService = require('../services/NewsService');
+const NewsPipelineService = require('../services/NewsPipelineService');
+const NewsClusterService = require('../services/NewsClusterService');
+const NewsRelevanceService = require('../services/NewsRelevanceService');
+const NewsArchiveService = require('../services/NewsArchiveService');
+const { LANGUAGES, splitKeywords } = require('../utils/language');
 
 const router = express.Router();
 
-// 获取新闻列表
+// 新闻列表范围：relevant（与自己相关的新闻和通用财经新闻）、mine（只看与自己相关的）、all（全部）
+const NEWS_SCOPES = ['relevant', 'mine', 'all'];
+
+// 推送接口认证：X-Ingest-Token 与 NEWS_INGEST_TOKEN 一致，或管理员JWT
+const authenticateIngest = (req, res, next) => {
+  const ingestToken = req.headers['x-ingest-token'];
+
+  if (ingestToken && process.env.NEWS_INGEST_TOKEN) {
+    const expected = Buffer.from(process.env.NEWS_INGEST_TOKEN);
+    const provided = Buffer.from(String(ingestToken));
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(403).json({ error: 'Invalid ingest token' });
+    }
+    req.user = { role: 'ingest' };
+    return next();
+  }
+
+  authenticateToken(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+};
+
+// 获取新闻列表（默认只返回与当前用户相关的新闻和通用财经新闻）
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const { 
@@ -13,42 +45,81 @@ router.get('/', authenticateToken, async (req, res) => {
       limit = 20, 
       category, 
       search,
-      sortBy = 'created_at',
+      language,
+      scope = 'relevant',
+      portfolio_id,
+      sortBy = 'published_at',
       sortOrder = 'DESC'
     } = req.query;
 
+    if (!NEWS_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${NEWS_SCOPES.join(', ')}` });
+    }
+
     const offset = (page - 1) * limit;
     let whereClause = '1=1';
     const params = [];
 
+    // 相关度：指定投资组合时取组合相关度，否则取用户相关度
+    let relevanceJoin = 'LEFT JOIN news_user_relevance r ON r.news_id = news.id AND r.user_id = ?';
+    const joinParams = [req.user.id];
+
+    if (portfolio_id) {
+      const portfolio = await DatabaseService.get(
+        'SELECT id FROM portfolios WHERE id = ? AND (user_id = ? OR is_public = 1)',
+        [portfolio_id, req.user.id]
+      );
+
+      if (!portfolio) {
+        return res.status(404).json({ error: 'Portfolio not found or access denied' });
+      }
+
+      relevanceJoin = 'JOIN news_portfolio_relevance r ON r.news_id = news.id AND r.portfolio_id = ?';
+      joinParams[0] = portfolio.id;
+    } else if (scope === 'mine') {
+      whereClause += ' AND r.news_id IS NOT NULL';
+    } else if (scope === 'relevant') {
+      whereClause += ' AND (r.news_id IS NOT NULL OR NOT EXISTS (SELECT 1 FROM news_user_relevance ur WHERE ur.news_id = news.id))';
+    }
+
     if (category && category !== 'all') {
-      whereClause += ' AND category = ?';
+      whereClause += ' AND news.category = ?';
       params.push(category);
     }
 
+    if (language) {
+      if (!LANGUAGES.includes(language)) {
+        return res.status(400).json({ error: `language must be one of: ${LANGUAGES.join(', ')}` });
+      }
+      whereClause += ' AND news.language = ?';
+      params.push(language);
+    }
+
     if (search) {
-      whereClause += ' AND (title LIKE ? OR summary LIKE ?)';
+      whereClause += ' AND (news.title LIKE ? OR news.summary LIKE ?)';
       params.push(`%${search}%`, `%${search}%`);
     }
 
-    const validSortColumns = ['created_at', 'title', 'sentiment', 'published_at'];
+    const validSortColumns = ['created_at', 'title', 'sentiment', 'published_at', 'relevance'];
     const validSortOrders = ['ASC', 'DESC'];
     
-    const orderBy = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
+    const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'published_at';
+    const orderBy = sortColumn === 'relevance' ? 'relevance_score' : `news.${sortColumn}`;
     const order = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     const news = await DatabaseService.all(
-      `SELECT * FROM news 
+      `SELECT news.*, r.score AS relevance_score, r.matches AS relevance_matches
+       FROM news ${relevanceJoin}
        WHERE ${whereClause}
-       ORDER BY ${orderBy} ${order}
+       ORDER BY ${orderBy} ${order}, news.published_at DESC
        LIMIT ? OFFSET ?`,
-      [...params, parseInt(limit), offset]
+      [...joinParams, ...params, parseInt(limit), offset]
     );
 
     // 获取总数
     const totalResult = await DatabaseService.get(
-      `SELECT COUNT(*) as total FROM news WHERE ${whereClause}`,
-      params
+      `SELECT COUNT(*) as total FROM news ${relevanceJoin} WHERE ${whereClause}`,
+      [...joinParams, ...params]
     );
 
     res.json({
@@ -66,6 +137,43 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// 获取相关性评分配置（权重和阈值）
+router.get('/relevance/config', authenticateToken, async (req, res) => {
+  try {
+    const config = await NewsRelevanceService.getScoringConfig();
+    res.json(config);
+  } catch (error) {
+    console.error('Get relevance config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新相关性评分配置
+router.put('/relevance/config', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { threshold, weights, recencyHours, defaultCredibility } = req.body;
+    const updates = {};
+
+    if (threshold !== undefined) updates.threshold = threshold;
+    if (weights !== undefined) updates.weights = weights;
+    if (recencyHours !== undefined) updates.recencyHours = recencyHours;
+    if (defaultCredibility !== undefined) updates.defaultCredibility = defaultCredibility;
+
+    const config = await NewsRelevanceService.setScoringConfig(updates);
+    res.json(config);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update relevance config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 获取单条新闻
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -78,6 +186,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'News not found' });
     }
 
+    // 同一报道的其他来源
+    const members = news.cluster_id
+      ? (await NewsClusterService.getClusterMembers([news.cluster_id])).get(news.cluster_id) || []
+      : [];
+    news.alternate_sources = members.filter(member => member.id !== news.id);
+
     res.json(news);
   } catch (error) {
     console.error('Get news by id error:', error);
@@ -141,12 +255,12 @@ router.get('/stats/sentiment', authenticateToken, async (req, res) => {
 
     const dailyStats = await DatabaseService.all(
       `SELECT 
-         DATE(created_at) as date,
+         DATE(published_at) as date,
          AVG(sentiment) as avgSentiment,
          COUNT(*) as count
        FROM news 
-       WHERE created_at > ? AND sentiment IS NOT NULL
-       GROUP BY DATE(created_at)
+       WHERE published_at > ? AND sentiment IS NOT NULL
+       GROUP BY DATE(published_at)
        ORDER BY date DESC`,
       [weekAgo.toISOString()]
     );
@@ -168,10 +282,14 @@ router.post('/update', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    // 异步执行新闻更新
-    NewsService.updateNews()
-      .then(() => {
-        console.log('Manual news update completed');
+    if (await NewsPipelineService.isRunning()) {
+      return res.status(409).json({ error: 'News update already running' });
+    }
+
+    // 异步执行新闻更新，进度和结果见 /api/news/runs
+    NewsPipelineService.run({ triggeredBy: 'manual' })
+      .then(run => {
+        console.log(`Manual news update ${run.status}`);
       })
       .catch(error => {
         console.error('Manual news update failed:', error);
@@ -184,6 +302,27 @@ router.post('/update', authenticateToken, async (req, res) => {
   }
 });
 
+// 推送新闻（内部研报、供应商提醒等），逐条返回 created / duplicate / rejected
+router.post('/ingest', authenticateIngest, async (req, res) => {
+  try {
+    const { articles } = req.body;
+
+    if (!Array.isArray(articles) || articles.length === 0) {
+      return res.status(400).json({ error: 'articles must be a non-empty array' });
+    }
+
+    if (articles.length > NewsService.INGEST_MAX_BATCH) {
+      return res.status(400).json({ error: `At most ${NewsService.INGEST_MAX_BATCH} articles per batch` });
+    }
+
+    const result = await NewsService.ingestArticles(articles);
+    res.json(result);
+  } catch (error) {
+    console.error('Ingest news error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 删除新闻
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -200,6 +339,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'News not found' });
     }
 
+    await NewsClusterService.pruneClusters();
+
     res.json({ message: 'News deleted successfully' });
   } catch (error) {
     console.error('Delete news error:', error);
@@ -207,25 +348,19 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// 批量删除旧新闻
+// 清理旧新闻：按管理员配置的保留策略压缩、归档或删除（与 POST /api/news/archive/apply 相同）
 router.delete('/cleanup/old', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { days = 7 } = req.body;
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+    const result = await NewsArchiveService.applyRetention();
 
-    const result = await DatabaseService.run(
-      'DELETE FROM news WHERE created_at < ?',
-      [cutoffDate.toISOString()]
-    );
-
-    res.json({ 
-      message: `Deleted ${result.changes} old news items`,
-      deletedCount: result.changes
+    res.json({
+      message: `Compacted ${result.compacted} and deleted ${result.deleted} old news items`,
+      deletedCount: result.deleted,
+      ...result
     });
   } catch (error) {
     console.error('Cleanup old news error:', error);
@@ -233,61 +368,21 @@ router.delete('/cleanup/old', authenticateToken, async (req, res) => {
   }
 });
 
-// 搜索新闻
+// 搜索新闻（全文检索，支持 "短语"、AND、OR、NOT、-排除词、前缀*）
 router.post('/search', authenticateToken, async (req, res) => {
   try {
-    const { 
-      query, 
-      categories = [], 
-      sources = [],
-      dateFrom,
-      dateTo,
-      sentimentRange = [-1, 1],
-      limit = 20
-    } = req.body;
+    const { query } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Search query required' });
     }
 
-    let whereClause = '(title LIKE ? OR summary LIKE ? OR content LIKE ?)';
-    const params = [`%${query}%`, `%${query}%`, `%${query}%`];
-
-    if (categories.length > 0) {
-      whereClause += ` AND category IN (${categories.map(() => '?').join(',')})`;
-      params.push(...categories);
-    }
-
-    if (sources.length > 0) {
-      whereClause += ` AND source IN (${sources.map(() => '?').join(',')})`;
-      params.push(...sources);
-    }
-
-    if (dateFrom) {
-      whereClause += ' AND created_at >= ?';
-      params.push(dateFrom);
-    }
-
-    if (dateTo) {
-      whereClause += ' AND created_at <= ?';
-      params.push(dateTo);
-    }
-
-    if (sentimentRange[0] !== -1 || sentimentRange[1] !== 1) {
-      whereClause += ' AND sentiment BETWEEN ? AND ?';
-      params.push(sentimentRange[0], sentimentRange[1]);
-    }
-
-    const news = await DatabaseService.all(
-      `SELECT * FROM news 
-       WHERE ${whereClause}
-       ORDER BY created_at DESC
-       LIMIT ?`,
-      [...params, limit]
-    );
-
-    res.json(news);
+    const result = await NewsService.searchNews(req.body);
+    res.json(result);
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Search news error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -309,7 +404,7 @@ router.get('/industry/:name', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Industry not found' });
     }
 
-    const keywords = industry.keywords ? industry.keywords.split(',') : [];
+    const keywords = splitKeywords(industry.keywords);
     keywords.push(name);
 
     // 构建搜索条件
@@ -319,7 +414,7 @@ router.get('/industry/:name', authenticateToken, async (req, res) => {
     const news = await DatabaseService.all(
       `SELECT * FROM news 
        WHERE ${searchConditions}
-       ORDER BY created_at DESC
+       ORDER BY published_at DESC
        LIMIT ?`,
       [...params, parseInt(limit)]
     );
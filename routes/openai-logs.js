@@ -1,6 +1,8 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const OpenAILogger = require('../utils/OpenAILogger');
+const LLMCacheService = require('../services/LLMCacheService');
+const LLMBudgetService = require('../services/LLMBudgetService');
 
 const router = express.Router();
 
@@ -32,6 +34,11 @@ router.get('/analysis', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Failed to analyze logs' });
     }
 
+    // 缓存命中的调用不写入日志，命中/未命中次数单独统计
+    analysis.cache = await LLMCacheService.getStats();
+    // 按价格表累计的当天用量和预算使用情况
+    analysis.budget = await LLMBudgetService.getStatus();
+
     res.json({
       success: true,
       data: analysis,
@@ -76,6 +83,166 @@ router.post('/cleanup', authenticateToken, async (req, res) => {
   }
 });
 
+// 获取响应缓存统计和缓存条目（管理员）
+router.get('/cache', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { operation, limit = 50, offset = 0 } = req.query;
+    const stats = await LLMCacheService.getStats();
+    const { entries, total } = await LLMCacheService.getEntries({
+      operation,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ stats, entries, total });
+  } catch (error) {
+    console.error('Get LLM cache error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取缓存配置
+router.get('/cache/config', authenticateToken, async (req, res) => {
+  try {
+    const config = await LLMCacheService.getConfig();
+    res.json(config);
+  } catch (error) {
+    console.error('Get LLM cache config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新缓存配置（管理员）
+router.put('/cache/config', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { enabled, defaultTtlHours, ttlHours } = req.body;
+    const updates = {};
+
+    if (enabled !== undefined) updates.enabled = enabled;
+    if (defaultTtlHours !== undefined) updates.defaultTtlHours = defaultTtlHours;
+    if (ttlHours !== undefined) {
+      if (!ttlHours || typeof ttlHours !== 'object' || Array.isArray(ttlHours)) {
+        return res.status(400).json({ error: 'ttlHours must be an object' });
+      }
+      updates.ttlHours = ttlHours;
+    }
+
+    const config = await LLMCacheService.setConfig(updates);
+    res.json(config);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update LLM cache config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取单条缓存（包含响应内容，管理员）
+router.get('/cache/:key', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const entry = await LLMCacheService.getEntry(req.params.key);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Get LLM cache entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 清除缓存（管理员，可按 operation 过滤，expired=true 时只清除过期条目）
+router.delete('/cache', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const deleted = await LLMCacheService.purge({
+      operation: req.query.operation,
+      expiredOnly: req.query.expired === 'true'
+    });
+
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Purge LLM cache error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取预算配置和当天用量、预算使用比例、已发出的提醒
+router.get('/budget', authenticateToken, async (req, res) => {
+  try {
+    const config = await LLMBudgetService.getConfig();
+    const status = await LLMBudgetService.getStatus();
+    res.json({ config, ...status });
+  } catch (error) {
+    console.error('Get LLM budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 更新预算配置（管理员）
+router.put('/budget', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { dailyCostLimit, dailyTokenLimit, operationCostLimits, alertThreshold, pricing } = req.body;
+    const updates = {};
+
+    if (dailyCostLimit !== undefined) updates.dailyCostLimit = dailyCostLimit;
+    if (dailyTokenLimit !== undefined) updates.dailyTokenLimit = dailyTokenLimit;
+    if (alertThreshold !== undefined) updates.alertThreshold = alertThreshold;
+    for (const [key, value] of Object.entries({ operationCostLimits, pricing })) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return res.status(400).json({ error: `${key} must be an object` });
+      }
+      updates[key] = value;
+    }
+
+    const config = await LLMBudgetService.setConfig(updates);
+    res.json(config);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update LLM budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 获取最近几天按操作和模型统计的用量和费用
+router.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const usage = await LLMBudgetService.getUsageHistory(days);
+    res.json({ days, usage });
+  } catch (error) {
+    console.error('Get LLM usage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 获取日志文件的原始内容（用于调试）
 router.get('/raw', authenticateToken, async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const DatabaseService = require('../services/DatabaseService');
+const NewsRelevanceService = require('../services/NewsRelevanceService');
 
 const router = express.Router();
 
@@ -48,6 +49,9 @@ router.post('/', authenticateToken, async (req, res) => {
       [result.id]
     );
 
+    // 持仓变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.status(201).json(newStock);
   } catch (error) {
     console.error('Add portfolio error:', error);
@@ -81,6 +85,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
       [id]
     );
 
+    // 持仓变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.json(updatedStock);
   } catch (error) {
     console.error('Update portfolio error:', error);
@@ -102,6 +109,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Stock not found' });
     }
 
+    // 持仓变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.json({ message: 'Stock removed from portfolio' });
   } catch (error) {
     console.error('Delete portfolio error:', error);
@@ -157,6 +167,10 @@ router.post('/batch', authenticateToken, async (req, res) => {
       }
     }
 
+    if (addedStocks.length > 0) {
+      NewsRelevanceService.scheduleRescore(req.user.id);
+    }
+
     res.json({
       added: addedStocks,
       errors: errors
@@ -170,34 +184,13 @@ router.post('/batch', authenticateToken, async (req, res) => {
 // 获取投资组合相关新闻
 router.get('/news', authenticateToken, async (req, res) => {
   try {
-    const portfolio = await DatabaseService.all(
-      'SELECT symbol FROM portfolio WHERE user_id = ?',
+    // 与当前用户任一投资组合相关的新闻（按相关度记录查询）
+    const portfolioIds = (await DatabaseService.all(
+      'SELECT id FROM portfolios WHERE user_id = ?',
       [req.user.id]
-    );
+    )).map(portfolio => portfolio.id);
 
-    if (portfolio.length === 0) {
-      return res.json([]);
-    }
-
-    const symbols = portfolio.map(stock => stock.symbol);
-    
-    // 查找包含这些股票代码的新闻
-    const news = await DatabaseService.all(
-      `SELECT * FROM news 
-       WHERE symbols IS NOT NULL AND symbols != '[]'
-       ORDER BY created_at DESC 
-       LIMIT 20`
-    );
-
-    // 过滤出相关新闻
-    const relevantNews = news.filter(item => {
-      try {
-        const newsSymbols = JSON.parse(item.symbols || '[]');
-        return newsSymbols.some(symbol => symbols.includes(symbol));
-      } catch {
-        return false;
-      }
-    });
+    const relevantNews = await NewsRelevanceService.getPortfolioNews(portfolioIds, { limit: 20 });
 
     res.json(relevantNews);
   } catch (error) {
@@ -229,7 +222,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const recentNewsCount = await DatabaseService.get(
       `SELECT COUNT(*) as count FROM news 
        WHERE symbols IS NOT NULL AND symbols != '[]' 
-       AND created_at > ?`,
+       AND published_at > ?`,
       [weekAgo.toISOString()]
     );
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const DatabaseService = require('../services/DatabaseService');
+const NewsRelevanceService = require('../services/NewsRelevanceService');
 
 const router = express.Router();
 
@@ -101,6 +102,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
+    // 持仓变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.json({ message: 'Portfolio deleted successfully' });
   } catch (error) {
     console.error('Delete portfolio error:', error);
@@ -175,6 +179,9 @@ router.post('/:id/stocks', authenticateToken, async (req, res) => {
       [result.id]
     );
 
+    // 持仓变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.status(201).json(newStock);
   } catch (error) {
     console.error('Add stock to portfolio error:', error);
@@ -206,6 +213,9 @@ router.delete('/:portfolioId/stocks/:stockId', authenticateToken, async (req, re
       return res.status(404).json({ error: 'Stock not found' });
     }
 
+    // 持仓变化后重新计算新闻相关度
+    NewsRelevanceService.scheduleRescore(req.user.id);
+
     res.json({ message: 'Stock removed from portfolio' });
   } catch (error) {
     console.error('Delete stock from portfolio error:', error);
@@ -228,34 +238,8 @@ router.get('/:id/news', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
-    const stocks = await DatabaseService.all(
-      'SELECT symbol FROM portfolio_stocks WHERE portfolio_id = ?',
-      [id]
-    );
-
-    if (stocks.length === 0) {
-      return res.json([]);
-    }
-
-    const symbols = stocks.map(stock => stock.symbol);
-    
-    // 查找包含这些股票代码的新闻
-    const news = await DatabaseService.all(
-      `SELECT * FROM news 
-       WHERE symbols IS NOT NULL AND symbols != '[]'
-       ORDER BY created_at DESC 
-       LIMIT 20`
-    );
-
-    // 过滤出相关新闻
-    const relevantNews = news.filter(item => {
-      try {
-        const newsSymbols = JSON.parse(item.symbols || '[]');
-        return newsSymbols.some(symbol => symbols.includes(symbol));
-      } catch {
-        return false;
-      }
-    });
+    // 按该投资组合的相关度记录查询相关新闻
+    const relevantNews = await NewsRelevanceService.getPortfolioNews([portfolio.id], { limit: 20 });
 
     res.json(relevantNews);
   } catch (error) {
@@ -299,7 +283,7 @@ router.get('/:id/stats', authenticateToken, async (req, res) => {
     const recentNewsCount = await DatabaseService.get(
       `SELECT COUNT(*) as count FROM news 
        WHERE symbols IS NOT NULL AND symbols != '[]' 
-       AND created_at > ?`,
+       AND published_at > ?`,
       [weekAgo.toISOString()]
     );
 
@@ -0,0 +1,102 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const SymbolAliasService = require('../services/SymbolAliasService');
+const NewsService = require('../services/NewsService');
+
+const router = express.Router();
+
+// 获取股票别名字典
+router.get('/aliases', authenticateToken, async (req, res) => {
+  try {
+    const aliases = await SymbolAliasService.getAliases(req.query.symbol);
+    res.json(aliases);
+  } catch (error) {
+    console.error('Get symbol aliases error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 添加股票别名
+router.post('/aliases', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const validationError = SymbolAliasService.validateAlias(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const alias = await SymbolAliasService.createAlias(req.body);
+    res.status(201).json(alias);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(400).json({ error: 'Alias already exists for this symbol' });
+    }
+    console.error('Create symbol alias error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 删除股票别名
+router.delete('/aliases/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const deleted = await SymbolAliasService.deleteAlias(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Symbol alias not found' });
+    }
+
+    res.json({ message: 'Symbol alias deleted successfully' });
+  } catch (error) {
+    console.error('Delete symbol alias error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 识别文本中的股票（用于调试别名字典）
+router.post('/tag', authenticateToken, async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text) {
+      return res.status(400).json({ error: 'Text required' });
+    }
+
+    const portfolio = await NewsService.getPortfolioSymbols();
+    const result = await SymbolAliasService.tagSymbols(text, portfolio);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Tag symbols error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 按当前别名字典重新标注最近新闻的相关股票
+router.post('/retag', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { days = 7 } = req.body;
+    const portfolio = await NewsService.getPortfolioSymbols();
+    const result = await SymbolAliasService.retagNews({
+      days: Math.min(parseInt(days) || 7, 90),
+      portfolio
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Retag news symbols error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
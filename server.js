@@ -11,15 +11,24 @@ const configRoutes = require('./routes/config');
 const portfolioRoutes = require('./routes/portfolio');
 const portfoliosRoutes = require('./routes/portfolios');
 const newsRoutes = require('./routes/news');
+const newsSourcesRoutes = require('./routes/news-sources');
+const newsArchiveRoutes = require('./routes/news-archive');
+const newsRunsRoutes = require('./routes/news-runs');
+const newsProvidersRoutes = require('./routes/news-providers');
 const subscriptionsRoutes = require('./routes/subscriptions');
 const industriesRoutes = require('./routes/industries');
 const reportsRoutes = require('./routes/reports');
 const enhancedReportsRoutes = require('./routes/enhanced-reports');
 const openaiLogsRoutes = require('./routes/openai-logs');
+const symbolsRoutes = require('./routes/symbols');
 
-const NewsService = require('./services/NewsService');
+const NewsPipelineService = require('./services/NewsPipelineService');
 const EmailService = require('./services/EmailService');
 const DatabaseService = require('./services/DatabaseService');
+const NewsSourceService = require('./services/NewsSourceService');
+const SymbolAliasService = require('./services/SymbolAliasService');
+const NewsRelevanceService = require('./services/NewsRelevanceService');
+const PromptService = require('./services/PromptService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,7 +80,7 @@ if (!isStrictSecurity) {
 }
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // 速率限制
@@ -96,11 +105,16 @@ app.use('/api/config', configRoutes);
 app.use('/api/config', industriesRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/portfolios', portfoliosRoutes);
+app.use('/api/news/sources', newsSourcesRoutes);
+app.use('/api/news/archive', newsArchiveRoutes);
+app.use('/api/news/runs', newsRunsRoutes);
+app.use('/api/news/providers', newsProvidersRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/subscriptions', subscriptionsRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/enhanced-reports', enhancedReportsRoutes);
 app.use('/api/openai', openaiLogsRoutes);
+app.use('/api/symbols', symbolsRoutes);
 
 // 健康检查
 app.get('/api/health', (req, res) => {
@@ -114,6 +128,11 @@ app.get('*', (req, res) => {
 
 // 初始化数据库
 DatabaseService.init()
+  .then(() => NewsSourceService.seedDefaultSources())
+  .then(() => NewsSourceService.seedDefaultWeights())
+  .then(() => SymbolAliasService.seedDefaultAliases())
+  .then(() => PromptService.seedDefaultPrompts())
+  .then(() => NewsRelevanceService.backfillRelevance())
   .then(() => {
     console.log('Database initialized successfully');
   })
@@ -137,8 +156,8 @@ cron.schedule(emailSchedule, async () => {
 cron.schedule('0 * * * *', async () => {
   console.log('Updating news...');
   try {
-    await NewsService.updateNews();
-    console.log('News updated successfully');
+    const run = await NewsPipelineService.run({ triggeredBy: 'cron' });
+    console.log(`News update ${run.status}`);
   } catch (error) {
     console.error('Failed to update news:', error);
   }
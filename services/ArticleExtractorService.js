@@ -0,0 +1,122 @@
+const cheerio = require('cheerio');
+const DatabaseService = require('./DatabaseService');
+const { extractArticle } = require('../utils/contentExtractor');
+
+const EXTRACTION_RULES_CONFIG_KEY = 'extraction_rules';
+const RULE_FIELDS = ['content', 'remove', 'author', 'image'];
+
+// 正文保存上限，避免个别超长页面撑大数据库
+const MAX_CONTENT_LENGTH = 20000;
+
+class ArticleExtractorService {
+  constructor() {
+    this.rules = null;
+  }
+
+  // 按域名配置的提取规则：{ "example.com": { content, remove: [], author, image } }
+  async getRules() {
+    if (this.rules === null) {
+      this.rules = await DatabaseService.getGlobalConfig(EXTRACTION_RULES_CONFIG_KEY, {});
+    }
+    return this.rules;
+  }
+
+  // 校验提取规则，返回错误信息或null
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return 'rules must be an object keyed by domain';
+    }
+
+    const $ = cheerio.load('');
+    const isSelector = selector => {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        return false;
+      }
+      try {
+        $(selector);
+        return true;
+      } catch {
+        return false;
+      }
+    };
+
+    for (const [domain, rule] of Object.entries(rules)) {
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        return `Invalid domain: ${domain}`;
+      }
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return `Rule for ${domain} must be an object`;
+      }
+
+      for (const field of Object.keys(rule)) {
+        if (!RULE_FIELDS.includes(field)) {
+          return `Unknown rule field for ${domain}: ${field}`;
+        }
+      }
+
+      for (const field of ['content', 'author', 'image']) {
+        if (rule[field] !== undefined && !isSelector(rule[field])) {
+          return `Invalid ${field} selector for ${domain}`;
+        }
+      }
+
+      if (rule.remove !== undefined && (!Array.isArray(rule.remove) || !rule.remove.every(isSelector))) {
+        return `remove for ${domain} must be an array of selectors`;
+      }
+    }
+
+    return null;
+  }
+
+  async setRules(rules) {
+    const isObject = rules && typeof rules === 'object' && !Array.isArray(rules);
+    const normalized = isObject
+      ? Object.fromEntries(Object.entries(rules).map(([domain, rule]) => [domain.trim().toLowerCase().replace(/^\*\./, ''), rule]))
+      : rules;
+
+    const validationError = this.validateRules(normalized);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(EXTRACTION_RULES_CONFIG_KEY, normalized);
+    this.rules = normalized;
+    return normalized;
+  }
+
+  // 取最具体的匹配规则（news.example.com 优先于 example.com）
+  async getRuleForUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    const rules = await this.getRules();
+    const domain = Object.keys(rules)
+      .filter(candidate => hostname === candidate || hostname.endsWith(`.${candidate}`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return domain ? rules[domain] : null;
+  }
+
+  /**
+   * 提取正文、作者、头图、规范链接和字数
+   * @param {CheerioAPI} $ 已加载的页面（会被修改，需要的其他元数据应先读取）
+   */
+  async extract($, url) {
+    const rule = await this.getRuleForUrl(url);
+    const article = extractArticle($, { url, rule });
+
+    return {
+      ...article,
+      content: article.content.substring(0, MAX_CONTENT_LENGTH)
+    };
+  }
+}
+
+module.exports = new ArticleExtractorService();
@@ -1,6 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { normalizeUrl, isUsableCanonical } = require('../utils/urlNormalizer');
+const { detectLanguage } = require('../utils/language');
 
 class DatabaseService {
   constructor() {
@@ -99,13 +101,200 @@ class DatabaseService {
         summary TEXT,
         url TEXT UNIQUE,
         source TEXT,
+        author TEXT,
+        lead_image TEXT,
+        canonical_url TEXT,
+        word_count INTEGER,
         category TEXT,
+        categories TEXT,
         symbols TEXT,
+        symbol_matches TEXT,
         sentiment REAL,
+        match_score REAL,
+        match_explanation TEXT,
+        source_credibility REAL,
+        content_type TEXT DEFAULT 'news',
+        language TEXT,
+        ai_deferred INTEGER DEFAULT 0,
+        compacted_at DATETIME,
         published_at DATETIME,
+        published_at_source TEXT,
+        source_updated_at DATETIME,
+        cluster_id INTEGER,
+        simhash TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
-      
+
+      // 新闻与投资组合的相关度（按组合内股票识别结果打分）
+      `CREATE TABLE IF NOT EXISTS news_portfolio_relevance (
+        news_id INTEGER NOT NULL,
+        portfolio_id INTEGER NOT NULL,
+        user_id INTEGER,
+        score REAL NOT NULL,
+        matches TEXT,
+        scored_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (news_id, portfolio_id)
+      )`,
+
+      // 新闻与用户的相关度（用户所有投资组合、旧版持仓和关注行业中的最高分）
+      `CREATE TABLE IF NOT EXISTS news_user_relevance (
+        news_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        score REAL NOT NULL,
+        matches TEXT,
+        scored_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (news_id, user_id)
+      )`,
+
+      // 报道聚类表（不同来源转载的同一报道）
+      `CREATE TABLE IF NOT EXISTS news_clusters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        canonical_news_id INTEGER,
+        article_count INTEGER DEFAULT 1,
+        first_published_at DATETIME,
+        last_published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // 新闻源表（RSS/Atom/网页抓取）
+      `CREATE TABLE IF NOT EXISTS news_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'rss',
+        url TEXT UNIQUE NOT NULL,
+        selector TEXT,
+        render_mode TEXT DEFAULT 'http',
+        credibility REAL,
+        content_type TEXT DEFAULT 'news',
+        enabled BOOLEAN DEFAULT 1,
+        consecutive_failures INTEGER DEFAULT 0,
+        last_success_at DATETIME,
+        last_error TEXT,
+        backoff_until DATETIME,
+        etag TEXT,
+        last_modified TEXT,
+        cursor_guid TEXT,
+        cursor_published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // 新闻更新运行记录表
+      `CREATE TABLE IF NOT EXISTS news_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        triggered_by TEXT NOT NULL,
+        status TEXT NOT NULL,
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        duration_ms INTEGER,
+        stats TEXT,
+        error TEXT
+      )`,
+
+      // 新闻源抓取记录表
+      `CREATE TABLE IF NOT EXISTS news_source_fetches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        item_count INTEGER DEFAULT 0,
+        latency_ms INTEGER,
+        error_code TEXT,
+        error_message TEXT,
+        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (source_id) REFERENCES news_sources (id) ON DELETE CASCADE
+      )`,
+
+      // 订阅源条目的处理失败次数（抓取正文、AI 增强或入库失败），达到上限后游标越过该条目
+      `CREATE TABLE IF NOT EXISTS news_source_item_failures (
+        source_id INTEGER NOT NULL,
+        guid TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (source_id, guid),
+        FOREIGN KEY (source_id) REFERENCES news_sources (id) ON DELETE CASCADE
+      )`,
+
+      // 外部新闻接口每日请求用量（News API、Finnhub）
+      `CREATE TABLE IF NOT EXISTS news_provider_usage (
+        provider TEXT NOT NULL,
+        usage_date TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        articles INTEGER DEFAULT 0,
+        last_request_at DATETIME,
+        rate_limited_at DATETIME,
+        last_error TEXT,
+        PRIMARY KEY (provider, usage_date)
+      )`,
+
+      // 大模型响应缓存（键为模型、消息和请求参数的哈希）
+      `CREATE TABLE IF NOT EXISTS llm_cache (
+        key TEXT PRIMARY KEY,
+        operation TEXT NOT NULL,
+        model TEXT,
+        response TEXT NOT NULL,
+        hits INTEGER DEFAULT 0,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        last_hit_at DATETIME
+      )`,
+
+      // 大模型缓存命中/未命中次数（按操作累计）
+      `CREATE TABLE IF NOT EXISTS llm_cache_stats (
+        operation TEXT PRIMARY KEY,
+        hits INTEGER DEFAULT 0,
+        misses INTEGER DEFAULT 0,
+        updated_at DATETIME
+      )`,
+
+      // 提示词模板的各个版本（每个提示词只有一个启用的版本）
+      `CREATE TABLE IF NOT EXISTS prompt_templates (
+        name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        system_prompt TEXT NOT NULL,
+        user_prompt TEXT NOT NULL,
+        note TEXT,
+        is_active BOOLEAN DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (name, version)
+      )`,
+
+      // 大模型每日用量和费用（按操作和模型累计）
+      `CREATE TABLE IF NOT EXISTS llm_usage (
+        usage_date TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        model TEXT NOT NULL,
+        calls INTEGER DEFAULT 0,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        cost REAL DEFAULT 0,
+        PRIMARY KEY (usage_date, operation, model)
+      )`,
+
+      // 已发出的预算提醒（每天每项预算每个级别一次）
+      `CREATE TABLE IF NOT EXISTS llm_budget_alerts (
+        usage_date TEXT NOT NULL,
+        budget TEXT NOT NULL,
+        level TEXT NOT NULL,
+        used REAL,
+        budget_limit REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (usage_date, budget, level)
+      )`,
+
+      // 股票别名字典（公司名称、曾用名、品牌）
+      `CREATE TABLE IF NOT EXISTS symbol_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        alias TEXT NOT NULL,
+        alias_type TEXT DEFAULT 'name',
+        case_sensitive BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (symbol, alias)
+      )`,
+
       // 邮件发送记录表
       `CREATE TABLE IF NOT EXISTS email_logs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -149,6 +338,44 @@ class DatabaseService {
       await this.run(table);
     }
 
+    // 为旧数据库补充新增字段
+    await this.migrateColumns();
+
+    await this.run(
+      'CREATE INDEX IF NOT EXISTS idx_news_source_fetches_source ON news_source_fetches (source_id, fetched_at)'
+    );
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_published_at ON news (published_at)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_cluster ON news (cluster_id)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_canonical_url ON news (canonical_url)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_language ON news (language, published_at)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_runs_status ON news_runs (status, started_at)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache (expires_at)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_ai_deferred ON news (ai_deferred)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_portfolio_relevance ON news_portfolio_relevance (portfolio_id, score)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_news_user_relevance ON news_user_relevance (user_id, score)');
+
+    // 删除新闻或投资组合时同步删除相关度记录
+    await this.run(
+      `CREATE TRIGGER IF NOT EXISTS news_relevance_delete AFTER DELETE ON news BEGIN
+        DELETE FROM news_portfolio_relevance WHERE news_id = old.id;
+        DELETE FROM news_user_relevance WHERE news_id = old.id;
+      END`
+    );
+    await this.run(
+      `CREATE TRIGGER IF NOT EXISTS portfolio_relevance_delete AFTER DELETE ON portfolios BEGIN
+        DELETE FROM news_portfolio_relevance WHERE portfolio_id = old.id;
+      END`
+    );
+
+    // 旧数据补充规范化链接，用于去重
+    await this.normalizeCanonicalUrls();
+
+    // 旧数据补充语言标记
+    await this.detectNewsLanguages();
+
+    // 新闻全文检索索引
+    await this.createSearchIndex();
+
     // 创建默认管理员用户
     await this.createDefaultAdmin();
     
@@ -156,6 +383,48 @@ class DatabaseService {
     await this.migratePortfolioData();
   }
 
+  // 创建 FTS5 全文索引（外部内容表，通过触发器与 news 表保持同步）
+  async createSearchIndex() {
+    const existing = await this.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'news_fts'"
+    );
+
+    await this.run(
+      `CREATE VIRTUAL TABLE IF NOT EXISTS news_fts USING fts5(
+        title, summary, content,
+        content = 'news', content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      )`
+    );
+
+    const triggers = [
+      `CREATE TRIGGER IF NOT EXISTS news_fts_insert AFTER INSERT ON news BEGIN
+        INSERT INTO news_fts (rowid, title, summary, content)
+        VALUES (new.id, new.title, new.summary, new.content);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS news_fts_delete AFTER DELETE ON news BEGIN
+        INSERT INTO news_fts (news_fts, rowid, title, summary, content)
+        VALUES ('delete', old.id, old.title, old.summary, old.content);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS news_fts_update AFTER UPDATE OF title, summary, content ON news BEGIN
+        INSERT INTO news_fts (news_fts, rowid, title, summary, content)
+        VALUES ('delete', old.id, old.title, old.summary, old.content);
+        INSERT INTO news_fts (rowid, title, summary, content)
+        VALUES (new.id, new.title, new.summary, new.content);
+      END`
+    ];
+
+    for (const trigger of triggers) {
+      await this.run(trigger);
+    }
+
+    // 首次创建时为已有新闻建立索引
+    if (!existing) {
+      await this.run("INSERT INTO news_fts (news_fts) VALUES ('rebuild')");
+      console.log('Built news full-text search index');
+    }
+  }
+
   async createDefaultAdmin() {
     const adminEmail = process.env.ADMIN_EMAIL || 'admin@example.com';
     const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
@@ -220,6 +489,131 @@ class DatabaseService {
     }
   }
 
+  async migrateColumns() {
+    // [表名, 字段名, 字段定义]
+    const columns = [
+      ['news_sources', 'consecutive_failures', 'INTEGER DEFAULT 0'],
+      ['news_sources', 'last_success_at', 'DATETIME'],
+      ['news_sources', 'last_error', 'TEXT'],
+      ['news_sources', 'backoff_until', 'DATETIME'],
+      ['news_sources', 'etag', 'TEXT'],
+      ['news_sources', 'last_modified', 'TEXT'],
+      ['news_sources', 'cursor_guid', 'TEXT'],
+      ['news_sources', 'cursor_published_at', 'DATETIME'],
+      ['news_sources', 'render_mode', "TEXT DEFAULT 'http'"],
+      ['news_sources', 'credibility', 'REAL'],
+      ['news_sources', 'content_type', "TEXT DEFAULT 'news'"],
+      ['news', 'published_at_source', 'TEXT'],
+      ['news', 'cluster_id', 'INTEGER'],
+      ['news', 'simhash', 'TEXT'],
+      ['news', 'symbol_matches', 'TEXT'],
+      ['news', 'compacted_at', 'DATETIME'],
+      ['news', 'author', 'TEXT'],
+      ['news', 'categories', 'TEXT'],
+      ['news', 'source_updated_at', 'DATETIME'],
+      ['news', 'lead_image', 'TEXT'],
+      ['news', 'canonical_url', 'TEXT'],
+      ['news', 'word_count', 'INTEGER'],
+      ['news', 'match_score', 'REAL'],
+      ['news', 'match_explanation', 'TEXT'],
+      ['news', 'source_credibility', 'REAL'],
+      ['news', 'content_type', "TEXT DEFAULT 'news'"],
+      ['news', 'language', 'TEXT'],
+      ['news', 'ai_deferred', 'INTEGER DEFAULT 0']
+    ];
+
+    const added = [];
+    for (const [table, column, definition] of columns) {
+      if (await this.addColumnIfMissing(table, column, definition)) {
+        added.push(`${table}.${column}`);
+      }
+    }
+
+    // 旧版本把入库时间写入 published_at，标记后由 backfill-published-at.js 回填
+    if (added.includes('news.published_at_source')) {
+      await this.run("UPDATE news SET published_at_source = 'ingested'");
+    }
+  }
+
+  // 为已有新闻计算规范化链接（只执行一次）
+  async normalizeCanonicalUrls() {
+    const done = await this.get("SELECT value FROM config WHERE key = 'news_canonical_urls_normalized'");
+    if (done) {
+      return;
+    }
+
+    const rows = await this.all('SELECT id, url, canonical_url FROM news WHERE url IS NOT NULL');
+    for (const row of rows) {
+      const source = row.canonical_url && isUsableCanonical(row.canonical_url, row.url) ? row.canonical_url : row.url;
+      await this.run('UPDATE news SET canonical_url = ? WHERE id = ?', [normalizeUrl(source), row.id]);
+    }
+
+    await this.run("INSERT INTO config (key, value) VALUES ('news_canonical_urls_normalized', '1')");
+    if (rows.length > 0) {
+      console.log(`Normalized canonical URLs for ${rows.length} news items`);
+    }
+  }
+
+  // 为已有新闻识别语言（只执行一次）
+  async detectNewsLanguages() {
+    const done = await this.get("SELECT value FROM config WHERE key = 'news_languages_detected'");
+    if (done) {
+      return;
+    }
+
+    const rows = await this.all('SELECT id, title, substr(content, 1, 2000) AS content FROM news WHERE language IS NULL');
+    for (const row of rows) {
+      await this.run('UPDATE news SET language = ? WHERE id = ?', [detectLanguage(`${row.title} ${row.content || ''}`), row.id]);
+    }
+
+    await this.run("INSERT INTO config (key, value) VALUES ('news_languages_detected', '1')");
+    if (rows.length > 0) {
+      console.log(`Detected language for ${rows.length} news items`);
+    }
+  }
+
+  // 字段不存在时执行 ALTER TABLE 添加，返回是否新增
+  async addColumnIfMissing(table, column, definition) {
+    const existingColumns = await this.all(`PRAGMA table_info(${table})`);
+
+    if (existingColumns.some(col => col.name === column)) {
+      return false;
+    }
+
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+    return true;
+  }
+
+  // 读取全局配置（user_id 为空），值按JSON解析
+  async getGlobalConfig(key, defaultValue = null) {
+    const row = await this.get(
+      'SELECT value FROM config WHERE key = ? AND user_id IS NULL',
+      [key]
+    );
+
+    if (!row) {
+      return defaultValue;
+    }
+
+    try {
+      return JSON.parse(row.value);
+    } catch {
+      return row.value;
+    }
+  }
+
+  // 写入全局配置
+  async setGlobalConfig(key, value) {
+    const valueStr = typeof value === 'string' ? value : JSON.stringify(value);
+
+    await this.run(
+      `INSERT INTO config (key, value, user_id) VALUES (?, ?, NULL)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+      [key, valueStr]
+    );
+  }
+
   // 执行SQL语句（INSERT, UPDATE, DELETE等）
   async run(sql, params = []) {
     return new Promise((resolve, reject) => {
@@ -259,6 +653,52 @@ class DatabaseService {
     });
   }
 
+  /**
+   * 在一个事务中按顺序执行多条语句，任一语句失败时回滚
+   * 语句在 serialize 中连续排队，不会与其他查询交错；多个事务依次执行
+   * @param {Array<{sql: string, params?: Array}>} statements
+   */
+  async transaction(statements) {
+    const run = (this.transactionQueue || Promise.resolve()).then(() => this.runTransaction(statements));
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  runTransaction(statements) {
+    if (statements.length === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let failure = null;
+      const record = err => {
+        if (err && !failure) {
+          failure = err;
+        }
+      };
+
+      this.db.serialize(() => {
+        this.db.run('BEGIN', record);
+        statements.forEach(({ sql, params = [] }, index) => {
+          this.db.run(sql, params, err => {
+            record(err);
+            if (index < statements.length - 1) {
+              return;
+            }
+            // 最后一条语句执行完后根据结果提交或回滚
+            this.db.run(failure ? 'ROLLBACK' : 'COMMIT', endErr => {
+              if (failure || endErr) {
+                reject(failure || endErr);
+              } else {
+                resolve();
+              }
+            });
+          });
+        });
+      });
+    });
+  }
+
   // 保存生成的报告
   async saveReport(reportData) {
     const { type, title, portfolioId, userId, data, topic, days, status = 'generated' } = reportData;
@@ -201,6 +201,16 @@ class EmailService {
     }
   }
 
+  // 新闻来源，附带同一报道的其他来源
+  formatNewsSource(news) {
+    const alternates = [...new Set((news.alternate_sources || []).map(item => item.source))]
+      .filter(source => source && source !== news.source);
+
+    return alternates.length > 0
+      ? `${news.source}（另见：${alternates.join('、')}）`
+      : news.source;
+  }
+
   generateEmailHTML(data) {
     const sentimentEmoji = data.marketSentiment > 0.1 ? '📈' : 
                           data.marketSentiment < -0.1 ? '📉' : '➡️';
@@ -292,7 +302,7 @@ class EmailService {
                 <h4>${news.title}</h4>
                 <p>${news.summary || '暂无摘要'}</p>
                 <p><strong>相关股票：</strong> ${symbols.join(', ')}</p>
-                <p><small>来源：${news.source} | <a href="${news.url}">阅读原文</a></small></p>
+                <p><small>来源：${this.formatNewsSource(news)} | <a href="${news.url}">阅读原文</a></small></p>
             </div>`;
         });
     } else {
@@ -389,7 +399,7 @@ class EmailService {
             text += `- ${news.title}\n`;
             text += `  相关股票：${symbols.join(', ')}\n`;
             text += `  ${news.summary || '暂无摘要'}\n`;
-            text += `  来源：${news.source}\n\n`;
+            text += `  来源：${this.formatNewsSource(news)}\n\n`;
         });
     }
 
@@ -721,7 +731,7 @@ class EmailService {
                 text += `- ${news.title}\n`;
                 text += `  相关股票：${symbols.join(', ')}\n`;
                 text += `  ${news.summary || '暂无摘要'}\n`;
-                text += `  来源：${news.source}\n\n`;
+                text += `  来源：${this.formatNewsSource(news)}\n\n`;
             });
         }
     }
@@ -804,7 +814,7 @@ class EmailService {
             <div class="news-item">
                 <h4><a href="${news.url}" target="_blank">${news.title}</a></h4>
                 <p>${news.summary || '暂无摘要'}</p>
-                <p><small>来源：${news.source} | ${new Date(news.created_at).toLocaleString('zh-CN')}</small></p>
+                <p><small>来源：${this.formatNewsSource(news)} | ${new Date(news.published_at || news.created_at).toLocaleString('zh-CN')}</small></p>
             </div>
             `).join('')}
         </div>
@@ -830,7 +840,7 @@ class EmailService {
         data.news.forEach(news => {
             text += `- ${news.title}\n`;
             text += `  ${news.summary || '暂无摘要'}\n`;
-            text += `  来源：${news.source}\n\n`;
+            text += `  来源：${this.formatNewsSource(news)}\n\n`;
         });
     }
 
@@ -876,6 +886,44 @@ class EmailService {
     }
   }
 
+  /**
+   * 大模型预算提醒（达到提醒比例或已超出预算）
+   */
+  async sendBudgetAlert({ date, level, budget, used, limit, ratio }) {
+    try {
+      const adminEmail = process.env.ADMIN_EMAIL;
+      if (!adminEmail || !this.transporter) {
+        return;
+      }
+
+      const title = level === 'exceeded' ? '大模型预算已用完' : '大模型预算即将用完';
+      const color = level === 'exceeded' ? '#ff4d4f' : '#faad14';
+      const subject = `${title} - ${budget} (${date})`;
+      const htmlContent = `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+          <h2 style="color: ${color};">${title}</h2>
+          <p><strong>日期:</strong> ${date}</p>
+          <p><strong>预算项:</strong> ${budget}</p>
+          <p><strong>已使用:</strong> ${Number(used.toFixed(4))} / ${limit}（${Math.round(ratio * 100)}%）</p>
+          <p>${level === 'exceeded'
+            ? '当天的相关调用已停止：新闻使用抽取式摘要、暂不分析情感，预算恢复后自动补充。'
+            : '达到预算上限后，相关调用将停止并降级处理。'}</p>
+        </div>
+      `;
+
+      await this.transporter.sendMail({
+        from: process.env.EMAIL_FROM,
+        to: adminEmail,
+        subject: subject,
+        html: htmlContent
+      });
+
+      console.log(`Budget alert sent to admin: ${budget} ${level}`);
+    } catch (notificationError) {
+      console.error('Failed to send budget alert:', notificationError);
+    }
+  }
+
   /**
    * 发送主题研究报告
    */
@@ -1235,7 +1283,7 @@ class EmailService {
                         </div>
                         <div>${news.summary || '暂无摘要'}</div>
                         <div class="news-meta">
-                            来源：${news.source} | ${new Date(news.publishedAt || news.created_at).toLocaleString('zh-CN')}
+                            来源：${this.formatNewsSource(news)} | ${new Date(news.publishedAt || news.created_at).toLocaleString('zh-CN')}
                         </div>
                     </div>
                     `).join('')}
@@ -0,0 +1,286 @@
+const DatabaseService = require('./DatabaseService');
+
+const BUDGET_CONFIG_KEY = 'llm_budget';
+
+// 各模型每千 token 的价格（美元），模型名按最长前缀匹配（如 gpt-4o-mini-2024-07-18 匹配 gpt-4o-mini）
+const DEFAULT_PRICING = {
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4.1-mini': { input: 0.0004, output: 0.0016 },
+  'gpt-4.1': { input: 0.002, output: 0.008 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4': { input: 0.03, output: 0.06 }
+};
+
+// 价格表中没有的模型按该价格估算（本地模型可在价格表中设为0）
+const UNKNOWN_MODEL_PRICING = { input: 0.002, output: 0.002 };
+
+// 默认不限额；达到 alertThreshold 比例时提醒管理员
+const DEFAULT_CONFIG = {
+  dailyCostLimit: null,
+  dailyTokenLimit: null,
+  operationCostLimits: {},
+  alertThreshold: 0.8,
+  pricing: DEFAULT_PRICING
+};
+
+function findPricing(pricing, model) {
+  if (!model) {
+    return UNKNOWN_MODEL_PRICING;
+  }
+  if (pricing[model]) {
+    return pricing[model];
+  }
+
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : UNKNOWN_MODEL_PRICING;
+}
+
+// 按 usage 中的 token 数计算一次调用的费用（美元）
+function calculateCost(pricing, model, usage) {
+  if (!usage) {
+    return 0;
+  }
+  const price = findPricing(pricing, model);
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1000;
+}
+
+/**
+ * 大模型用量与预算：按天、操作和模型累计 token 与费用，超出每日预算时拒绝调用，
+ * 达到提醒比例和超出预算时各通知管理员一次
+ */
+class LLMBudgetService {
+  async getConfig() {
+    const stored = await DatabaseService.getGlobalConfig(BUDGET_CONFIG_KEY, {});
+    return {
+      ...DEFAULT_CONFIG,
+      ...stored,
+      operationCostLimits: { ...(stored.operationCostLimits || {}) },
+      pricing: { ...DEFAULT_PRICING, ...(stored.pricing || {}) }
+    };
+  }
+
+  // 校验预算配置，返回错误信息或null
+  validateConfig(config) {
+    const isLimit = value => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+    if (!isLimit(config.dailyCostLimit)) {
+      return 'dailyCostLimit must be null or a non-negative number';
+    }
+    if (!isLimit(config.dailyTokenLimit) || (config.dailyTokenLimit !== null && !Number.isInteger(config.dailyTokenLimit))) {
+      return 'dailyTokenLimit must be null or a non-negative integer';
+    }
+    if (typeof config.alertThreshold !== 'number' || config.alertThreshold <= 0 || config.alertThreshold > 1) {
+      return 'alertThreshold must be a number between 0 and 1';
+    }
+
+    for (const [operation, limit] of Object.entries(config.operationCostLimits)) {
+      if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+        return `operationCostLimits.${operation} must be a non-negative number`;
+      }
+    }
+
+    for (const [model, price] of Object.entries(config.pricing)) {
+      if (!price || typeof price !== 'object'
+        || ![price.input, price.output].every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        return `pricing.${model} must have non-negative input and output prices`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 更新预算配置：operationCostLimits 和 pricing 按名称合并，值为 null 时删除（内置价格恢复默认）
+   */
+  async setConfig(updates) {
+    const current = await this.getConfig();
+    const merge = (base, changes, defaults = {}) => {
+      const result = { ...base };
+      for (const [name, value] of Object.entries(changes || {})) {
+        if (value === null) {
+          delete result[name];
+          if (defaults[name]) {
+            result[name] = defaults[name];
+          }
+        } else {
+          result[name] = value;
+        }
+      }
+      return result;
+    };
+
+    const config = {
+      ...current,
+      ...updates,
+      operationCostLimits: merge(current.operationCostLimits, updates.operationCostLimits),
+      pricing: merge(current.pricing, updates.pricing, DEFAULT_PRICING)
+    };
+    const validationError = this.validateConfig(config);
+
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(BUDGET_CONFIG_KEY, config);
+    return config;
+  }
+
+  // 用量按 UTC 日期统计
+  getUsageDate() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  async getDailyUsage(date = this.getUsageDate()) {
+    const rows = await DatabaseService.all(
+      `SELECT operation, SUM(calls) as calls, SUM(prompt_tokens + completion_tokens) as tokens, SUM(cost) as cost
+       FROM llm_usage WHERE usage_date = ? GROUP BY operation`,
+      [date]
+    );
+
+    return {
+      date,
+      calls: rows.reduce((sum, row) => sum + row.calls, 0),
+      tokens: rows.reduce((sum, row) => sum + row.tokens, 0),
+      cost: rows.reduce((sum, row) => sum + row.cost, 0),
+      operations: Object.fromEntries(rows.map(row => [row.operation, { calls: row.calls, tokens: row.tokens, cost: row.cost }]))
+    };
+  }
+
+  // 当天各项预算（总费用、总 token 和指定操作的费用）的使用比例
+  getBudgetRatios(config, usage, operations = []) {
+    const ratios = [];
+
+    if (config.dailyCostLimit !== null) {
+      ratios.push({ budget: 'daily_cost', used: usage.cost, limit: config.dailyCostLimit });
+    }
+    if (config.dailyTokenLimit !== null) {
+      ratios.push({ budget: 'daily_tokens', used: usage.tokens, limit: config.dailyTokenLimit });
+    }
+    for (const operation of operations) {
+      if (config.operationCostLimits[operation] !== undefined) {
+        const used = usage.operations[operation] ? usage.operations[operation].cost : 0;
+        ratios.push({ budget: `operation:${operation}`, used, limit: config.operationCostLimits[operation] });
+      }
+    }
+
+    return ratios.map(item => ({ ...item, ratio: item.limit > 0 ? item.used / item.limit : 1 }));
+  }
+
+  /**
+   * 检查某个操作当天是否还有预算
+   * @returns {Promise<{allowed: boolean, budget?: string}>}
+   */
+  async checkBudget(operation) {
+    const config = await this.getConfig();
+    const exceeded = this.getBudgetRatios(config, await this.getDailyUsage(), [operation]).find(item => item.ratio >= 1);
+    return exceeded ? { allowed: false, budget: exceeded.budget } : { allowed: true };
+  }
+
+  async isAllowed(operation) {
+    return (await this.checkBudget(operation)).allowed;
+  }
+
+  // 超出预算时抛出 code 为 BUDGET_EXCEEDED 的错误
+  async assertBudget(operation) {
+    const { allowed, budget } = await this.checkBudget(operation);
+    if (!allowed) {
+      const error = new Error(`LLM budget exceeded (${budget}), ${operation} skipped`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.budget = budget;
+      throw error;
+    }
+  }
+
+  /**
+   * 记录一次调用的 token 和费用，返回本次费用（美元）
+   */
+  async recordUsage(operation, model, usage) {
+    const config = await this.getConfig();
+    const cost = calculateCost(config.pricing, model, usage);
+    const promptTokens = (usage && usage.prompt_tokens) || 0;
+    const completionTokens = (usage && usage.completion_tokens) || 0;
+
+    await DatabaseService.run(
+      `INSERT INTO llm_usage (usage_date, operation, model, calls, prompt_tokens, completion_tokens, cost)
+       VALUES (?, ?, ?, 1, ?, ?, ?)
+       ON CONFLICT(usage_date, operation, model) DO UPDATE SET
+         calls = calls + 1,
+         prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+         completion_tokens = completion_tokens + excluded.completion_tokens,
+         cost = cost + excluded.cost`,
+      [this.getUsageDate(), operation, model || 'unknown', promptTokens, completionTokens, cost]
+    );
+
+    await this.checkAlerts(config, operation);
+    return cost;
+  }
+
+  // 达到提醒比例（warning）和超出预算（exceeded）时每天各通知一次
+  async checkAlerts(config, operation) {
+    const date = this.getUsageDate();
+    const ratios = this.getBudgetRatios(config, await this.getDailyUsage(date), [operation]);
+
+    for (const item of ratios) {
+      const level = item.ratio >= 1 ? 'exceeded' : item.ratio >= config.alertThreshold ? 'warning' : null;
+      if (!level) {
+        continue;
+      }
+
+      const result = await DatabaseService.run(
+        'INSERT OR IGNORE INTO llm_budget_alerts (usage_date, budget, level, used, budget_limit) VALUES (?, ?, ?, ?, ?)',
+        [date, item.budget, level, item.used, item.limit]
+      );
+
+      if (result.changes > 0) {
+        console.warn(`大模型预算${level === 'exceeded' ? '已用完' : '即将用完'}: ${item.budget} ${item.used.toFixed(4)} / ${item.limit}`);
+        // 延迟加载，避免与 EmailService → ReportService → LLMService 循环依赖
+        const EmailService = require('./EmailService');
+        await EmailService.sendBudgetAlert({ date, level, ...item });
+      }
+    }
+  }
+
+  // 当天用量、各项预算使用比例和已发出的提醒
+  async getStatus() {
+    const config = await this.getConfig();
+    const usage = await this.getDailyUsage();
+    const budgets = this.getBudgetRatios(config, usage, Object.keys(config.operationCostLimits));
+    const alerts = await DatabaseService.all(
+      'SELECT budget, level, used, budget_limit as "limit", created_at FROM llm_budget_alerts WHERE usage_date = ? ORDER BY created_at',
+      [usage.date]
+    );
+
+    return { usage, budgets, alerts };
+  }
+
+  // 按天、操作和模型列出最近的用量
+  async getUsageHistory(days = 7) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    return DatabaseService.all(
+      `SELECT usage_date as date, operation, model, calls, prompt_tokens, completion_tokens, cost
+       FROM llm_usage WHERE usage_date >= ? ORDER BY usage_date DESC, cost DESC`,
+      [since]
+    );
+  }
+
+  // 清理过期的用量和提醒记录
+  async pruneUsage(days = 90) {
+    try {
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      await DatabaseService.run('DELETE FROM llm_usage WHERE usage_date < ?', [cutoff]);
+      await DatabaseService.run('DELETE FROM llm_budget_alerts WHERE usage_date < ?', [cutoff]);
+    } catch (error) {
+      console.error('Error pruning LLM usage:', error);
+    }
+  }
+}
+
+module.exports = new LLMBudgetService();
+module.exports.DEFAULT_PRICING = DEFAULT_PRICING;
+module.exports.calculateCost = calculateCost;
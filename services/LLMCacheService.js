@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const { stableStringify } = require('../utils/FixtureRecorder');
+
+const CACHE_CONFIG_KEY = 'llm_cache';
+
+// 默认缓存时长（小时）：摘要和情感分析只取决于新闻文本，可以长期复用；连接测试不缓存
+const DEFAULT_CONFIG = {
+  enabled: true,
+  defaultTtlHours: 24,
+  ttlHours: {
+    'NewsService.generateSummary': 720,
+    'NewsService.analyzeSentiment': 720,
+    'config.test-openai': 0
+  }
+};
+
+const MAX_TTL_HOURS = 24 * 365;
+
+/**
+ * 大模型响应缓存：按模型、消息和全部请求参数的哈希保存响应，由 OpenAILogger.loggedOpenAICall 读写
+ * 每个操作可以设置不同的缓存时长，0 表示不缓存；命中和未命中次数按操作累计
+ */
+class LLMCacheService {
+  async getConfig() {
+    const stored = await DatabaseService.getGlobalConfig(CACHE_CONFIG_KEY, {});
+    return {
+      ...DEFAULT_CONFIG,
+      ...stored,
+      ttlHours: { ...DEFAULT_CONFIG.ttlHours, ...(stored.ttlHours || {}) }
+    };
+  }
+
+  // 校验缓存配置，返回错误信息或null
+  validateConfig(config) {
+    if (typeof config.enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+
+    const isValidTtl = value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_TTL_HOURS;
+
+    if (!isValidTtl(config.defaultTtlHours)) {
+      return `defaultTtlHours must be a number between 0 and ${MAX_TTL_HOURS}`;
+    }
+
+    if (!config.ttlHours || typeof config.ttlHours !== 'object' || Array.isArray(config.ttlHours)) {
+      return 'ttlHours must be an object';
+    }
+
+    for (const [operation, value] of Object.entries(config.ttlHours)) {
+      if (!isValidTtl(value)) {
+        return `ttlHours.${operation} must be a number between 0 and ${MAX_TTL_HOURS}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 更新配置：ttlHours 按操作合并，值为 null 时恢复默认
+   */
+  async setConfig(updates) {
+    const current = await this.getConfig();
+    const ttlHours = { ...current.ttlHours };
+
+    for (const [operation, value] of Object.entries(updates.ttlHours || {})) {
+      if (value === null) {
+        delete ttlHours[operation];
+        if (DEFAULT_CONFIG.ttlHours[operation] !== undefined) {
+          ttlHours[operation] = DEFAULT_CONFIG.ttlHours[operation];
+        }
+      } else {
+        ttlHours[operation] = value;
+      }
+    }
+
+    const config = { ...current, ...updates, ttlHours };
+    const validationError = this.validateConfig(config);
+
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(CACHE_CONFIG_KEY, config);
+    return config;
+  }
+
+  getTtlHours(config, operation) {
+    return config.ttlHours[operation] !== undefined ? config.ttlHours[operation] : config.defaultTtlHours;
+  }
+
+  // 缓存键：请求参数（包括模型、消息、max_tokens、temperature 等）的哈希
+  buildKey(params) {
+    return crypto.createHash('sha256').update(stableStringify(params)).digest('hex');
+  }
+
+  /**
+   * 查询缓存，命中时返回保存的响应，未命中或该操作不缓存时返回 null
+   */
+  async get(operation, params) {
+    const config = await this.getConfig();
+    if (!config.enabled || this.getTtlHours(config, operation) <= 0) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const row = await DatabaseService.get(
+      'SELECT key, response FROM llm_cache WHERE key = ? AND expires_at > ?',
+      [this.buildKey(params), now]
+    );
+
+    if (!row) {
+      await this.recordLookup(operation, false);
+      return null;
+    }
+
+    await DatabaseService.run('UPDATE llm_cache SET hits = hits + 1, last_hit_at = ? WHERE key = ?', [now, row.key]);
+    await this.recordLookup(operation, true);
+    return JSON.parse(row.response);
+  }
+
+  // 保存成功的响应（没有返回内容的响应不缓存）
+  async set(operation, params, response) {
+    const config = await this.getConfig();
+    const ttlHours = this.getTtlHours(config, operation);
+    const content = response && response.choices && response.choices[0] && response.choices[0].message
+      ? response.choices[0].message.content
+      : null;
+
+    if (!config.enabled || ttlHours <= 0 || !content) {
+      return;
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000).toISOString();
+
+    await DatabaseService.run(
+      `INSERT INTO llm_cache (key, operation, model, response, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET operation = excluded.operation, model = excluded.model, response = excluded.response,
+         created_at = excluded.created_at, expires_at = excluded.expires_at, hits = 0, last_hit_at = NULL`,
+      [
+        this.buildKey(params),
+        operation,
+        params.model || null,
+        JSON.stringify({
+          id: response.id,
+          model: response.model,
+          choices: response.choices,
+          usage: response.usage,
+          created: response.created
+        }),
+        now.toISOString(),
+        expiresAt
+      ]
+    );
+  }
+
+  async recordLookup(operation, hit) {
+    await DatabaseService.run(
+      `INSERT INTO llm_cache_stats (operation, hits, misses, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(operation) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses,
+         updated_at = excluded.updated_at`,
+      [operation, hit ? 1 : 0, hit ? 0 : 1, new Date().toISOString()]
+    );
+  }
+
+  // 命中率统计（按操作）和当前缓存条目数
+  async getStats() {
+    const rows = await DatabaseService.all('SELECT operation, hits, misses FROM llm_cache_stats ORDER BY operation');
+    const entries = await DatabaseService.all(
+      'SELECT operation, COUNT(*) as count, SUM(hits) as hits FROM llm_cache WHERE expires_at > ? GROUP BY operation',
+      [new Date().toISOString()]
+    );
+
+    const hits = rows.reduce((sum, row) => sum + row.hits, 0);
+    const misses = rows.reduce((sum, row) => sum + row.misses, 0);
+
+    return {
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : 0,
+      entries: entries.reduce((sum, row) => sum + row.count, 0),
+      operations: rows.map(row => ({
+        operation: row.operation,
+        hits: row.hits,
+        misses: row.misses,
+        entries: (entries.find(entry => entry.operation === row.operation) || { count: 0 }).count
+      }))
+    };
+  }
+
+  // 列出缓存条目（不含响应内容）
+  async getEntries({ operation, limit = 50, offset = 0 } = {}) {
+    let whereClause = 'expires_at > ?';
+    const params = [new Date().toISOString()];
+
+    if (operation) {
+      whereClause += ' AND operation = ?';
+      params.push(operation);
+    }
+
+    const entries = await DatabaseService.all(
+      `SELECT key, operation, model, hits, created_at, expires_at, last_hit_at FROM llm_cache
+       WHERE ${whereClause} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const { total } = await DatabaseService.get(`SELECT COUNT(*) as total FROM llm_cache WHERE ${whereClause}`, params);
+
+    return { entries, total };
+  }
+
+  async getEntry(key) {
+    const row = await DatabaseService.get('SELECT * FROM llm_cache WHERE key = ?', [key]);
+    return row ? { ...row, response: JSON.parse(row.response) } : null;
+  }
+
+  /**
+   * 清除缓存：指定 operation 时只清除该操作的条目，expiredOnly 时只清除过期条目
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async purge({ operation, expiredOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (operation) {
+      conditions.push('operation = ?');
+      params.push(operation);
+    }
+    if (expiredOnly) {
+      conditions.push('expires_at <= ?');
+      params.push(new Date().toISOString());
+    }
+
+    const result = await DatabaseService.run(
+      `DELETE FROM llm_cache${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+      params
+    );
+    return result.changes;
+  }
+
+  // 清理过期条目
+  async pruneExpired() {
+    try {
+      await this.purge({ expiredOnly: true });
+    } catch (error) {
+      console.error('Error pruning LLM cache:', error);
+    }
+  }
+}
+
+module.exports = new LLMCacheService();
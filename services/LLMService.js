@@ -0,0 +1,332 @@
+const { OpenAI } = require('openai');
+const DatabaseService = require('./DatabaseService');
+const OpenAILogger = require('../utils/OpenAILogger');
+const { validateSchema, parseJsonContent } = require('../utils/jsonSchema');
+
+const LLM_CONFIG_KEY = 'llm_config';
+
+// AI 调用按任务区分：摘要、情感分析、报告分析、投资建议与深度研究
+const TASKS = ['summary', 'sentiment', 'analysis', 'recommendation'];
+
+const PROVIDER_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+// 密钥会以 Bearer 令牌发送给后端地址，只允许读取 *_API_KEY 环境变量，且不能是其他服务的密钥
+const API_KEY_ENV_PATTERN = /^[A-Z][A-Z0-9_]*_API_KEY$/;
+const RESERVED_KEY_ENVS = ['NEWS_API_KEY', 'FINNHUB_API_KEY', 'ALPHAVANTAGE_API_KEY'];
+const MAX_CHAIN_LENGTH = 5;
+
+// 结构化输出未通过校验时，要求模型修正的最多次数
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// 本机地址不走代理
+function isLoopback(baseUrl) {
+  if (!baseUrl) {
+    return false;
+  }
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(baseUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// 内置后端：OpenAI 和本地 OpenAI 兼容服务（Ollama、vLLM、LM Studio 等，本地服务不走代理、不要求密钥）
+function defaultConfig() {
+  const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+  const chain = timeoutMs => [{ provider: 'openai', model, timeoutMs }];
+
+  return {
+    providers: {
+      openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || null,
+        apiKeyEnv: 'OPENAI_API_KEY',
+        requiresKey: true,
+        useProxy: true
+      },
+      local: {
+        baseUrl: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+        apiKeyEnv: 'LLM_LOCAL_API_KEY',
+        requiresKey: false,
+        useProxy: false
+      }
+    },
+    tasks: {
+      summary: chain(60000),
+      sentiment: chain(30000),
+      analysis: chain(60000),
+      recommendation: chain(60000)
+    }
+  };
+}
+
+/**
+ * 统一的大模型客户端：按任务配置后端、模型和超时，失败时按回退链依次尝试
+ * 所有调用都经过 OpenAILogger 记录日志（录制/回放模式下由夹具提供响应）
+ */
+class LLMService {
+  constructor() {
+    this.config = null;
+    this.clients = new Map();
+  }
+
+  async getConfig() {
+    if (!this.config) {
+      const defaults = defaultConfig();
+      const stored = await DatabaseService.getGlobalConfig(LLM_CONFIG_KEY, {});
+      this.config = {
+        providers: { ...defaults.providers, ...(stored.providers || {}) },
+        tasks: { ...defaults.tasks, ...(stored.tasks || {}) }
+      };
+    }
+    return this.config;
+  }
+
+  // 校验后端和任务配置，返回错误信息或null
+  validateConfig(config) {
+    for (const [name, provider] of Object.entries(config.providers)) {
+      if (!PROVIDER_NAME_PATTERN.test(name)) {
+        return `Invalid provider name: ${name}`;
+      }
+      if (!provider || typeof provider !== 'object') {
+        return `Provider ${name} must be an object`;
+      }
+      if (provider.baseUrl !== null && provider.baseUrl !== undefined) {
+        let parsed;
+        try {
+          parsed = new URL(provider.baseUrl);
+        } catch {
+          return `Provider ${name} baseUrl must be a valid URL`;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+          return `Provider ${name} baseUrl must use http or https`;
+        }
+      }
+      if (provider.apiKeyEnv !== null && provider.apiKeyEnv !== undefined) {
+        if (typeof provider.apiKeyEnv !== 'string' || !API_KEY_ENV_PATTERN.test(provider.apiKeyEnv)) {
+          return `Provider ${name} apiKeyEnv must be an environment variable name ending in _API_KEY`;
+        }
+        if (RESERVED_KEY_ENVS.includes(provider.apiKeyEnv)) {
+          return `Provider ${name} apiKeyEnv cannot use ${provider.apiKeyEnv}`;
+        }
+      }
+      for (const key of ['requiresKey', 'useProxy']) {
+        if (provider[key] !== undefined && typeof provider[key] !== 'boolean') {
+          return `Provider ${name} ${key} must be a boolean`;
+        }
+      }
+    }
+
+    for (const [task, chain] of Object.entries(config.tasks)) {
+      if (!TASKS.includes(task)) {
+        return `Unknown task: ${task}`;
+      }
+      if (!Array.isArray(chain) || chain.length === 0 || chain.length > MAX_CHAIN_LENGTH) {
+        return `Task ${task} must have between 1 and ${MAX_CHAIN_LENGTH} models`;
+      }
+      for (const entry of chain) {
+        if (!entry || !config.providers[entry.provider]) {
+          return `Task ${task} references unknown provider: ${entry && entry.provider}`;
+        }
+        if (typeof entry.model !== 'string' || !entry.model.trim()) {
+          return `Task ${task} model required`;
+        }
+        if (!Number.isInteger(entry.timeoutMs) || entry.timeoutMs < 1000 || entry.timeoutMs > 300000) {
+          return `Task ${task} timeoutMs must be an integer between 1000 and 300000`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 更新配置：providers 按名称合并（值为 null 时删除自定义后端），tasks 按任务替换回退链
+   */
+  async setConfig({ providers = {}, tasks = {} } = {}) {
+    const current = await this.getConfig();
+    const defaults = defaultConfig();
+    const next = {
+      providers: { ...current.providers },
+      tasks: { ...current.tasks, ...tasks }
+    };
+
+    for (const [name, provider] of Object.entries(providers)) {
+      if (provider === null) {
+        if (defaults.providers[name]) {
+          const error = new Error(`Built-in provider cannot be removed: ${name}`);
+          error.status = 400;
+          throw error;
+        }
+        delete next.providers[name];
+      } else {
+        next.providers[name] = { ...(next.providers[name] || {}), ...provider };
+      }
+    }
+
+    const validationError = this.validateConfig(next);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(LLM_CONFIG_KEY, next);
+    this.config = next;
+    this.clients.clear();
+    return next;
+  }
+
+  // 之前保存的配置也可能指向其他密钥，读取时再检查一次
+  getApiKey(provider) {
+    const env = provider.apiKeyEnv;
+    if (!env || !API_KEY_ENV_PATTERN.test(env) || RESERVED_KEY_ENVS.includes(env)) {
+      return null;
+    }
+    return process.env[env] || null;
+  }
+
+  isProviderAvailable(provider) {
+    return !!provider && (provider.requiresKey === false || !!this.getApiKey(provider));
+  }
+
+  // 任务的回退链中是否有可用的后端
+  async isAvailable(task) {
+    const config = await this.getConfig();
+    return (config.tasks[task] || []).some(entry => this.isProviderAvailable(config.providers[entry.provider]));
+  }
+
+  // 创建 OpenAI 兼容客户端（设置了 HTTP_PROXY/HTTPS_PROXY 时非本机地址走代理）
+  createClient({ apiKey, baseUrl, timeoutMs = 60000, useProxy = true }) {
+    const config = {
+      apiKey: apiKey || 'not-needed',
+      timeout: timeoutMs
+    };
+
+    if (baseUrl) {
+      config.baseURL = baseUrl;
+    }
+
+    if (useProxy && !isLoopback(baseUrl) && (process.env.HTTP_PROXY || process.env.HTTPS_PROXY)) {
+      try {
+        const { HttpsProxyAgent } = require('https-proxy-agent');
+        const proxyUrl = process.env.HTTPS_PROXY || process.env.HTTP_PROXY;
+        config.httpAgent = new HttpsProxyAgent(proxyUrl);
+        console.log(`Using proxy: ${proxyUrl}`);
+      } catch (error) {
+        console.warn('Failed to configure proxy:', error.message);
+      }
+    }
+
+    return new OpenAI(config);
+  }
+
+  getClient(name, provider, timeoutMs) {
+    const key = `${name}:${timeoutMs}`;
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.createClient({
+        apiKey: this.getApiKey(provider),
+        baseUrl: provider.baseUrl,
+        timeoutMs,
+        useProxy: provider.useProxy !== false
+      }));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * 调用任务对应的模型（chat.completions），失败时依次尝试回退链中的下一个模型
+   * @param {string} task summary / sentiment / analysis / recommendation
+   * @param {string} operation 日志中的操作名，如 NewsService.generateSummary
+   * @param {object} params 请求参数（不含 model，由任务配置决定）
+   * @param {object} metadata 日志元数据
+   * @param {{validate?: function}} options validate 返回 false 的响应不缓存
+   */
+  async chat(task, operation, params, metadata = {}, options = {}) {
+    const config = await this.getConfig();
+    const chain = (config.tasks[task] || []).filter(entry => this.isProviderAvailable(config.providers[entry.provider]));
+
+    if (chain.length === 0) {
+      throw new Error(`No LLM provider available for task: ${task}`);
+    }
+
+    let lastError;
+    for (let i = 0; i < chain.length; i++) {
+      const { provider, model, timeoutMs } = chain[i];
+      const client = this.getClient(provider, config.providers[provider], timeoutMs);
+
+      try {
+        return await OpenAILogger.loggedOpenAICall(client, operation, { ...params, model }, {
+          ...metadata,
+          task,
+          provider,
+          model
+        }, options);
+      } catch (error) {
+        // 预算按操作计算，换模型也无法继续调用
+        if (error.code === 'BUDGET_EXCEEDED') {
+          throw error;
+        }
+        lastError = error;
+        if (i < chain.length - 1) {
+          console.warn(`${operation} 使用 ${provider}/${model} 失败，回退到 ${chain[i + 1].provider}/${chain[i + 1].model}: ${error.message}`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // 解析并校验回复内容，返回 { result, errors }
+  checkStructuredResponse(response, schema) {
+    try {
+      const result = parseJsonContent(response.choices[0].message.content);
+      return { result, errors: validateSchema(schema, result) };
+    } catch (error) {
+      return { errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+
+  buildRepairPrompt(schema, errors) {
+    return `你上一次的回复不符合要求：\n${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}\n\n`
+      + `请修正后只返回JSON（不要使用markdown代码块或其他文字），格式必须符合以下JSON Schema：\n${JSON.stringify(schema)}`;
+  }
+
+  /**
+   * 调用模型并按 JSON Schema 解析和校验回复，不符合时把错误发回模型要求修正
+   * 每次校验失败都记入 OpenAI 日志（按操作统计）
+   * @param {object} schema 输出的 JSON Schema
+   * @returns {Promise<object>} 通过校验的结果，修正后仍不符合时抛出 code 为 INVALID_OUTPUT 的错误
+   */
+  async chatStructured(task, operation, params, schema, metadata = {}) {
+    const options = { validate: response => this.checkStructuredResponse(response, schema).errors.length === 0 };
+    let messages = params.messages;
+
+    for (let attempt = 0; ; attempt++) {
+      const attemptMetadata = attempt > 0 ? { ...metadata, repairAttempt: attempt } : metadata;
+      const response = await this.chat(task, operation, { ...params, messages }, attemptMetadata, options);
+      const { result, errors } = this.checkStructuredResponse(response, schema);
+
+      if (errors.length === 0) {
+        return result;
+      }
+
+      const content = response.choices?.[0]?.message?.content || '';
+      await OpenAILogger.logValidationFailure(operation, content, errors, { ...attemptMetadata, task, model: response.model });
+
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        const error = new Error(`${operation} output failed schema validation: ${errors.slice(0, 3).join('; ')}`);
+        error.code = 'INVALID_OUTPUT';
+        error.validationErrors = errors;
+        throw error;
+      }
+
+      messages = [
+        ...messages,
+        { role: 'assistant', content },
+        { role: 'user', content: this.buildRepairPrompt(schema, errors) }
+      ];
+    }
+  }
+}
+
+module.exports = new LLMService();
+module.exports.TASKS = TASKS;
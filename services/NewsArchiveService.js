@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const DatabaseService = require('./DatabaseService');
+const NewsClusterService = require('./NewsClusterService');
+
+const RETENTION_CONFIG_KEY = 'news_retention';
+const RETENTION_MODES = ['compact', 'delete'];
+
+// 默认保留策略：30天后压缩（删除正文，保留标题/摘要/情感/股票），一年后导出归档并删除
+const DEFAULT_POLICY = {
+  retentionDays: 30,
+  mode: 'compact',
+  purgeAfterDays: 365
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class NewsArchiveService {
+  getArchiveDir() {
+    return process.env.ARCHIVE_PATH || path.join(path.dirname(process.env.DB_PATH || './data/market_daily.db'), 'archive');
+  }
+
+  async getPolicy() {
+    const stored = await DatabaseService.getGlobalConfig(RETENTION_CONFIG_KEY, {});
+    return { ...DEFAULT_POLICY, ...stored };
+  }
+
+  // 校验保留策略，返回错误信息或null
+  validatePolicy(policy) {
+    const { retentionDays, mode, purgeAfterDays } = policy;
+
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+      return 'retentionDays must be a positive integer';
+    }
+
+    if (!RETENTION_MODES.includes(mode)) {
+      return `mode must be one of: ${RETENTION_MODES.join(', ')}`;
+    }
+
+    if (purgeAfterDays !== null && (!Number.isInteger(purgeAfterDays) || purgeAfterDays <= retentionDays)) {
+      return 'purgeAfterDays must be null or an integer greater than retentionDays';
+    }
+
+    return null;
+  }
+
+  async setPolicy(updates) {
+    const policy = { ...(await this.getPolicy()), ...updates };
+    const validationError = this.validatePolicy(policy);
+
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(RETENTION_CONFIG_KEY, policy);
+    return policy;
+  }
+
+  /**
+   * 执行保留策略
+   * compact 模式：超过保留期的新闻删除正文；超过 purgeAfterDays 的按月导出归档后删除
+   * delete 模式：超过保留期的新闻直接删除
+   */
+  async applyRetention(now = new Date()) {
+    const policy = await this.getPolicy();
+    const cutoff = new Date(now.getTime() - policy.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = { compacted: 0, deleted: 0, exported: [] };
+
+    if (policy.mode === 'delete') {
+      const deleted = await DatabaseService.run('DELETE FROM news WHERE published_at < ?', [cutoff]);
+      result.deleted = deleted.changes;
+    } else {
+      const compacted = await DatabaseService.run(
+        `UPDATE news SET content = NULL, compacted_at = ?
+         WHERE published_at < ? AND compacted_at IS NULL`,
+        [now.toISOString(), cutoff]
+      );
+      result.compacted = compacted.changes;
+
+      if (policy.purgeAfterDays) {
+        // 按整月删除，保证每个月份的归档文件完整
+        const purgeCutoff = new Date(now.getTime() - policy.purgeAfterDays * 24 * 60 * 60 * 1000);
+        const purgeMonth = purgeCutoff.toISOString().substring(0, 7);
+        const purged = await this.purgeBefore(`${purgeMonth}-01T00:00:00.000Z`);
+        result.deleted = purged.deleted;
+        result.exported = purged.exported;
+      }
+    }
+
+    if (result.deleted > 0) {
+      await NewsClusterService.pruneClusters();
+    }
+
+    return result;
+  }
+
+  // 删除前先把涉及的月份导出到归档目录，导出失败则不删除
+  async purgeBefore(cutoff) {
+    const months = await DatabaseService.all(
+      `SELECT DISTINCT substr(published_at, 1, 7) as month FROM news
+       WHERE published_at < ?
+       ORDER BY month`,
+      [cutoff]
+    );
+
+    if (months.length === 0) {
+      return { deleted: 0, exported: [] };
+    }
+
+    const exported = [];
+    for (const { month } of months) {
+      exported.push(await this.exportMonthToFile(month));
+    }
+
+    const deleted = await DatabaseService.run('DELETE FROM news WHERE published_at < ?', [cutoff]);
+    return { deleted: deleted.changes, exported };
+  }
+
+  // 按月份统计新闻（含已压缩数量和归档文件）
+  async listMonths() {
+    const months = await DatabaseService.all(
+      `SELECT substr(published_at, 1, 7) as month,
+         COUNT(*) as total,
+         SUM(CASE WHEN compacted_at IS NOT NULL THEN 1 ELSE 0 END) as compacted
+       FROM news
+       WHERE published_at IS NOT NULL
+       GROUP BY month
+       ORDER BY month DESC`
+    );
+
+    const archiveDir = this.getArchiveDir();
+    const archivedFiles = fs.existsSync(archiveDir)
+      ? fs.readdirSync(archiveDir).filter(file => /^news-\d{4}-\d{2}\.jsonl\.gz$/.test(file))
+      : [];
+    const archivedMonths = new Set(archivedFiles.map(file => file.slice(5, 12)));
+
+    const result = months.map(row => ({ ...row, archived: archivedMonths.has(row.month) }));
+
+    // 已从数据库删除、只剩归档文件的月份
+    for (const month of archivedMonths) {
+      if (!result.some(row => row.month === month)) {
+        result.push({ month, total: 0, compacted: 0, archived: true });
+      }
+    }
+
+    return result.sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  isValidMonth(month) {
+    return MONTH_PATTERN.test(month);
+  }
+
+  // 逐行生成某月新闻的 JSONL
+  async *monthLines(month) {
+    const pageSize = 500;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await DatabaseService.all(
+        `SELECT * FROM news
+         WHERE substr(published_at, 1, 7) = ? AND id > ?
+         ORDER BY id
+         LIMIT ?`,
+        [month, lastId, pageSize]
+      );
+
+      for (const row of rows) {
+        yield JSON.stringify(row) + '\n';
+      }
+
+      if (rows.length < pageSize) {
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  // 将某月新闻以 gzip 压缩的 JSONL 写入输出流；数据库中已删除时使用归档文件
+  async exportMonth(month, output) {
+    const archiveFile = path.join(this.getArchiveDir(), `news-${month}.jsonl.gz`);
+    const inDatabase = await DatabaseService.get(
+      'SELECT COUNT(*) as count FROM news WHERE substr(published_at, 1, 7) = ?',
+      [month]
+    );
+
+    if (inDatabase.count === 0) {
+      if (!fs.existsSync(archiveFile)) {
+        return false;
+      }
+      await pipeline(fs.createReadStream(archiveFile), output);
+      return true;
+    }
+
+    await pipeline(Readable.from(this.monthLines(month)), zlib.createGzip(), output);
+    return true;
+  }
+
+  async exportMonthToFile(month) {
+    const archiveDir = this.getArchiveDir();
+    if (!fs.existsSync(archiveDir)) {
+      fs.mkdirSync(archiveDir, { recursive: true });
+    }
+
+    const file = path.join(archiveDir, `news-${month}.jsonl.gz`);
+    const tempFile = `${file}.tmp`;
+
+    // 已有归档文件时（月份删除后又收到该月发布的新闻）追加一个 gzip 成员，gunzip 会按顺序解压
+    await pipeline(Readable.from(this.monthLines(month)), zlib.createGzip(), fs.createWriteStream(tempFile));
+    fs.appendFileSync(file, fs.readFileSync(tempFile));
+    fs.unlinkSync(tempFile);
+
+    console.log(`Exported news archive ${file}`);
+    return file;
+  }
+}
+
+module.exports = new NewsArchiveService();
+module.exports.RETENTION_MODES = RETENTION_MODES;
@@ -0,0 +1,245 @@
+const DatabaseService = require('./DatabaseService');
+const { titleTokens, jaccard, simhash, hammingDistance } = require('../utils/fingerprint');
+
+// 标题词集合相似度阈值（标题至少包含4个有效词时才比较）
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+const MIN_TITLE_TOKENS = 4;
+// 正文 SimHash 汉明距离阈值
+const SIMHASH_DISTANCE_THRESHOLD = 3;
+// 正文过短时指纹不可靠，不计算 SimHash
+const MIN_CONTENT_LENGTH = 300;
+// 只与发布时间相差2天以内的新闻比较
+const CLUSTER_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+class NewsClusterService {
+  // 计算正文指纹
+  computeSimhash(content) {
+    if (!content || content.length < MIN_CONTENT_LENGTH) {
+      return null;
+    }
+    return simhash(content);
+  }
+
+  // 判断两条新闻是否为同一报道
+  isNearDuplicate(a, b) {
+    const tokensA = titleTokens(a.title);
+    const tokensB = titleTokens(b.title);
+
+    if (tokensA.size >= MIN_TITLE_TOKENS && tokensB.size >= MIN_TITLE_TOKENS &&
+        jaccard(tokensA, tokensB) >= TITLE_SIMILARITY_THRESHOLD) {
+      return true;
+    }
+
+    return !!a.simhash && !!b.simhash &&
+      hammingDistance(a.simhash, b.simhash) <= SIMHASH_DISTANCE_THRESHOLD;
+  }
+
+  /**
+   * 为新闻分配报道聚类：与时间窗口内的近似重复新闻归为一类，否则新建聚类
+   * @param {Object} news 包含 id, title, simhash, published_at
+   * @returns {number} 聚类ID
+   */
+  async assignCluster(news) {
+    const publishedTime = new Date(news.published_at || Date.now()).getTime();
+
+    const candidates = await DatabaseService.all(
+      `SELECT id, title, simhash, cluster_id FROM news
+       WHERE id != ? AND cluster_id IS NOT NULL
+       AND published_at >= ? AND published_at <= ?
+       ORDER BY published_at DESC
+       LIMIT 1000`,
+      [
+        news.id,
+        new Date(publishedTime - CLUSTER_WINDOW_MS).toISOString(),
+        new Date(publishedTime + CLUSTER_WINDOW_MS).toISOString()
+      ]
+    );
+
+    const match = candidates.find(candidate => this.isNearDuplicate(news, candidate));
+    let clusterId;
+
+    if (match) {
+      clusterId = match.cluster_id;
+    } else {
+      const result = await DatabaseService.run(
+        'INSERT INTO news_clusters (canonical_news_id) VALUES (?)',
+        [news.id]
+      );
+      clusterId = result.id;
+    }
+
+    await DatabaseService.run('UPDATE news SET cluster_id = ? WHERE id = ?', [clusterId, news.id]);
+    await this.refreshCluster(clusterId);
+
+    return clusterId;
+  }
+
+  // 重新计算聚类的代表新闻（最早发布的一篇）和统计信息
+  async refreshCluster(clusterId) {
+    const members = await DatabaseService.all(
+      `SELECT id, published_at FROM news
+       WHERE cluster_id = ?
+       ORDER BY published_at ASC, id ASC`,
+      [clusterId]
+    );
+
+    if (members.length === 0) {
+      await DatabaseService.run('DELETE FROM news_clusters WHERE id = ?', [clusterId]);
+      return;
+    }
+
+    await DatabaseService.run(
+      `UPDATE news_clusters
+       SET canonical_news_id = ?, article_count = ?, first_published_at = ?, last_published_at = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        members[0].id,
+        members.length,
+        members[0].published_at,
+        members[members.length - 1].published_at,
+        clusterId
+      ]
+    );
+  }
+
+  // 为尚未聚类的新闻（如升级前的旧数据）补充指纹并聚类
+  async clusterPendingNews(limit = 500) {
+    try {
+      const pending = await DatabaseService.all(
+        `SELECT id, title, content, simhash, published_at FROM news
+         WHERE cluster_id IS NULL
+         ORDER BY published_at ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      for (const news of pending) {
+        if (!news.simhash) {
+          news.simhash = this.computeSimhash(news.content);
+          if (news.simhash) {
+            await DatabaseService.run('UPDATE news SET simhash = ? WHERE id = ?', [news.simhash, news.id]);
+          }
+        }
+        await this.assignCluster(news);
+      }
+
+      return pending.length;
+    } catch (error) {
+      console.error('Error clustering pending news:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 只保留聚类代表新闻的SQL条件
+   * @param {string} alias news 表别名
+   */
+  canonicalCondition(alias = 'news') {
+    return `(${alias}.cluster_id IS NULL OR ${alias}.id = ` +
+      `(SELECT nc.canonical_news_id FROM news_clusters nc WHERE nc.id = ${alias}.cluster_id))`;
+  }
+
+  // 获取聚类中的全部新闻，按聚类ID分组
+  async getClusterMembers(clusterIds) {
+    const members = new Map();
+    if (clusterIds.length === 0) {
+      return members;
+    }
+
+    const rows = await DatabaseService.all(
+      `SELECT id, title, url, source, published_at, cluster_id FROM news
+       WHERE cluster_id IN (${clusterIds.map(() => '?').join(',')})
+       ORDER BY published_at ASC`,
+      clusterIds
+    );
+
+    for (const row of rows) {
+      if (!members.has(row.cluster_id)) {
+        members.set(row.cluster_id, []);
+      }
+      members.get(row.cluster_id).push(row);
+    }
+
+    return members;
+  }
+
+  /**
+   * 将新闻列表按报道聚类合并：每个聚类只保留一条（优先代表新闻），
+   * 并附加 alternate_sources（同一报道的其他来源）和 cluster_size
+   */
+  async collapseClusters(newsList) {
+    const clusterIds = [...new Set(newsList.map(news => news.cluster_id).filter(Boolean))];
+
+    const canonicalIds = new Map();
+    if (clusterIds.length > 0) {
+      const clusters = await DatabaseService.all(
+        `SELECT id, canonical_news_id FROM news_clusters
+         WHERE id IN (${clusterIds.map(() => '?').join(',')})`,
+        clusterIds
+      );
+      clusters.forEach(cluster => canonicalIds.set(cluster.id, cluster.canonical_news_id));
+    }
+
+    // 选出每个聚类的代表：列表中有代表新闻时用代表新闻，否则用列表中第一条
+    const representatives = new Map();
+    for (const news of newsList) {
+      if (!news.cluster_id) {
+        continue;
+      }
+      const current = representatives.get(news.cluster_id);
+      if (!current || (news.id === canonicalIds.get(news.cluster_id) && current.id !== news.id)) {
+        representatives.set(news.cluster_id, news);
+      }
+    }
+
+    const members = await this.getClusterMembers(clusterIds);
+
+    const result = [];
+    for (const news of newsList) {
+      if (!news.cluster_id) {
+        result.push({ ...news, alternate_sources: [], cluster_size: 1 });
+        continue;
+      }
+
+      if (representatives.get(news.cluster_id) !== news) {
+        continue;
+      }
+
+      const clusterMembers = members.get(news.cluster_id) || [];
+      result.push({
+        ...news,
+        alternate_sources: clusterMembers
+          .filter(member => member.id !== news.id)
+          .map(({ id, title, url, source, published_at }) => ({ id, title, url, source, published_at })),
+        cluster_size: Math.max(clusterMembers.length, 1)
+      });
+    }
+
+    return result;
+  }
+
+  // 删除新闻后清理空聚类，并刷新成员变化或失去代表新闻的聚类
+  async pruneClusters() {
+    try {
+      await DatabaseService.run(
+        `DELETE FROM news_clusters
+         WHERE id NOT IN (SELECT DISTINCT cluster_id FROM news WHERE cluster_id IS NOT NULL)`
+      );
+
+      const stale = await DatabaseService.all(
+        `SELECT c.id FROM news_clusters c
+         WHERE c.canonical_news_id NOT IN (SELECT id FROM news)
+         OR c.article_count != (SELECT COUNT(*) FROM news n WHERE n.cluster_id = c.id)`
+      );
+
+      for (const cluster of stale) {
+        await this.refreshCluster(cluster.id);
+      }
+    } catch (error) {
+      console.error('Error pruning news clusters:', error);
+    }
+  }
+}
+
+module.exports = new NewsClusterService();
@@ -0,0 +1,513 @@
+const DatabaseService = require('./DatabaseService');
+const NewsService = require('./NewsService');
+const NewsSourceService = require('./NewsSourceService');
+const NewsProviderService = require('./NewsProviderService');
+const LLMCacheService = require('./LLMCacheService');
+const LLMBudgetService = require('./LLMBudgetService');
+const NewsClusterService = require('./NewsClusterService');
+const NewsRelevanceService = require('./NewsRelevanceService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { normalizeUrl } = require('../utils/urlNormalizer');
+
+const PIPELINE_CONFIG_KEY = 'news_pipeline';
+
+// 默认每个阶段的并发数；超过 lockTimeoutMinutes 仍在运行的任务视为已中断
+const DEFAULT_CONFIG = {
+  fetchConcurrency: 4,
+  contentConcurrency: 4,
+  enrichConcurrency: 2,
+  lockTimeoutMinutes: 120
+};
+
+// 每个来源每次最多处理的相关新闻数
+const PER_SOURCE_LIMITS = {
+  feed: 10,
+  provider: 50,
+  scrape: 5
+};
+
+const STAGES = ['fetch', 'filter', 'content', 'enrich', 'persist'];
+
+/**
+ * 新闻抓取流水线：抓取源 → 过滤 → 抓取正文 → AI增强 → 入库
+ * 每个阶段有独立的并发上限，同一时间只允许一个任务运行，每次运行的统计写入 news_runs
+ */
+class NewsPipelineService {
+  async getConfig() {
+    const stored = await DatabaseService.getGlobalConfig(PIPELINE_CONFIG_KEY, {});
+    return { ...DEFAULT_CONFIG, ...stored };
+  }
+
+  // 校验流水线配置，返回错误信息或null
+  validateConfig(config) {
+    for (const key of ['fetchConcurrency', 'contentConcurrency', 'enrichConcurrency']) {
+      if (!Number.isInteger(config[key]) || config[key] < 1 || config[key] > 20) {
+        return `${key} must be an integer between 1 and 20`;
+      }
+    }
+
+    if (!Number.isInteger(config.lockTimeoutMinutes) || config.lockTimeoutMinutes < 10) {
+      return 'lockTimeoutMinutes must be an integer of at least 10';
+    }
+
+    return null;
+  }
+
+  async setConfig(updates) {
+    const config = { ...(await this.getConfig()), ...updates };
+    const validationError = this.validateConfig(config);
+
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(PIPELINE_CONFIG_KEY, config);
+    return config;
+  }
+
+  async isRunning() {
+    const config = await this.getConfig();
+    const row = await DatabaseService.get(
+      "SELECT id FROM news_runs WHERE status = 'running' AND started_at > ?",
+      [this.getLockCutoff(config)]
+    );
+    return !!row;
+  }
+
+  getLockCutoff(config) {
+    return new Date(Date.now() - config.lockTimeoutMinutes * 60 * 1000).toISOString();
+  }
+
+  // 获取运行锁：没有未超时的运行中任务时插入新记录（单条语句，保证原子性）
+  async acquireRun(triggeredBy, config) {
+    const now = new Date().toISOString();
+    const cutoff = this.getLockCutoff(config);
+
+    // 进程崩溃等原因遗留的运行记录
+    await DatabaseService.run(
+      "UPDATE news_runs SET status = 'abandoned', finished_at = ? WHERE status = 'running' AND started_at <= ?",
+      [now, cutoff]
+    );
+
+    const result = await DatabaseService.run(
+      `INSERT INTO news_runs (triggered_by, status, started_at)
+       SELECT ?, 'running', ?
+       WHERE NOT EXISTS (SELECT 1 FROM news_runs WHERE status = 'running' AND started_at > ?)`,
+      [triggeredBy, now, cutoff]
+    );
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    return result.id;
+  }
+
+  /**
+   * 执行一次新闻更新
+   * @param {{triggeredBy: string}} options cron / manual
+   * @returns {Promise<object>} 运行记录
+   */
+  async run({ triggeredBy = 'cron' } = {}) {
+    const config = await this.getConfig();
+    const runId = await this.acquireRun(triggeredBy, config);
+
+    if (!runId) {
+      console.log('上一次新闻更新仍在运行，跳过本次更新');
+      const now = new Date().toISOString();
+      const skipped = await DatabaseService.run(
+        `INSERT INTO news_runs (triggered_by, status, started_at, finished_at, duration_ms, error)
+         VALUES (?, 'skipped', ?, ?, 0, ?)`,
+        [triggeredBy, now, now, 'Previous run still in progress']
+      );
+      return this.getRun(skipped.id);
+    }
+
+    const startTime = Date.now();
+    const stats = this.createStats();
+
+    try {
+      await this.runStages(config, stats);
+
+      await NewsClusterService.clusterPendingNews();
+      stats.aiBackfilled = await this.backfillDeferredAnalysis();
+      await NewsService.cleanOldNews();
+      await NewsSourceService.pruneFetchHistory();
+      await NewsProviderService.pruneUsage();
+      await LLMCacheService.pruneExpired();
+      await LLMBudgetService.pruneUsage();
+      await this.pruneRuns();
+
+      await this.finishRun(runId, 'completed', stats, startTime);
+      console.log(`新闻更新完成：新增 ${stats.created} 条，重复 ${stats.duplicate} 条，失败 ${stats.failed} 条，耗时 ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error('Error updating news:', error);
+      await this.finishRun(runId, 'failed', stats, startTime, error);
+      throw error;
+    }
+
+    return this.getRun(runId);
+  }
+
+  // 补充之前因超出预算或调用失败而降级的摘要和情感分析，失败时不影响本次运行
+  async backfillDeferredAnalysis() {
+    try {
+      const { processed } = await NewsService.processDeferredAnalysis();
+      if (processed > 0) {
+        console.log(`已为 ${processed} 条新闻补充摘要和情感分析`);
+      }
+      return processed;
+    } catch (error) {
+      console.error('Error processing deferred news analysis:', error);
+      return 0;
+    }
+  }
+
+  createStats() {
+    return {
+      sources: { total: 0, succeeded: 0, notModified: 0, failed: 0, quarantined: 0 },
+      providers: {},
+      stages: Object.fromEntries(STAGES.map(stage => [stage, { input: 0, output: 0, failed: 0, durationMs: 0 }])),
+      created: 0,
+      duplicate: 0,
+      failed: 0,
+      aiDeferred: 0,
+      aiBackfilled: 0
+    };
+  }
+
+  async timeStage(stats, stage, input, fn) {
+    const startTime = Date.now();
+    stats.stages[stage].input = input;
+    const output = await fn(stats.stages[stage]);
+    stats.stages[stage].output = output.length;
+    stats.stages[stage].durationMs = Date.now() - startTime;
+    console.log(`[${stage}] 输入 ${input}，输出 ${output.length}，失败 ${stats.stages[stage].failed}，耗时 ${stats.stages[stage].durationMs}ms`);
+    return output;
+  }
+
+  async runStages(config, stats) {
+    const portfolio = await NewsService.getPortfolioSymbols();
+    const industries = await NewsService.getWatchedIndustries();
+
+    const sources = await NewsSourceService.getEnabledSources();
+    const feedSources = sources.filter(source => source.type !== 'scrape');
+    const scrapeSources = sources.filter(source => source.type === 'scrape');
+
+    // 优先RSS/Atom/JSON Feed和外部新闻接口（News API、Finnhub）；全部失败时才使用网页抓取
+    const primaryJobs = feedSources.map(source => ({ kind: 'feed', name: source.name, source }));
+    for (const provider of NewsProviderService.getEnabledProviders()) {
+      primaryJobs.push({ kind: 'provider', name: NewsProviderService.PROVIDERS[provider].name, provider });
+    }
+
+    const fetched = await this.timeStage(stats, 'fetch', primaryJobs.length, async stageStats => {
+      let results = await this.fetchSources(primaryJobs, config.fetchConcurrency, portfolio, industries, stats, stageStats);
+
+      if (results.length === 0 && scrapeSources.length > 0) {
+        console.log('RSS和API都失败，尝试网页抓取...');
+        const scrapeJobs = scrapeSources.map(source => ({ kind: 'scrape', name: source.name, source }));
+        stageStats.input += scrapeJobs.length;
+        results = await this.fetchSources(scrapeJobs, config.fetchConcurrency, portfolio, industries, stats, stageStats);
+      }
+
+      return results;
+    });
+
+    // 候选条目对应的抓取结果，处理失败的订阅源条目记入该结果的 pendingGuids
+    const origins = new Map();
+    const candidates = await this.timeStage(
+      stats, 'filter',
+      fetched.reduce((sum, result) => sum + result.articles.length, 0),
+      () => this.filterArticles(fetched, portfolio, industries, stats, origins)
+    );
+
+    const prepared = await this.timeStage(stats, 'content', candidates.length, async stageStats => {
+      const results = await mapWithConcurrency(candidates, config.contentConcurrency, article =>
+        NewsService.fetchNewsContent(article)
+      );
+      this.markFailed(results, candidates, origins);
+      return this.collect(results, stats, stageStats, item => {
+        if (item.duplicateId) {
+          stats.duplicate++;
+          return false;
+        }
+        return true;
+      });
+    });
+
+    const enriched = await this.timeStage(stats, 'enrich', prepared.length, async stageStats => {
+      const results = await mapWithConcurrency(prepared, config.enrichConcurrency, item =>
+        NewsService.enrichNews(item, portfolio, industries)
+      );
+      this.markFailed(results, prepared.map(item => item.article), origins);
+      return this.collect(results, stats, stageStats);
+    });
+
+    // SQLite 写入按顺序执行
+    await this.timeStage(stats, 'persist', enriched.length, async stageStats => {
+      const saved = [];
+      for (const item of enriched) {
+        try {
+          const result = await NewsService.persistNews(item);
+          if (result.status === 'created') {
+            stats.created++;
+            if (item.aiDeferred) {
+              stats.aiDeferred++;
+            }
+            saved.push(result);
+          } else {
+            stats.duplicate++;
+          }
+        } catch (error) {
+          console.error(`保存新闻失败: ${item.article.url}`, error.message);
+          this.markPending(item.article, origins, error);
+          stageStats.failed++;
+          stats.failed++;
+        }
+      }
+      return saved;
+    });
+
+    // 订阅源游标只越过已入库或确定不需要（不相关、重复）的条目，超出每源上限或处理失败的条目下次重新处理，
+    // 连续失败达到重试上限的条目不再阻挡游标；
+    // 有未处理完的条目时保留原有的条件请求验证器，避免下次抓取返回 304 而跳过这些条目
+    for (const result of fetched) {
+      if (result.feedState) {
+        const { source } = result.job;
+        const exhausted = await NewsSourceService.recordItemFailures(source.id, result.failedGuids, result.pendingGuids);
+        const pendingGuids = new Set([...result.pendingGuids].filter(guid => !exhausted.has(guid)));
+        const validators = pendingGuids.size > 0
+          ? { etag: source.etag, lastModified: source.last_modified }
+          : result.feedState;
+        await NewsSourceService.updateFeedState(source.id, {
+          ...validators,
+          ...NewsService.computeFeedCursor(result.feedArticles, source, pendingGuids)
+        });
+      }
+      if (result.providerState) {
+        await NewsProviderService.updateState(result.job.provider, result.providerState);
+      }
+    }
+  }
+
+  // 抓取来源并记录抓取健康度，返回成功抓取的来源及其候选条目
+  async fetchSources(jobs, concurrency, portfolio, industries, stats, stageStats) {
+    const runnable = jobs.filter(job => {
+      if (job.source && NewsSourceService.isQuarantined(job.source)) {
+        console.log(`${job.name} 处于退避期，跳过至 ${job.source.backoff_until}`);
+        stats.sources.quarantined++;
+        return false;
+      }
+      return true;
+    });
+    stats.sources.total += jobs.length;
+
+    const results = await mapWithConcurrency(runnable, concurrency, async job => {
+      const startTime = Date.now();
+
+      try {
+        let result;
+        if (job.kind === 'feed') {
+          result = await NewsService.fetchFeedSource(job.source);
+        } else if (job.kind === 'scrape') {
+          const articles = await NewsService.fetchScrapeArticles(job.source);
+          result = { itemCount: articles.length, articles };
+        } else {
+          const fetched = await NewsProviderService.fetchProviderArticles(job.provider, portfolio, industries);
+          stats.providers[job.provider] = {
+            requests: fetched.requests,
+            articles: fetched.articles.length,
+            quotaExhausted: fetched.quotaExhausted
+          };
+          result = { itemCount: fetched.articles.length, articles: fetched.articles, providerState: fetched.state };
+        }
+
+        if (job.source) {
+          await NewsSourceService.recordFetch(job.source, {
+            status: result.notModified ? 'not_modified' : 'success',
+            itemCount: result.itemCount,
+            latencyMs: Date.now() - startTime
+          });
+        }
+
+        return { job, ...result };
+      } catch (error) {
+        console.error(`${job.name} 抓取失败:`, error.message);
+        if (job.source) {
+          await NewsSourceService.recordFetch(job.source, {
+            status: 'failure',
+            latencyMs: Date.now() - startTime,
+            error
+          });
+        }
+        throw error;
+      }
+    });
+
+    const succeeded = [];
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        stats.sources.failed++;
+        stageStats.failed++;
+      } else {
+        stats.sources.succeeded++;
+        if (result.value.notModified) {
+          stats.sources.notModified++;
+        }
+        succeeded.push(result.value);
+      }
+    }
+
+    return succeeded;
+  }
+
+  /**
+   * 相关度评分过滤、批内去重和数据库去重，每源保留得分最高的若干条
+   * 订阅源超出上限的条目记入抓取结果的 pendingGuids，保留的条目与抓取结果的对应关系记入 origins
+   */
+  async filterArticles(fetched, portfolio, industries, stats, origins = new Map()) {
+    const scoringConfig = await NewsRelevanceService.getScoringConfig();
+    const seen = new Set();
+    const candidates = [];
+
+    for (const result of fetched) {
+      const { job, articles } = result;
+      if (result.feedState) {
+        result.pendingGuids = new Set();
+        result.failedGuids = new Map();
+      }
+
+      const credibility = job.source ? job.source.credibility : null;
+      const sourceContentType = job.source ? job.source.content_type : 'news';
+      const scored = [];
+      for (const article of articles) {
+        const relevance = await NewsRelevanceService.scoreArticle({ ...article, credibility }, portfolio, industries, scoringConfig);
+        if (relevance.relevant) {
+          const contentType = NewsSourceService.detectContentType(article, sourceContentType);
+          scored.push({ ...article, credibility, contentType, relevance });
+        }
+      }
+
+      // 先去重再取上限，已入库的条目不占用名额
+      let kept = 0;
+      for (const article of scored.sort((a, b) => b.relevance.score - a.relevance.score)) {
+        const key = normalizeUrl(article.url);
+        if (seen.has(key)) {
+          stats.duplicate++;
+          continue;
+        }
+
+        if (await NewsService.checkDuplicate(article)) {
+          seen.add(key);
+          stats.duplicate++;
+          continue;
+        }
+
+        if (kept >= PER_SOURCE_LIMITS[job.kind]) {
+          if (result.pendingGuids) {
+            result.pendingGuids.add(article.guid);
+          }
+          continue;
+        }
+
+        seen.add(key);
+        kept++;
+        origins.set(article, result);
+        candidates.push(article);
+      }
+    }
+
+    return candidates;
+  }
+
+  // 订阅源条目未处理完（超出上限或处理失败），游标不越过该条目；处理失败的条目记录错误，计入重试次数
+  markPending(article, origins, error = null) {
+    const result = origins.get(article);
+    if (result && result.pendingGuids) {
+      result.pendingGuids.add(article.guid);
+      if (error) {
+        result.failedGuids.set(article.guid, error.message || String(error));
+      }
+    }
+  }
+
+  // 并发阶段处理失败的条目
+  markFailed(results, articles, origins) {
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        this.markPending(articles[index], origins, result.reason);
+      }
+    });
+  }
+
+  // 汇总并发阶段的结果，失败的条目计入统计
+  collect(results, stats, stageStats, keep = () => true) {
+    const output = [];
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.error('新闻处理失败:', result.reason && result.reason.message);
+        stageStats.failed++;
+        stats.failed++;
+      } else if (keep(result.value)) {
+        output.push(result.value);
+      }
+    }
+
+    return output;
+  }
+
+  async finishRun(runId, status, stats, startTime, error = null) {
+    await DatabaseService.run(
+      `UPDATE news_runs SET status = ?, finished_at = ?, duration_ms = ?, stats = ?, error = ?
+       WHERE id = ?`,
+      [
+        status,
+        new Date().toISOString(),
+        Date.now() - startTime,
+        JSON.stringify(stats),
+        error ? String(error.message || error).substring(0, 500) : null,
+        runId
+      ]
+    );
+  }
+
+  formatRun(row) {
+    return row ? { ...row, stats: row.stats ? JSON.parse(row.stats) : null } : null;
+  }
+
+  async getRun(id) {
+    const row = await DatabaseService.get('SELECT * FROM news_runs WHERE id = ?', [id]);
+    return this.formatRun(row);
+  }
+
+  async getRuns({ limit = 20, status } = {}) {
+    let whereClause = '1=1';
+    const params = [];
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    const rows = await DatabaseService.all(
+      `SELECT * FROM news_runs WHERE ${whereClause} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+
+    return rows.map(row => this.formatRun(row));
+  }
+
+  async pruneRuns(days = 30) {
+    try {
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      await DatabaseService.run("DELETE FROM news_runs WHERE started_at < ? AND status != 'running'", [cutoff]);
+    } catch (error) {
+      console.error('Error pruning news runs:', error);
+    }
+  }
+}
+
+module.exports = new NewsPipelineService();
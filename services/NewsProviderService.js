@@ -0,0 +1,541 @@
+const axios = require('axios');
+const DatabaseService = require('./DatabaseService');
+const { containsCJK, splitKeywords } = require('../utils/language');
+
+const PROVIDER_STATE_KEY = 'news_provider_state';
+
+// 外部新闻接口。dailyLimit 为每日请求配额（可通过环境变量覆盖），
+// requestsPerRun 为每次新闻更新最多使用的请求数，minIntervalMs 为两次请求的最小间隔
+const PROVIDERS = {
+  newsapi: {
+    name: 'News API',
+    baseUrl: 'https://newsapi.org/v2',
+    keyEnv: ['NEWSAPI_KEY', 'NEWS_API_KEY'],
+    keyParam: 'apiKey',
+    limitEnv: 'NEWSAPI_DAILY_LIMIT',
+    dailyLimit: 100,
+    requestsPerRun: 6,
+    minIntervalMs: 0
+  },
+  finnhub: {
+    name: 'Finnhub',
+    baseUrl: 'https://finnhub.io/api/v1',
+    keyEnv: ['FINNHUB_API_KEY'],
+    keyParam: 'token',
+    limitEnv: 'FINNHUB_DAILY_LIMIT',
+    dailyLimit: 1000,
+    requestsPerRun: 10,
+    // 免费版每分钟60次
+    minIntervalMs: 1000
+  }
+};
+
+// News API 查询语句长度上限、单页条数和每条查询最多翻页数
+const NEWSAPI_MAX_QUERY_LENGTH = 500;
+const NEWSAPI_PAGE_SIZE = 100;
+const NEWSAPI_MAX_PAGES = 3;
+// 抓取最近几天的新闻
+const LOOKBACK_DAYS = 7;
+
+// 没有投资组合和行业数据时使用的通用财经关键词
+const GENERIC_KEYWORDS = [
+  'Apple', 'Microsoft', 'Google', 'Tesla', 'Amazon',
+  'stock market', 'earnings', 'finance', 'investment',
+  'S&P 500', 'Nasdaq', 'Dow Jones', 'Federal Reserve'
+];
+const SUPPLEMENT_KEYWORDS = ['stock market', 'finance', 'earnings', 'investment'];
+
+// 美股代码（Finnhub 免费版公司新闻只支持北美上市公司）
+const US_SYMBOL_PATTERN = /^[A-Z]{1,5}(\.[A-Z])?$/;
+// A股/港股代码，英文新闻接口无法检索
+const MARKET_CODE_PATTERN = /^\d+(\.[A-Z]+)?$/i;
+
+class NewsProviderService {
+  constructor() {
+    // 每个接口的请求排队，保证最小请求间隔
+    this.queues = {};
+    this.lastRequestAt = {};
+  }
+
+  getApiKey(providerId) {
+    return PROVIDERS[providerId].keyEnv.map(name => process.env[name]).find(Boolean) || null;
+  }
+
+  isEnabled(providerId) {
+    return !!this.getApiKey(providerId);
+  }
+
+  getEnabledProviders() {
+    return Object.keys(PROVIDERS).filter(id => this.isEnabled(id));
+  }
+
+  getDailyLimit(providerId) {
+    const provider = PROVIDERS[providerId];
+    const value = parseInt(process.env[provider.limitEnv]);
+    return Number.isInteger(value) && value > 0 ? value : provider.dailyLimit;
+  }
+
+  // 配额按 UTC 日期统计
+  getUsageDate() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  // 占用一次请求配额（单条语句，保证并发时不超额），配额用完或当天被限流时返回 false
+  async reserveRequest(providerId) {
+    const usageDate = this.getUsageDate();
+    await DatabaseService.run(
+      'INSERT OR IGNORE INTO news_provider_usage (provider, usage_date) VALUES (?, ?)',
+      [providerId, usageDate]
+    );
+
+    const result = await DatabaseService.run(
+      `UPDATE news_provider_usage SET requests = requests + 1, last_request_at = ?
+       WHERE provider = ? AND usage_date = ? AND requests < ? AND rate_limited_at IS NULL`,
+      [new Date().toISOString(), providerId, usageDate, this.getDailyLimit(providerId)]
+    );
+
+    return result.changes > 0;
+  }
+
+  async recordUsage(providerId, { articles = 0, error = null, rateLimited = false } = {}) {
+    await DatabaseService.run(
+      `UPDATE news_provider_usage
+       SET articles = articles + ?, last_error = ?, rate_limited_at = CASE WHEN ? THEN ? ELSE rate_limited_at END
+       WHERE provider = ? AND usage_date = ?`,
+      [
+        articles,
+        error ? String(error.message || error).substring(0, 500) : null,
+        rateLimited ? 1 : 0,
+        new Date().toISOString(),
+        providerId,
+        this.getUsageDate()
+      ]
+    );
+  }
+
+  // 请求是否实际发出（配额不足时在发出前就被拒绝）
+  isRequestSent(error) {
+    return error.code !== 'QUOTA_EXHAUSTED' || !!error.rateLimited;
+  }
+
+  quotaError(providerId) {
+    const error = new Error(`${PROVIDERS[providerId].name} daily quota exhausted`);
+    error.code = 'QUOTA_EXHAUSTED';
+    return error;
+  }
+
+  async throttle(providerId) {
+    const { minIntervalMs } = PROVIDERS[providerId];
+    const previous = this.queues[providerId] || Promise.resolve();
+
+    const turn = previous.then(async () => {
+      const wait = (this.lastRequestAt[providerId] || 0) + minIntervalMs - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      this.lastRequestAt[providerId] = Date.now();
+    });
+
+    this.queues[providerId] = turn;
+    return turn;
+  }
+
+  /**
+   * 请求外部新闻接口并计入当天配额
+   * 配额用完或接口返回429时抛出 code 为 QUOTA_EXHAUSTED 的错误（429 会让当天剩余请求全部跳过）
+   */
+  async request(providerId, path, params = {}) {
+    const provider = PROVIDERS[providerId];
+    const apiKey = this.getApiKey(providerId);
+
+    if (!apiKey) {
+      throw new Error(`${provider.name} API key not configured`);
+    }
+
+    await this.throttle(providerId);
+
+    if (!(await this.reserveRequest(providerId))) {
+      throw this.quotaError(providerId);
+    }
+
+    try {
+      const response = await axios.get(`${provider.baseUrl}${path}`, {
+        params: { ...params, [provider.keyParam]: apiKey },
+        timeout: 15000
+      });
+
+      if (response.data && response.data.status === 'error') {
+        throw new Error(`${provider.name}错误: ${response.data.message}`);
+      }
+
+      return response.data;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      const rateLimited = status === 429;
+      const message = error.response && error.response.data && error.response.data.message;
+
+      await this.recordUsage(providerId, { error: message || error.message, rateLimited });
+
+      if (rateLimited) {
+        const quotaError = this.quotaError(providerId);
+        quotaError.rateLimited = true;
+        throw quotaError;
+      }
+      if (message) {
+        error.message = `${provider.name}错误: ${message}`;
+      }
+      if (error.response && error.response.data) {
+        error.providerCode = error.response.data.code;
+      }
+      throw error;
+    }
+  }
+
+  // 按日期统计各接口的请求数和配额
+  async getUsage(days = 7) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const rows = await DatabaseService.all(
+      'SELECT * FROM news_provider_usage WHERE usage_date >= ? ORDER BY usage_date DESC',
+      [since]
+    );
+    const today = this.getUsageDate();
+
+    return Object.entries(PROVIDERS).map(([id, provider]) => {
+      const history = rows.filter(row => row.provider === id);
+      const current = history.find(row => row.usage_date === today);
+      const dailyLimit = this.getDailyLimit(id);
+      const used = current ? current.requests : 0;
+
+      return {
+        id,
+        name: provider.name,
+        enabled: this.isEnabled(id),
+        dailyLimit,
+        requestsPerRun: provider.requestsPerRun,
+        today: {
+          requests: used,
+          articles: current ? current.articles : 0,
+          remaining: current && current.rate_limited_at ? 0 : Math.max(dailyLimit - used, 0),
+          rateLimitedAt: current ? current.rate_limited_at : null,
+          lastError: current ? current.last_error : null
+        },
+        history: history.map(row => ({ date: row.usage_date, requests: row.requests, articles: row.articles }))
+      };
+    });
+  }
+
+  async getState() {
+    return DatabaseService.getGlobalConfig(PROVIDER_STATE_KEY, {});
+  }
+
+  // 保存接口游标（查询轮换位置、Finnhub 最新新闻ID），由流水线在入库后调用
+  async updateState(providerId, state) {
+    const stored = await this.getState();
+    await DatabaseService.setGlobalConfig(PROVIDER_STATE_KEY, { ...stored, [providerId]: state });
+  }
+
+  // 清理过期的配额记录
+  async pruneUsage(days = 90) {
+    try {
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      await DatabaseService.run('DELETE FROM news_provider_usage WHERE usage_date < ?', [cutoff]);
+    } catch (error) {
+      console.error('Error pruning provider usage:', error);
+    }
+  }
+
+  // 由投资组合和关注行业生成检索词（去重，英文接口不使用中文词和A股/港股代码）
+  buildSearchTerms(portfolio, industries) {
+    const terms = [];
+
+    portfolio.forEach(stock => {
+      terms.push(stock.symbol);
+      if (stock.name) {
+        terms.push(stock.name);
+      }
+    });
+
+    industries.forEach(industry => {
+      terms.push(industry.name);
+      terms.push(...splitKeywords(industry.keywords));
+    });
+
+    terms.push(...(portfolio.length === 0 && industries.length === 0 ? GENERIC_KEYWORDS : SUPPLEMENT_KEYWORDS));
+
+    const seen = new Set();
+    return terms
+      .map(term => String(term || '').trim())
+      .filter(term => term && !containsCJK(term) && !MARKET_CODE_PATTERN.test(term))
+      .filter(term => {
+        const key = term.toLowerCase();
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * 把检索词拆成多条 OR 查询，每条不超过 News API 的长度上限
+   * 含空格或符号的词加引号作为短语检索
+   */
+  buildQueries(terms, maxLength = NEWSAPI_MAX_QUERY_LENGTH) {
+    const queries = [];
+    let current = [];
+
+    for (const term of terms) {
+      const quoted = /^[A-Za-z0-9]+$/.test(term) ? term : `"${term.replace(/"/g, '')}"`;
+      if (quoted.length > maxLength) {
+        continue;
+      }
+
+      const next = [...current, quoted].join(' OR ');
+      if (next.length > maxLength && current.length > 0) {
+        queries.push(current.join(' OR '));
+        current = [quoted];
+      } else {
+        current.push(quoted);
+      }
+    }
+
+    if (current.length > 0) {
+      queries.push(current.join(' OR '));
+    }
+
+    return queries;
+  }
+
+  normalizeNewsApiArticle(article) {
+    return {
+      title: article.title,
+      url: article.url,
+      source: PROVIDERS.newsapi.name,
+      publisher: article.source && article.source.name ? article.source.name : null,
+      author: article.author || null,
+      description: article.description,
+      snippet: article.content || null,
+      publishedAt: article.publishedAt,
+      categories: []
+    };
+  }
+
+  normalizeFinnhubArticle(item) {
+    return {
+      id: item.id,
+      title: item.headline,
+      url: item.url,
+      source: PROVIDERS.finnhub.name,
+      publisher: item.source || null,
+      author: null,
+      description: item.summary,
+      snippet: item.summary || null,
+      publishedAt: item.datetime ? new Date(item.datetime * 1000).toISOString() : null,
+      categories: item.category ? [item.category] : [],
+      symbols: item.related ? splitKeywords(item.related) : []
+    };
+  }
+
+  // 翻页读取一条 News API 查询，返回条目和使用的请求数；第一页失败时抛出错误，之后的翻页失败时保留已读取的条目
+  async searchNewsApi(query, { from, sortBy = 'publishedAt', pageSize = NEWSAPI_PAGE_SIZE, maxPages = NEWSAPI_MAX_PAGES, budget = maxPages } = {}) {
+    const articles = [];
+    let requests = 0;
+    let quotaExhausted = false;
+
+    for (let page = 1; page <= Math.min(maxPages, budget); page++) {
+      let data;
+      try {
+        data = await this.request('newsapi', '/everything', {
+          q: query,
+          sortBy,
+          language: 'en',
+          pageSize,
+          page,
+          from
+        });
+        requests++;
+      } catch (error) {
+        if (page === 1) {
+          throw error;
+        }
+        if (this.isRequestSent(error)) {
+          requests++;
+        }
+        quotaExhausted = error.code === 'QUOTA_EXHAUSTED';
+        // 免费版最多返回100条，超出后的翻页请求返回 maximumResultsReached
+        if (!quotaExhausted && error.providerCode !== 'maximumResultsReached') {
+          console.error(`News API翻页失败: ${error.message}`);
+        }
+        break;
+      }
+
+      const pageArticles = (data.articles || []).filter(article => article.title && article.url);
+      articles.push(...pageArticles.map(article => this.normalizeNewsApiArticle(article)));
+
+      const returned = (data.articles || []).length;
+      if (returned < pageSize || page * pageSize >= (data.totalResults || 0)) {
+        break;
+      }
+    }
+
+    return { articles, requests, quotaExhausted };
+  }
+
+  /**
+   * 从外部接口抓取候选新闻（不入库，由抓取流水线统一处理）
+   * 每次更新最多使用 requestsPerRun 次请求，检索词或股票较多时从上次的位置轮换继续
+   * @returns {Promise<{articles: object[], requests: number, quotaExhausted: boolean, state: object}>}
+   */
+  async fetchProviderArticles(providerId, portfolio, industries) {
+    const state = (await this.getState())[providerId] || {};
+    const result = providerId === 'newsapi'
+      ? await this.fetchNewsApiArticles(portfolio, industries, state)
+      : await this.fetchFinnhubArticles(portfolio, state);
+
+    if (result.requests > 0) {
+      await this.recordUsage(providerId, { articles: result.articles.length });
+    }
+
+    console.log(`${PROVIDERS[providerId].name} 使用 ${result.requests} 次请求，返回 ${result.articles.length} 条新闻${result.quotaExhausted ? '（今日配额已用完）' : ''}`);
+    return result;
+  }
+
+  async fetchNewsApiArticles(portfolio, industries, state) {
+    const queries = this.buildQueries(this.buildSearchTerms(portfolio, industries));
+    const from = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const budget = PROVIDERS.newsapi.requestsPerRun;
+    const articles = [];
+    let requests = 0;
+    let quotaExhausted = false;
+    let processed = 0;
+
+    const offset = queries.length > 0 ? (state.queryOffset || 0) % queries.length : 0;
+    console.log(`News API 共 ${queries.length} 条查询，从第 ${offset + 1} 条开始`);
+
+    while (processed < queries.length && requests < budget) {
+      const query = queries[(offset + processed) % queries.length];
+      try {
+        const result = await this.searchNewsApi(query, { from, budget: budget - requests });
+        articles.push(...result.articles);
+        requests += result.requests;
+        processed++;
+        if (result.quotaExhausted) {
+          quotaExhausted = true;
+          break;
+        }
+      } catch (error) {
+        if (this.isRequestSent(error)) {
+          requests++;
+        }
+        if (error.code === 'QUOTA_EXHAUSTED') {
+          quotaExhausted = true;
+          break;
+        }
+        // 已有部分结果时保留，全部失败时交给流水线记为来源失败
+        if (articles.length === 0) {
+          throw error;
+        }
+        console.error(`News API查询失败: ${error.message}`);
+        processed++;
+      }
+    }
+
+    return {
+      articles,
+      requests,
+      quotaExhausted,
+      state: { ...state, queryOffset: queries.length > 0 ? (offset + processed) % queries.length : 0 }
+    };
+  }
+
+  async fetchFinnhubArticles(portfolio, state) {
+    const budget = PROVIDERS.finnhub.requestsPerRun;
+    const articles = [];
+    let requests = 0;
+    let quotaExhausted = false;
+    let minId = state.minId || 0;
+    let marketError = null;
+
+    // 市场要闻：minId 之后的新条目
+    try {
+      const items = await this.request('finnhub', '/news', { category: 'general', minId });
+      requests++;
+      for (const item of items || []) {
+        if (item.headline && item.url) {
+          articles.push(this.normalizeFinnhubArticle(item));
+        }
+        minId = Math.max(minId, item.id || 0);
+      }
+    } catch (error) {
+      if (this.isRequestSent(error)) {
+        requests++;
+      }
+      if (error.code === 'QUOTA_EXHAUSTED') {
+        quotaExhausted = true;
+      } else {
+        console.error(`Finnhub 市场新闻获取失败: ${error.message}`);
+        marketError = error;
+      }
+    }
+
+    // 公司新闻：按股票轮换，每次更新用剩余的请求数
+    const symbols = [...new Set(portfolio.map(stock => stock.symbol).filter(symbol => US_SYMBOL_PATTERN.test(symbol)))];
+    const offset = symbols.length > 0 ? (state.symbolOffset || 0) % symbols.length : 0;
+    let processed = 0;
+    const to = new Date();
+    const from = new Date(to.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    while (!quotaExhausted && processed < symbols.length && requests < budget) {
+      const symbol = symbols[(offset + processed) % symbols.length];
+      try {
+        const items = await this.getCompanyNews(symbol, from, to);
+        articles.push(...items);
+        requests++;
+      } catch (error) {
+        if (this.isRequestSent(error)) {
+          requests++;
+        }
+        if (error.code === 'QUOTA_EXHAUSTED') {
+          quotaExhausted = true;
+          break;
+        }
+        console.error(`Finnhub ${symbol} 公司新闻获取失败: ${error.message}`);
+      }
+      processed++;
+    }
+
+    // 没有任何结果时交给流水线记为来源失败
+    if (marketError && articles.length === 0) {
+      throw marketError;
+    }
+
+    return {
+      articles,
+      requests,
+      quotaExhausted,
+      state: { ...state, minId, symbolOffset: symbols.length > 0 ? (offset + processed) % symbols.length : 0 }
+    };
+  }
+
+  async getCompanyNews(symbol, from, to = new Date()) {
+    const items = await this.request('finnhub', '/company-news', {
+      symbol,
+      from: from.toISOString().split('T')[0],
+      to: to.toISOString().split('T')[0]
+    });
+
+    return (items || [])
+      .filter(item => item.headline && item.url)
+      .map(item => ({ ...this.normalizeFinnhubArticle(item), symbols: [symbol] }));
+  }
+
+  async getMarketNews() {
+    const items = await this.request('finnhub', '/news', { category: 'general' });
+    return (items || [])
+      .filter(item => item.headline && item.url)
+      .map(item => this.normalizeFinnhubArticle(item));
+  }
+}
+
+module.exports = new NewsProviderService();
+module.exports.PROVIDERS = PROVIDERS;
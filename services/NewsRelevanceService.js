@@ -0,0 +1,465 @@
+const DatabaseService = require('./DatabaseService');
+const SymbolAliasService = require('./SymbolAliasService');
+const { splitKeywords } = require('../utils/language');
+
+const { wordBoundaryRegExp } = SymbolAliasService;
+
+const SCORING_CONFIG_KEY = 'relevance_scoring';
+
+// 入库相关度评分：各因素得分相加后与阈值比较，weights 为每个因素的最高分
+const DEFAULT_SCORING_CONFIG = {
+  threshold: 0.5,
+  weights: {
+    titleSymbol: 0.6, // 标题中出现持仓股票（乘以识别置信度）
+    bodySymbol: 0.3, // 摘要/正文中提及持仓股票（按提及方式数量，最多3种）
+    titleIndustry: 0.4, // 标题中出现关注行业名称或关键词
+    bodyIndustry: 0.2, // 摘要/正文中出现关注行业（按命中关键词数量，最多3个）
+    financialKeyword: 0.15, // 标题中出现通用财经词
+    sourceCredibility: 0.2, // 乘以来源可信度（0-1）
+    recency: 0.2 // 刚发布时满分，recencyHours 后降为0
+  },
+  recencyHours: 48,
+  defaultCredibility: 0.5
+};
+
+const MAX_BODY_MENTIONS = 3;
+
+// 通用财经词（中英文），单独出现时只能贡献少量分数
+const FINANCIAL_KEYWORDS = [
+  'stock', 'stocks', 'market', 'markets', 'earnings', 'revenue', 'profit', 'loss',
+  'shares', 'dividend', 'investment', 'investor', 'investors', 'trading', 'nasdaq', 'dow',
+  's&p', 'fed', 'interest rate', 'inflation', 'gdp', 'economy', 'economic', 'wall street',
+  'finance', 'financial', 'ipo', 'merger', 'acquisition', 'quarter', 'fiscal',
+  '股票', '股市', 'A股', '港股', '美股', '沪指', '深成指', '创业板', '科创板', '恒指', '恒生指数',
+  '财报', '业绩', '营收', '净利润', '亏损', '分红', '派息', '上市', '并购', '收购', '回购',
+  '央行', '降息', '加息', '利率', '通胀', '经济', '证监会', '美联储', '季度'
+];
+
+// 行业名称/关键词出现在标题中比只出现在正文中更相关
+const INDUSTRY_TITLE_SCORE = 1;
+const INDUSTRY_BODY_SCORE = 0.5;
+
+// 持仓或关注行业变化后重新计算的新闻范围
+const RESCORE_DAYS = 30;
+
+function roundScore(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+class NewsRelevanceService {
+  constructor() {
+    this.scoringConfig = null;
+    // 各用户正在进行的后台重算（userId -> { rerun, promise }）
+    this.pendingRescores = new Map();
+  }
+
+  async getScoringConfig() {
+    if (this.scoringConfig === null) {
+      const stored = await DatabaseService.getGlobalConfig(SCORING_CONFIG_KEY, {});
+      this.scoringConfig = {
+        ...DEFAULT_SCORING_CONFIG,
+        ...stored,
+        weights: { ...DEFAULT_SCORING_CONFIG.weights, ...(stored.weights || {}) }
+      };
+    }
+    return this.scoringConfig;
+  }
+
+  // 校验评分配置，返回错误信息或null
+  validateScoringConfig(config) {
+    if (typeof config.threshold !== 'number' || config.threshold < 0 || config.threshold > 5) {
+      return 'threshold must be a number between 0 and 5';
+    }
+
+    if (!config.weights || typeof config.weights !== 'object' || Array.isArray(config.weights)) {
+      return 'weights must be an object';
+    }
+
+    for (const [factor, weight] of Object.entries(config.weights)) {
+      if (!(factor in DEFAULT_SCORING_CONFIG.weights)) {
+        return `Unknown weight: ${factor}`;
+      }
+      if (typeof weight !== 'number' || weight < 0 || weight > 5) {
+        return `Weight ${factor} must be a number between 0 and 5`;
+      }
+    }
+
+    if (typeof config.recencyHours !== 'number' || config.recencyHours <= 0 || config.recencyHours > 720) {
+      return 'recencyHours must be a number between 0 and 720';
+    }
+
+    if (typeof config.defaultCredibility !== 'number' || config.defaultCredibility < 0 || config.defaultCredibility > 1) {
+      return 'defaultCredibility must be a number between 0 and 1';
+    }
+
+    return null;
+  }
+
+  async setScoringConfig(updates) {
+    const current = await this.getScoringConfig();
+    const config = {
+      ...current,
+      ...updates,
+      weights: { ...current.weights, ...(updates.weights || {}) }
+    };
+
+    const validationError = this.validateScoringConfig(config);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    await DatabaseService.setGlobalConfig(SCORING_CONFIG_KEY, config);
+    this.scoringConfig = config;
+    return config;
+  }
+
+  /**
+   * 为候选新闻打分：持仓股票、关注行业、通用财经词、来源可信度和发布时间
+   * @param {Object} article title、description、content、source、credibility、publishedAt
+   * @param {Array} portfolio 所有用户的持仓股票
+   * @param {Array} industries 所有用户关注的行业
+   * @returns {{score: number, threshold: number, relevant: boolean, explanation: Array<{factor, points, detail}>}}
+   */
+  async scoreArticle(article, portfolio, industries, config = null) {
+    const scoring = config || await this.getScoringConfig();
+    const { weights } = scoring;
+    const title = article.title || '';
+    const body = [article.description, article.content].filter(Boolean).join('\n');
+    const explanation = [];
+    const add = (factor, points, detail) => {
+      if (points > 0) {
+        explanation.push({ factor, points: roundScore(points), detail });
+      }
+    };
+
+    // 持仓股票：标题按最高置信度计分，正文按不同提及方式的数量计分
+    const tracked = new Set(portfolio.map(stock => stock.symbol.toUpperCase()));
+    const trackedMatches = async text => {
+      const { symbols, matches } = await SymbolAliasService.tagSymbols(text, portfolio);
+      return matches.filter(match => symbols.includes(match.symbol) && tracked.has(match.symbol));
+    };
+
+    const titleSymbols = await trackedMatches(title);
+    if (titleSymbols.length > 0) {
+      add('titleSymbol', weights.titleSymbol * titleSymbols[0].confidence,
+        titleSymbols.map(match => match.symbol).join(', '));
+    }
+
+    if (body) {
+      const bodySymbols = await trackedMatches(body);
+      const mentions = bodySymbols.reduce((sum, match) => sum + match.mentions.length, 0);
+      if (bodySymbols.length > 0) {
+        add('bodySymbol', weights.bodySymbol * bodySymbols[0].confidence * Math.min(mentions, MAX_BODY_MENTIONS) / MAX_BODY_MENTIONS,
+          bodySymbols.map(match => `${match.symbol} (${match.mentions.map(mention => mention.text).join(', ')})`).join('; '));
+      }
+    }
+
+    // 关注行业
+    const titleIndustries = [];
+    const bodyKeywords = new Set();
+    for (const industry of industries) {
+      const keywords = [industry.name, ...splitKeywords(industry.keywords)]
+        .map(keyword => keyword.trim())
+        .filter(Boolean);
+      const titleKeyword = keywords.find(keyword => wordBoundaryRegExp(keyword, false).test(title));
+      if (titleKeyword) {
+        titleIndustries.push(`${industry.name}: ${titleKeyword}`);
+      }
+      keywords.filter(keyword => wordBoundaryRegExp(keyword, false).test(body))
+        .forEach(keyword => bodyKeywords.add(keyword.toLowerCase()));
+    }
+    if (titleIndustries.length > 0) {
+      add('titleIndustry', weights.titleIndustry, titleIndustries.join('; '));
+    }
+    if (bodyKeywords.size > 0) {
+      add('bodyIndustry', weights.bodyIndustry * Math.min(bodyKeywords.size, MAX_BODY_MENTIONS) / MAX_BODY_MENTIONS,
+        [...bodyKeywords].join(', '));
+    }
+
+    // 通用财经词（按单词匹配，"loss" 不会命中 "glossy"）
+    const financialWords = FINANCIAL_KEYWORDS.filter(keyword => wordBoundaryRegExp(keyword, false).test(title));
+    if (financialWords.length > 0) {
+      add('financialKeyword', weights.financialKeyword, financialWords.join(', '));
+    }
+
+    // 来源可信度
+    const credibility = typeof article.credibility === 'number' ? article.credibility : scoring.defaultCredibility;
+    add('sourceCredibility', weights.sourceCredibility * credibility, `${article.source || 'unknown'} (${credibility})`);
+
+    // 发布时间：没有发布时间时按一半计分
+    const publishedTime = article.publishedAt ? new Date(article.publishedAt).getTime() : NaN;
+    if (Number.isNaN(publishedTime)) {
+      add('recency', weights.recency * 0.5, 'unknown publish time');
+    } else {
+      const ageHours = Math.max(0, (Date.now() - publishedTime) / (60 * 60 * 1000));
+      add('recency', weights.recency * Math.max(0, 1 - ageHours / scoring.recencyHours), `${Math.round(ageHours)}h old`);
+    }
+
+    const score = roundScore(explanation.reduce((sum, item) => sum + item.points, 0));
+    return {
+      score,
+      threshold: scoring.threshold,
+      relevant: score >= scoring.threshold,
+      explanation
+    };
+  }
+
+  /**
+   * 加载打分需要的用户画像：每个投资组合的股票、每个用户的旧版持仓和关注行业
+   * @param {number|null} userId 只加载某个用户时传入
+   */
+  async loadProfiles(userId = null) {
+    const userFilter = userId ? ' WHERE p.user_id = ?' : '';
+    const params = userId ? [userId] : [];
+
+    const portfolioRows = await DatabaseService.all(
+      `SELECT p.id AS portfolio_id, p.user_id, ps.symbol, ps.name
+       FROM portfolios p
+       LEFT JOIN portfolio_stocks ps ON ps.portfolio_id = p.id${userFilter}`,
+      params
+    );
+    const legacyRows = await DatabaseService.all(
+      `SELECT user_id, symbol, name FROM portfolio WHERE user_id ${userId ? '= ?' : 'IS NOT NULL'}`,
+      params
+    );
+    const industryRows = await DatabaseService.all(
+      `SELECT user_id, name, keywords FROM industries WHERE user_id ${userId ? '= ?' : 'IS NOT NULL'}`,
+      params
+    );
+
+    const portfolios = new Map();
+    const users = new Map();
+    const getUser = id => {
+      if (!users.has(id)) {
+        users.set(id, { legacyStocks: [], industries: [] });
+      }
+      return users.get(id);
+    };
+
+    for (const row of portfolioRows) {
+      if (!portfolios.has(row.portfolio_id)) {
+        portfolios.set(row.portfolio_id, { id: row.portfolio_id, userId: row.user_id, stocks: [] });
+      }
+      if (row.symbol) {
+        portfolios.get(row.portfolio_id).stocks.push({ symbol: row.symbol, name: row.name });
+      }
+      if (row.user_id) {
+        getUser(row.user_id);
+      }
+    }
+    legacyRows.forEach(row => getUser(row.user_id).legacyStocks.push({ symbol: row.symbol, name: row.name }));
+    industryRows.forEach(row => getUser(row.user_id).industries.push({ name: row.name, keywords: row.keywords }));
+    if (userId) {
+      getUser(userId);
+    }
+
+    // 所有股票合并后只做一次股票识别
+    const allStocks = [...[...portfolios.values()].flatMap(portfolio => portfolio.stocks), ...legacyRows]
+      .filter((stock, index, self) => index === self.findIndex(s => s.symbol === stock.symbol));
+
+    return { userId, portfolios, users, allStocks };
+  }
+
+  // 行业命中：名称或关键词出现在标题（1分）或正文（0.5分）中
+  matchIndustries(title, body, industries) {
+    const titleLower = String(title || '').toLowerCase();
+    const bodyLower = String(body || '').toLowerCase();
+    const matches = [];
+
+    for (const industry of industries) {
+      const keywords = [industry.name, ...splitKeywords(industry.keywords)]
+        .map(keyword => keyword.trim().toLowerCase())
+        .filter(Boolean);
+
+      const titleKeyword = keywords.find(keyword => wordBoundaryRegExp(keyword, false).test(titleLower));
+      const bodyKeyword = titleKeyword ? null : keywords.find(keyword => wordBoundaryRegExp(keyword, false).test(bodyLower));
+      if (titleKeyword || bodyKeyword) {
+        matches.push({
+          type: 'industry',
+          industry: industry.name,
+          keyword: titleKeyword || bodyKeyword,
+          score: titleKeyword ? INDUSTRY_TITLE_SCORE : INDUSTRY_BODY_SCORE
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * 计算一条新闻对各投资组合和各用户的相关度
+   * @returns {{portfolios: Array<{portfolioId, userId, score, matches}>, users: Array<{userId, score, matches}>}}
+   */
+  async computeRelevance(news, profiles) {
+    const body = news.content || news.summary || '';
+    const { symbols, matches } = await SymbolAliasService.tagSymbols(`${news.title} ${body}`, profiles.allStocks);
+    const confidence = new Map(matches
+      .filter(match => symbols.includes(match.symbol))
+      .map(match => [match.symbol, match.confidence]));
+
+    const symbolMatches = stocks => stocks
+      .filter(stock => confidence.has(stock.symbol.toUpperCase()))
+      .map(stock => ({ type: 'symbol', symbol: stock.symbol.toUpperCase(), score: confidence.get(stock.symbol.toUpperCase()) }));
+    const maxScore = list => Math.max(...list.map(match => match.score));
+
+    const portfolioResults = [];
+    for (const portfolio of profiles.portfolios.values()) {
+      const portfolioMatches = symbolMatches(portfolio.stocks);
+      if (portfolioMatches.length > 0) {
+        portfolioResults.push({
+          portfolioId: portfolio.id,
+          userId: portfolio.userId,
+          score: maxScore(portfolioMatches),
+          matches: portfolioMatches
+        });
+      }
+    }
+
+    const userResults = [];
+    for (const [userId, user] of profiles.users) {
+      const userMatches = [
+        ...portfolioResults
+          .filter(result => result.userId === userId)
+          .flatMap(result => result.matches.map(match => ({ ...match, portfolioId: result.portfolioId }))),
+        ...symbolMatches(user.legacyStocks),
+        ...this.matchIndustries(news.title, body, user.industries)
+      ];
+      if (userMatches.length > 0) {
+        userResults.push({ userId, score: maxScore(userMatches), matches: userMatches });
+      }
+    }
+
+    return { portfolios: portfolioResults, users: userResults };
+  }
+
+  /**
+   * 为新闻计算并保存相关度（profiles 只包含某个用户时只替换该用户的记录）
+   * @param {Object} news id、title、content、summary
+   */
+  async scoreNews(news, profiles = null) {
+    const currentProfiles = profiles || await this.loadProfiles();
+    const { portfolios, users } = await this.computeRelevance(news, currentProfiles);
+
+    // 删除旧记录和写入新记录在同一个事务中完成，读取方不会看到中间状态
+    const scope = currentProfiles.userId ? ' AND user_id = ?' : '';
+    const scopeParams = currentProfiles.userId ? [news.id, currentProfiles.userId] : [news.id];
+    await DatabaseService.transaction([
+      { sql: `DELETE FROM news_portfolio_relevance WHERE news_id = ?${scope}`, params: scopeParams },
+      { sql: `DELETE FROM news_user_relevance WHERE news_id = ?${scope}`, params: scopeParams },
+      ...portfolios.map(result => ({
+        sql: `INSERT OR REPLACE INTO news_portfolio_relevance (news_id, portfolio_id, user_id, score, matches)
+              VALUES (?, ?, ?, ?, ?)`,
+        params: [news.id, result.portfolioId, result.userId, result.score, JSON.stringify(result.matches)]
+      })),
+      ...users.map(result => ({
+        sql: 'INSERT OR REPLACE INTO news_user_relevance (news_id, user_id, score, matches) VALUES (?, ?, ?, ?)',
+        params: [news.id, result.userId, result.score, JSON.stringify(result.matches)]
+      }))
+    ]);
+
+    return { portfolios: portfolios.length, users: users.length };
+  }
+
+  /**
+   * 重新计算最近新闻的相关度，用户调整持仓或关注行业后调用
+   * @param {Object} options userId（只重算该用户）、days
+   */
+  async rescore({ userId = null, days = RESCORE_DAYS } = {}) {
+    const profiles = await this.loadProfiles(userId);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const rows = await DatabaseService.all(
+      'SELECT id, title, content, summary FROM news WHERE published_at >= ?',
+      [since]
+    );
+
+    for (const row of rows) {
+      await this.scoreNews(row, profiles);
+    }
+
+    return { processed: rows.length };
+  }
+
+  // 升级后为最近的新闻计算一次相关度
+  async backfillRelevance() {
+    try {
+      const backfilled = await DatabaseService.get(
+        "SELECT value FROM config WHERE key = 'news_relevance_backfilled'"
+      );
+
+      if (backfilled) {
+        return;
+      }
+
+      const { processed } = await this.rescore();
+
+      await DatabaseService.run(
+        "INSERT INTO config (key, value) VALUES ('news_relevance_backfilled', '1')"
+      );
+
+      if (processed > 0) {
+        console.log(`Scored relevance for ${processed} news items`);
+      }
+    } catch (error) {
+      console.error('Error backfilling news relevance:', error);
+    }
+  }
+
+  // 持仓或行业变化后在后台重算，不阻塞请求；同一用户的重算依次执行，
+  // 重算期间的多次修改合并为结束后的一次重算（使用最新的持仓和行业）
+  scheduleRescore(userId) {
+    const pending = this.pendingRescores.get(userId);
+    if (pending) {
+      pending.rerun = true;
+      return pending.promise;
+    }
+
+    const entry = { rerun: true, promise: null };
+    this.pendingRescores.set(userId, entry);
+    entry.promise = (async () => {
+      while (entry.rerun) {
+        entry.rerun = false;
+        try {
+          await this.rescore({ userId });
+        } catch (error) {
+          console.error(`Error rescoring news relevance for user ${userId}:`, error);
+        }
+      }
+      this.pendingRescores.delete(userId);
+    })();
+    return entry.promise;
+  }
+
+  /**
+   * 与投资组合相关的新闻，按发布时间倒序，relevance_score 为这些组合中的最高相关度
+   * @param {Array<number>} portfolioIds
+   * @param {Object} options startDate、endDate（Date，限定发布时间）、limit
+   */
+  async getPortfolioNews(portfolioIds, { startDate = null, endDate = null, limit = 100 } = {}) {
+    if (portfolioIds.length === 0) {
+      return [];
+    }
+
+    let dateCondition = '';
+    const params = [...portfolioIds];
+    if (startDate && endDate) {
+      dateCondition = ' AND n.published_at >= ? AND n.published_at <= ?';
+      params.push(startDate.toISOString(), endDate.toISOString());
+    }
+
+    return DatabaseService.all(
+      `SELECT n.*, MAX(r.score) AS relevance_score
+       FROM news n
+       JOIN news_portfolio_relevance r ON r.news_id = n.id
+       WHERE r.portfolio_id IN (${portfolioIds.map(() => '?').join(',')})${dateCondition}
+       GROUP BY n.id
+       ORDER BY n.published_at DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+  }
+}
+
+module.exports = new NewsRelevanceService();
+module.exports.DEFAULT_SCORING_CONFIG = DEFAULT_SCORING_CONFIG;
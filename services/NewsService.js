@@ -1,347 +1,227 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { OpenAI } = require('openai');
 const Parser = require('rss-parser');
 const DatabaseService = require('./DatabaseService');
-const OpenAILogger = require('../utils/OpenAILogger');
+const NewsSourceService = require('./NewsSourceService');
+const NewsClusterService = require('./NewsClusterService');
+const SymbolAliasService = require('./SymbolAliasService');
+const NewsArchiveService = require('./NewsArchiveService');
+const PageFetcherService = require('./PageFetcherService');
+const ArticleExtractorService = require('./ArticleExtractorService');
+const NewsRelevanceService = require('./NewsRelevanceService');
+const LLMService = require('./LLMService');
+const LLMBudgetService = require('./LLMBudgetService');
+const PromptService = require('./PromptService');
+const { normalizePublishedAt } = require('../utils/dateParser');
+const { buildFtsQuery } = require('../utils/searchQuery');
+const { detectFeedFormat, parseAtom, parseJsonFeed } = require('../utils/feedParser');
+const { countWords } = require('../utils/contentExtractor');
+const { normalizeUrl, isUsableCanonical } = require('../utils/urlNormalizer');
+const { detectLanguage } = require('../utils/language');
+
+// 推送新闻的单批最大条数和默认来源名称
+const INGEST_MAX_BATCH = 100;
+const INGEST_DEFAULT_SOURCE = 'Webhook';
 
 class NewsService {
   constructor() {
-    // 仅在有API密钥时初始化OpenAI
-    if (process.env.OPENAI_API_KEY) {
-      const config = {
-        apiKey: process.env.OPENAI_API_KEY,
-        timeout: 60000 // 60秒超时
-      };
+    // RSS解析器初始化（内容由 requestFeed 下载后交给解析器）
+    this.rssParser = new Parser();
+  }
 
-      // 如果设置了代理，使用代理配置
-      if (process.env.HTTP_PROXY || process.env.HTTPS_PROXY) {
-        try {
-          const { HttpsProxyAgent } = require('https-proxy-agent');
-          const proxyUrl = process.env.HTTPS_PROXY || process.env.HTTP_PROXY;
-          config.httpAgent = new HttpsProxyAgent(proxyUrl);
-          console.log(`Using proxy: ${proxyUrl}`);
-        } catch (error) {
-          console.warn('Failed to configure proxy:', error.message);
-        }
-      }
+  // 请求RSS/Atom/JSON Feed源，带上 ETag / Last-Modified 做条件请求
+  async requestFeed(rssSource, validators = {}) {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, application/json;q=0.9, */*;q=0.8'
+    };
 
-      this.openai = new OpenAI(config);
-    } else {
-      console.warn('OpenAI API密钥未设置，将跳过AI功能');
-      this.openai = null;
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
     }
-    
-    // News API配置 - 支持两种环境变量命名
-    this.newsApiKey = process.env.NEWSAPI_KEY || process.env.NEWS_API_KEY;
-    this.newsApiBaseUrl = 'https://newsapi.org/v2';
-    
-    // RSS新闻源 - 稳定可靠，无反爬虫问题
-    this.rssSources = [
-      {
-        name: 'BBC Business',
-        url: 'http://feeds.bbci.co.uk/news/business/rss.xml'
-      },
-      {
-        name: 'CNN Business',
-        url: 'http://rss.cnn.com/rss/edition.rss'
-      },
-      {
-        name: 'Yahoo Finance',
-        url: 'https://finance.yahoo.com/rss/'
-      },
-      {
-        name: 'MarketWatch',
-        url: 'http://feeds.marketwatch.com/marketwatch/topstories/'
-      },
-      {
-        name: 'Bloomberg Markets',
-        url: 'https://feeds.bloomberg.com/markets/news.rss'
-      },
-      {
-        name: 'CNBC Markets',
-        url: 'https://www.cnbc.com/id/20910258/device/rss/rss.html'
-      },
-      {
-        name: 'Forbes Business',
-        url: 'https://www.forbes.com/business/feed/'
-      },
-      {
-        name: 'Business Insider',
-        url: 'https://www.businessinsider.com/rss'
-      },
-      {
-        name: 'Seeking Alpha',
-        url: 'https://seekingalpha.com/feed.xml'
-      },
-      {
-        name: 'The Motley Fool',
-        url: 'https://www.fool.com/feeds/index.aspx'
-      },
-      {
-        name: 'Barrons Real-time',
-        url: 'https://feeds.content.dowjones.io/public/rss/mw_realtimeheadlines'
-      },
-      {
-        name: 'TechCrunch',
-        url: 'https://feeds.feedburner.com/TechCrunch/'
-      },
-      {
-        name: 'WSJ Markets',
-        url: 'https://feeds.a.dj.com/rss/RSSMarketsMain.xml'
-      }
-    ];
-
-    // 备用网页抓取源（如果RSS失败）
-    this.newsSources = [
-      {
-        name: 'Reuters Finance',
-        url: 'https://www.reuters.com/business/finance/',
-        selector: 'a[data-testid="Heading"]'
-      },
-      {
-        name: 'Yahoo Finance',
-        url: 'https://finance.yahoo.com/news/',
-        selector: '.content a.titles'
-      },
-      {
-        name: 'MarketWatch',
-        url: 'https://www.marketwatch.com/latest-news',
-        selector: 'h3.article__headline a'
-      }
-    ];
 
-    // RSS解析器初始化
-    this.rssParser = new Parser({
+    const response = await axios.get(rssSource.url, {
       timeout: 10000,
       maxRedirects: 3,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
+      headers,
+      responseType: 'text',
+      validateStatus: status => status === 304 || (status >= 200 && status < 300)
     });
+
+    return {
+      notModified: response.status === 304,
+      body: response.data,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    };
   }
 
-  async updateNews() {
-    try {
-      const portfolio = await this.getPortfolioSymbols();
-      const industries = await this.getWatchedIndustries();
-      
-      let successCount = 0;
-      
-      // 优先使用RSS抓取 - 最稳定可靠
-      console.log('开始RSS新闻抓取...');
-      for (const rssSource of this.rssSources) {
-        try {
-          await this.scrapeRSSSource(rssSource, portfolio, industries);
-          successCount++;
-          console.log(`${rssSource.name} RSS抓取成功`);
-        } catch (error) {
-          console.error(`${rssSource.name} RSS抓取失败:`, error.message);
-        }
-      }
-      
-      // 如果RSS抓取失败较多，尝试News API作为补充
-      if (this.newsApiKey) {
-        try {
-          console.log('RSS抓取成功率较低，尝试News API...');
-          await this.fetchNewsFromAPI(portfolio, industries);
-          successCount++;
-          console.log('News API获取成功');
-        } catch (error) {
-          console.error('News API获取失败:', error.message);
-        }
-      }
-      
-      // 最后的备选方案：网页抓取（只有在RSS和API都失败时使用）
-      if (successCount === 0) {
-        console.log('RSS和API都失败，尝试网页抓取...');
-        for (const source of this.newsSources) {
-          try {
-            await this.scrapeNewsSource(source, portfolio, industries);
-            successCount++;
-            console.log(`${source.name} 抓取成功`);
-          } catch (error) {
-            console.error(`${source.name} 抓取失败:`, error.message);
-          }
-        }
-      }
-      
-      if (successCount === 0) {
-        console.error('所有新闻源都获取失败，请检查网络连接和API配置');
-        // 不抛出错误，避免整个更新流程失败
-      } else {
-        console.log(`成功从 ${successCount} 个源获取新闻`);
+  // 解析RSS/Atom/JSON Feed内容并返回标准化的文章列表
+  // Atom 和 JSON Feed 显式解析 updated、author、category，RSS 交给 rss-parser
+  async parseFeedArticles(rssSource, body) {
+    const format = detectFeedFormat(body);
+    let feed;
+
+    if (format === 'jsonfeed') {
+      feed = parseJsonFeed(body);
+    } else if (format === 'atom') {
+      feed = parseAtom(body);
+    } else {
+      const parsed = await this.rssParser.parseString(body);
+      feed = {
+        title: parsed.title,
+        items: parsed.items.map(item => ({
+          guid: item.guid || item.id || item.link,
+          title: item.title,
+          url: item.link,
+          description: item.contentSnippet || item.summary || '',
+          publishedAt: item.isoDate || item.pubDate,
+          updatedAt: null,
+          author: item.creator || item.author || null,
+          categories: (item.categories || []).map(category =>
+            typeof category === 'string' ? category : (category && category._) || ''
+          ).filter(Boolean)
+        }))
+      };
+    }
+    
+    console.log(`Feed标题: ${feed.title} (${format})`);
+    console.log(`Feed条目数量: ${feed.items.length}`);
+    
+    const articles = [];
+    
+    // 处理条目
+    for (const item of feed.items.slice(0, 20)) { // 只取前20条
+      if (!item.title || !item.url) {
+        continue;
       }
       
-      await this.cleanOldNews();
-    } catch (error) {
-      console.error('Error updating news:', error);
-      throw error;
+      articles.push({
+        guid: item.guid || item.url,
+        title: item.title,
+        url: item.url,
+        source: rssSource.name,
+        description: item.description || '',
+        publishedAt: normalizePublishedAt(item.publishedAt),
+        updatedAt: normalizePublishedAt(item.updatedAt),
+        author: item.author || null,
+        categories: item.categories || []
+      });
     }
+    
+    return articles;
   }
 
-  async fetchNewsFromAPI(portfolio, industries) {
-    try {
-      // 构建查询关键词
-      const keywords = [];
-      
-      console.log(`投资组合包含 ${portfolio.length} 只股票`);
-      console.log(`关注行业包含 ${industries.length} 个行业`);
-      
-      // 添加股票代码和公司名
-      portfolio.forEach(stock => {
-        keywords.push(stock.symbol);
-        if (stock.name) {
-          keywords.push(stock.name);
-        }
-      });
-      
-      // 添加行业关键词
-      industries.forEach(industry => {
-        keywords.push(industry.name);
-        if (industry.keywords) {
-          keywords.push(...industry.keywords.split(',').map(k => k.trim()));
-        }
-      });
-      
-      // 如果没有投资组合数据，使用通用财经关键词
-      if (portfolio.length === 0 && industries.length === 0) {
-        console.log('没有投资组合和行业数据，使用通用财经关键词');
-        keywords.push(
-          'Apple', 'Microsoft', 'Google', 'Tesla', 'Amazon',
-          'stock market', 'earnings', 'finance', 'investment',
-          'S&P 500', 'Nasdaq', 'Dow Jones', 'Federal Reserve'
-        );
-      } else {
-        // 添加通用财经关键词作为补充
-        keywords.push('stock market', 'finance', 'earnings', 'investment');
+  // 完整抓取RSS/Atom源（不做条件请求），用于试抓取
+  async fetchFeedArticles(rssSource) {
+    const response = await this.requestFeed(rssSource);
+    return this.parseFeedArticles(rssSource, response.body);
+  }
+
+  // 按新闻源游标（最新guid/发布时间）筛选出真正新增的条目
+  filterNewArticles(articles, rssSource) {
+    const cursorTime = rssSource.cursor_published_at
+      ? new Date(rssSource.cursor_published_at).getTime()
+      : null;
+    const cursorIndex = rssSource.cursor_guid
+      ? articles.findIndex(article => article.guid === rssSource.cursor_guid)
+      : -1;
+
+    if (cursorTime === null && cursorIndex === -1) {
+      return articles;
+    }
+
+    return articles.filter((article, index) => {
+      const time = this.getArticleTime(article);
+
+      if (cursorTime !== null && !isNaN(time)) {
+        return time > cursorTime || (time === cursorTime && article.guid !== rssSource.cursor_guid);
       }
-      
-      // 限制关键词数量并构建查询
-      const query = keywords.slice(0, 15).join(' OR ');
-      console.log(`News API查询关键词: ${query}`);
-      
-      const fromDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(); // 最近7天
-      const params = {
-        q: query,
-        apiKey: this.newsApiKey,
-        sortBy: 'publishedAt',
-        pageSize: 100, // 增加页面大小
-        language: 'en',
-        from: fromDate
-      };
-      
-      console.log(`News API请求参数:`, { ...params, apiKey: '[HIDDEN]' });
-      
-      const response = await axios.get(`${this.newsApiBaseUrl}/everything`, {
-        params,
-        timeout: 15000
-      });
 
-      if (response.data.status !== 'ok') {
-        throw new Error(`News API错误: ${response.data.message}`);
+      // 没有发布时间时，按源内顺序取游标之前的条目
+      if (cursorIndex >= 0) {
+        return index < cursorIndex;
       }
 
-      const articles = response.data.articles || [];
-      console.log(`News API返回 ${articles.length} 条新闻`);
+      return article.guid !== rssSource.cursor_guid;
+    });
+  }
 
-      if (articles.length > 0) {
-        console.log('前5条新闻标题:', articles.slice(0, 5).map(a => a.title));
-      }
+  // 条目的最后更新时间：Atom/JSON Feed 更新过的条目按更新时间重新处理
+  getArticleTime(article) {
+    const time = article.updatedAt || article.publishedAt;
+    return time ? new Date(time).getTime() : NaN;
+  }
 
-      // 处理每篇文章
-      let savedCount = 0;
-      let relevantCount = 0;
-      
-      for (const article of articles.slice(0, 50)) { // 增加处理数量
-        if (!article.title || !article.url) {
-          continue;
-        }
+  /**
+   * 根据本次抓取的条目计算新的游标，游标只前进不后退
+   * @param {Set<string>} pendingGuids 未处理完的条目（超出每源上限或处理失败），游标停在其中最早的一条之前
+   */
+  computeFeedCursor(articles, rssSource, pendingGuids = new Set()) {
+    let cursorGuid = rssSource.cursor_guid || null;
+    let cursorPublishedAt = rssSource.cursor_published_at || null;
+    let cursorTime = cursorPublishedAt ? new Date(cursorPublishedAt).getTime() : -Infinity;
 
-        const newsArticle = {
-          title: article.title,
-          url: article.url,
-          source: 'News API',
-          description: article.description,
-          publishedAt: article.publishedAt
-        };
-
-        // 放宽相关性检查 - 如果没有投资组合数据，保存所有财经新闻
-        const isRelevant = portfolio.length === 0 && industries.length === 0 ? 
-          this.isFinancialNews(article.title) : 
-          this.isRelevantNews(article.title, portfolio, industries);
-        
-        if (isRelevant) {
-          relevantCount++;
-          try {
-            await this.saveNews(newsArticle, portfolio, industries);
-            savedCount++;
-          } catch (saveError) {
-            console.error(`保存新闻失败: ${saveError.message}`);
-          }
-        }
+    const pendingTimes = articles
+      .filter(article => pendingGuids.has(article.guid))
+      .map(article => this.getArticleTime(article));
+
+    // 未处理完的条目没有发布时间时无法按时间定位，游标保持不变
+    if (pendingTimes.some(time => isNaN(time))) {
+      return { cursorGuid, cursorPublishedAt };
+    }
+    const pendingTime = Math.min(...pendingTimes);
+
+    for (const article of articles) {
+      const time = this.getArticleTime(article);
+      if (!isNaN(time) && time > cursorTime && time < pendingTime) {
+        cursorTime = time;
+        cursorGuid = article.guid;
+        cursorPublishedAt = new Date(time).toISOString();
       }
-      
-      console.log(`相关新闻 ${relevantCount} 条，成功保存 ${savedCount} 条`);
+    }
 
-    } catch (error) {
-      console.error('News API获取错误:', error.message);
-      throw error;
+    // 源内条目都没有发布时间时，以第一条（最新）作为游标
+    if (cursorPublishedAt === null && articles.length > 0 && pendingTimes.length === 0) {
+      cursorGuid = articles[0].guid;
     }
+
+    return { cursorGuid, cursorPublishedAt };
   }
 
-  async scrapeRSSSource(rssSource, portfolio, industries) {
+  // 抓取RSS/Atom/JSON Feed源，返回新增条目；游标在流水线处理完这些条目后按处理结果计算和提交
+  async fetchFeedSource(rssSource) {
     try {
       console.log(`抓取RSS: ${rssSource.name} - ${rssSource.url}`);
       
-      // 解析RSS feed
-      const feed = await this.rssParser.parseURL(rssSource.url);
-      
-      console.log(`RSS feed标题: ${feed.title}`);
-      console.log(`RSS feed描述: ${feed.description}`);
-      console.log(`RSS条目数量: ${feed.items.length}`);
-      
-      const articles = [];
-      
-      // 处理RSS条目
-      for (const item of feed.items.slice(0, 20)) { // 只取前20条
-        if (!item.title || !item.link) {
-          continue;
-        }
-        
-        const article = {
-          title: item.title,
-          url: item.link,
-          source: rssSource.name,
-          description: item.contentSnippet || item.summary || '',
-          publishedAt: item.pubDate || item.isoDate
-        };
-        
-        articles.push(article);
+      const response = await this.requestFeed(rssSource, {
+        etag: rssSource.etag,
+        lastModified: rssSource.last_modified
+      });
+
+      if (response.notModified) {
+        console.log(`${rssSource.name} 自上次抓取以来未更新 (304)`);
+        return { itemCount: 0, articles: [], notModified: true };
       }
+
+      const feedArticles = await this.parseFeedArticles(rssSource, response.body);
+      const articles = this.filterNewArticles(feedArticles, rssSource);
       
-      console.log(`从 ${rssSource.name} 提取到 ${articles.length} 条新闻`);
-      
-      // 过滤相关新闻
-      const relevantArticles = articles.filter(article => 
-        this.isRelevantNews(article.title, portfolio, industries)
-      );
-      
-      console.log(`过滤后相关新闻 ${relevantArticles.length} 条`);
+      console.log(`从 ${rssSource.name} 提取到 ${feedArticles.length} 条新闻，其中新增 ${articles.length} 条`);
       
-      // 保存新闻
-      let savedCount = 0;
-      for (const article of relevantArticles.slice(0, 10)) { // 每个RSS源最多保存10条
-        try {
-          await this.saveNews(article, portfolio, industries);
-          savedCount++;
-        } catch (saveError) {
-          console.error(`保存新闻失败:`, saveError.message);
+      return {
+        itemCount: feedArticles.length,
+        articles,
+        feedArticles,
+        // 条件请求验证器，下次未更新时直接返回 304
+        feedState: {
+          etag: response.etag,
+          lastModified: response.lastModified
         }
-      }
-      
-      console.log(`从 ${rssSource.name} 保存了 ${savedCount} 条新闻`);
-      return savedCount;
+      };
       
     } catch (error) {
       console.error(`RSS抓取 ${rssSource.name} 失败:`, error.message);
@@ -359,320 +239,630 @@ class NewsService {
     }
   }
 
-  async scrapeNewsSource(source, portfolio, industries) {
-    try {
-      // 改进的请求头，模拟真实浏览器
-      const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Cache-Control': 'max-age=0'
-      };
+  // 抓取网页并按选择器提取文章链接
+  async fetchScrapeArticles(source) {
+    // 改进的请求头，模拟真实浏览器
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Cache-Control': 'max-age=0'
+    };
 
-      const response = await axios.get(source.url, {
-        timeout: 15000,
-        headers,
-        maxRedirects: 5,
-        validateStatus: function (status) {
-          return status < 500; // 接受所有小于500的状态码
-        }
-      });
+    // 标记为浏览器渲染的新闻源通过无头浏览器抓取，auto 模式在选择器无结果时回退到浏览器
+    const response = await PageFetcherService.fetchPage(source.url, {
+      mode: source.render_mode,
+      timeout: 15000,
+      headers,
+      waitSelector: source.selector,
+      hasContent: html => cheerio.load(html)(source.selector).length > 0,
+      validateStatus: function (status) {
+        return status < 500; // 接受所有小于500的状态码
+      }
+    });
 
-      // 检查响应状态
+    // 检查响应状态
+    if (response.status >= 400) {
+      let message = `HTTP错误 ${response.status}: ${response.statusText}`;
       if (response.status === 401) {
-        throw new Error('访问被拒绝 (401) - 可能需要认证或被反爬虫系统阻止');
+        message = '访问被拒绝 (401) - 可能需要认证或被反爬虫系统阻止';
+      } else if (response.status === 403) {
+        message = '访问被禁止 (403) - 被反爬虫系统阻止';
+      } else if (response.status === 429) {
+        message = '请求过于频繁 (429) - 需要降低请求频率';
       }
-      if (response.status === 403) {
-        throw new Error('访问被禁止 (403) - 被反爬虫系统阻止');
+
+      const error = new Error(message);
+      error.status = response.status;
+      throw error;
+    }
+
+    const $ = cheerio.load(response.html);
+    const articles = [];
+
+    $(source.selector).each((i, element) => {
+      const $el = $(element);
+      const title = $el.text().trim();
+      const url = $el.attr('href');
+      
+      if (title && url) {
+        let fullUrl = url;
+        if (url.startsWith('/')) {
+          const baseUrl = new URL(source.url).origin;
+          fullUrl = baseUrl + url;
+        }
+        
+        articles.push({
+          title,
+          url: fullUrl,
+          source: source.name
+        });
       }
-      if (response.status === 429) {
-        throw new Error('请求过于频繁 (429) - 需要降低请求频率');
+    });
+
+    return articles;
+  }
+
+  // 试抓取新闻源（不保存），用于验证新闻源配置
+  async testSource(source) {
+    const startTime = Date.now();
+
+    try {
+      const articles = source.type === 'scrape'
+        ? await this.fetchScrapeArticles(source)
+        : await this.fetchFeedArticles(source);
+
+      return {
+        success: true,
+        itemCount: articles.length,
+        latencyMs: Date.now() - startTime,
+        items: articles.slice(0, 5)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        itemCount: 0,
+        latencyMs: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  // 逐条处理并保存新闻：去重 → 抓取正文 → AI增强 → 入库（抓取流水线按阶段批量并发调用同样的步骤）
+  async saveNews(article, portfolio, industries) {
+    try {
+      const existing = await this.checkDuplicate(article);
+      if (existing) {
+        return { status: 'duplicate', id: existing.id };
       }
-      if (response.status >= 400) {
-        throw new Error(`HTTP错误 ${response.status}: ${response.statusText}`);
+
+      const prepared = await this.fetchNewsContent(article);
+      if (prepared.duplicateId) {
+        return { status: 'duplicate', id: prepared.duplicateId };
       }
 
-      const $ = cheerio.load(response.data);
-      const articles = [];
+      const enriched = await this.enrichNews(prepared, portfolio, industries);
+      return await this.persistNews(enriched);
+    } catch (error) {
+      console.error('Error saving news:', error);
+      return { status: 'failed', error: error.message };
+    }
+  }
 
-      $(source.selector).each((i, element) => {
-        const $el = $(element);
-        const title = $el.text().trim();
-        const url = $el.attr('href');
-        
-        if (title && url) {
-          let fullUrl = url;
-          if (url.startsWith('/')) {
-            const baseUrl = new URL(source.url).origin;
-            fullUrl = baseUrl + url;
-          }
-          
-          articles.push({
-            title,
-            url: fullUrl,
-            source: source.name
-          });
-        }
-      });
+  // 检查是否已存在（原始链接或规范化链接相同），已存在时返回该新闻
+  async checkDuplicate(article) {
+    const existing = await this.findExistingNews(article.url, normalizeUrl(article.url));
 
-      // 过滤相关新闻
-      const relevantArticles = articles.filter(article => 
-        this.isRelevantNews(article.title, portfolio, industries)
+    // 源中条目已更新（Atom updated / JSON Feed date_modified）时同步标题、作者和分类
+    if (existing && article.updatedAt && (!existing.source_updated_at || article.updatedAt > existing.source_updated_at)) {
+      await DatabaseService.run(
+        `UPDATE news SET title = ?, author = COALESCE(?, author), categories = ?, source_updated_at = ?
+         WHERE id = ?`,
+        [article.title, article.author || null, JSON.stringify(article.categories || []), article.updatedAt, existing.id]
       );
+    }
+
+    return existing;
+  }
+
+  // 获取新闻内容和页面中的发布时间（推送的新闻自带正文时不再抓取页面）
+  async fetchNewsContent(article) {
+    const page = article.content !== undefined
+      ? { content: article.content, publishedAt: null }
+      : await this.fetchArticle(article.url);
+
+    // 跟随重定向、参考页面 rel=canonical 后再检查一次
+    const canonicalUrl = this.resolveCanonicalUrl(article.url, page);
+    const canonicalDuplicate = await this.findExistingNews(null, canonicalUrl);
+    if (canonicalDuplicate) {
+      return { duplicateId: canonicalDuplicate.id };
+    }
+
+    return { article, page, canonicalUrl };
+  }
+
+  // 生成摘要、识别相关股票、分析情感和分类
+  async enrichNews({ article, page, canonicalUrl }, portfolio, industries) {
+    const { content } = page;
+
+    // 发布时间优先使用源数据，其次页面元数据，都没有时才退回入库时间
+    const { publishedAt, publishedAtSource } = this.resolvePublishedAt(article.publishedAt, page.publishedAt);
+    
+    // 已配置大模型但超出预算或调用失败时降级：使用抽取式摘要、暂不分析情感，标记为待补充分析
+    // 未配置大模型时直接使用抽取式摘要和中性情感，不排队
+    const summaryEnabled = await LLMService.isAvailable('summary');
+    const sentimentEnabled = await LLMService.isAvailable('sentiment');
+
+    // 生成摘要
+    const aiSummary = summaryEnabled && await LLMBudgetService.isAllowed('NewsService.generateSummary')
+      ? await this.generateSummary(content || article.title, { fallback: false })
+      : null;
+    const summary = aiSummary ?? this.extractiveSummary(content || article.title);
+    
+    // 分析相关股票
+    const { symbols: relatedSymbols, matches: symbolMatches } =
+      await this.extractRelatedSymbols(article.title + ' ' + content, portfolio);
+    
+    // 分析情感
+    const aiSentiment = sentimentEnabled && await LLMBudgetService.isAllowed('NewsService.analyzeSentiment')
+      ? await this.analyzeSentiment(article.title + ' ' + summary, { fallback: false })
+      : null;
+    const summaryDeferred = summaryEnabled && aiSummary === null;
+    const sentimentDeferred = sentimentEnabled && aiSentiment === null;
+    const sentiment = aiSentiment ?? (sentimentDeferred ? null : 0);
+    
+    // 确定分类
+    const category = this.categorizeNews(article.title, industries);
+
+    // 识别语言（标题和正文），报告中中英文新闻混排时使用
+    const language = detectLanguage(`${article.title} ${content || article.description || ''}`);
 
-      // 保存新闻
-      let savedCount = 0;
-      for (const article of relevantArticles.slice(0, 5)) { // 限制每个源最多5条
-        try {
-          await this.saveNews(article, portfolio, industries);
-          savedCount++;
-        } catch (saveError) {
-          console.error(`保存新闻失败:`, saveError.message);
+    // 结合正文重新计算入库相关度，保存得分明细
+    const relevance = await NewsRelevanceService.scoreArticle({ ...article, content }, portfolio, industries);
+
+    return {
+      article,
+      page,
+      canonicalUrl,
+      publishedAt,
+      publishedAtSource,
+      summary,
+      relatedSymbols,
+      symbolMatches,
+      sentiment,
+      category,
+      language,
+      relevance,
+      aiDeferred: summaryDeferred || sentimentDeferred,
+      simhash: NewsClusterService.computeSimhash(content)
+    };
+  }
+
+  // 写入新闻表并归入报道聚类；并发处理的同一报道在这里做最后一次去重
+  async persistNews(enriched) {
+    const { article, page, canonicalUrl, publishedAt, simhash } = enriched;
+
+    const existing = await this.findExistingNews(article.url, canonicalUrl);
+    if (existing) {
+      return { status: 'duplicate', id: existing.id };
+    }
+
+    const result = await DatabaseService.run(
+      `INSERT INTO news (title, content, summary, url, source, author, lead_image, canonical_url, word_count, category, categories, symbols, symbol_matches, sentiment, match_score, match_explanation, source_credibility, content_type, language, ai_deferred, published_at, published_at_source, source_updated_at, simhash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        article.title,
+        page.content,
+        enriched.summary,
+        article.url,
+        article.source,
+        article.author || page.author || null,
+        page.leadImage || null,
+        canonicalUrl,
+        page.wordCount !== undefined ? page.wordCount : countWords(page.content),
+        enriched.category,
+        JSON.stringify(article.categories || []),
+        JSON.stringify(enriched.relatedSymbols),
+        JSON.stringify(enriched.symbolMatches),
+        enriched.sentiment,
+        enriched.relevance.score,
+        JSON.stringify(enriched.relevance.explanation),
+        typeof article.credibility === 'number' ? article.credibility : null,
+        NewsSourceService.detectContentType(article),
+        enriched.language,
+        enriched.aiDeferred ? 1 : 0,
+        publishedAt,
+        enriched.publishedAtSource,
+        article.updatedAt || null,
+        simhash
+      ]
+    );
+
+    // 与其他来源的同一报道归入同一聚类
+    await NewsClusterService.assignCluster({
+      id: result.id,
+      title: article.title,
+      simhash,
+      published_at: publishedAt
+    });
+
+    // 按每个投资组合和用户分别计算相关度
+    await NewsRelevanceService.scoreNews({
+      id: result.id,
+      title: article.title,
+      content: page.content,
+      summary: enriched.summary
+    });
+
+    return { status: 'created', id: result.id };
+  }
+
+  // 校验推送的新闻条目，返回错误信息或null
+  validateIngestItem(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return 'Item must be an object';
+    }
+
+    if (typeof item.title !== 'string' || !item.title.trim()) {
+      return 'title required';
+    }
+
+    if (item.url !== undefined) {
+      try {
+        const parsed = new URL(item.url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+          return 'url must use http or https';
         }
+      } catch {
+        return 'url must be a valid URL';
       }
-      
-      console.log(`从 ${source.name} 保存了 ${savedCount} 条新闻`);
+    } else if (item.id === undefined || item.id === null || String(item.id).trim() === '') {
+      return 'url or id required';
+    }
 
-    } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        console.error(`${source.name} 请求超时`);
-      } else if (error.code === 'ENOTFOUND') {
-        console.error(`${source.name} 域名解析失败`);
-      } else if (error.code === 'ECONNREFUSED') {
-        console.error(`${source.name} 连接被拒绝`);
-      } else {
-        console.error(`${source.name} 抓取失败:`, error.message);
+    for (const field of ['source', 'content', 'description', 'author']) {
+      if (item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string') {
+        return `${field} must be a string`;
       }
-      throw error; // 重新抛出错误，让上层处理
     }
+
+    if (item.categories !== undefined &&
+        (!Array.isArray(item.categories) || item.categories.some(category => typeof category !== 'string'))) {
+      return 'categories must be an array of strings';
+    }
+
+    if (item.publishedAt !== undefined && item.publishedAt !== null && !normalizePublishedAt(item.publishedAt)) {
+      return 'publishedAt must be a valid date';
+    }
+
+    if (item.contentType !== undefined && item.contentType !== null && !NewsSourceService.CONTENT_TYPES.includes(item.contentType)) {
+      return `contentType must be one of: ${NewsSourceService.CONTENT_TYPES.join(', ')}`;
+    }
+
+    return null;
   }
 
-  isRelevantNews(title, portfolio, industries) {
-    const titleLower = title.toLowerCase();
-    
-    // 检查股票代码
-    for (const stock of portfolio) {
-      if (titleLower.includes(stock.symbol.toLowerCase()) || 
-          titleLower.includes(stock.name.toLowerCase())) {
-        return true;
+  /**
+   * 处理推送的新闻（内部研报、供应商提醒等），与抓取的新闻走相同的相关性、摘要、情感、股票和分类流程
+   * @returns {{created: number, duplicate: number, rejected: number, results: Array}}
+   */
+  async ingestArticles(items) {
+    const portfolio = await this.getPortfolioSymbols();
+    const industries = await this.getWatchedIndustries();
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+      const validationError = this.validateIngestItem(item);
+      if (validationError) {
+        results.push({ index, status: 'rejected', reason: validationError });
+        continue;
       }
-    }
-    
-    // 检查行业关键词
-    for (const industry of industries) {
-      const keywords = industry.keywords ? industry.keywords.split(',') : [];
-      if (keywords.some(keyword => titleLower.includes(keyword.trim().toLowerCase()))) {
-        return true;
+
+      const source = (item.source || '').trim() || INGEST_DEFAULT_SOURCE;
+      const article = {
+        title: item.title.trim(),
+        // 没有原文地址的条目以 来源+id 生成唯一标识，用于去重
+        url: item.url || `urn:market-daily:${encodeURIComponent(source)}:${encodeURIComponent(String(item.id).trim())}`,
+        source,
+        description: item.description || '',
+        publishedAt: normalizePublishedAt(item.publishedAt),
+        author: item.author || null,
+        categories: item.categories || [],
+        contentType: item.contentType || null
+      };
+
+      // 有正文时直接使用；没有正文也没有原文地址时以描述作为正文
+      if (item.content) {
+        article.content = item.content;
+      } else if (!item.url) {
+        article.content = item.description || null;
       }
-      if (titleLower.includes(industry.name.toLowerCase())) {
-        return true;
+
+      const relevance = await NewsRelevanceService.scoreArticle(article, portfolio, industries);
+      if (!relevance.relevant) {
+        results.push({
+          index,
+          status: 'rejected',
+          url: article.url,
+          reason: `Relevance score ${relevance.score} below threshold ${relevance.threshold}`,
+          explanation: relevance.explanation
+        });
+        continue;
+      }
+
+      const saved = await this.saveNews(article, portfolio, industries);
+
+      if (saved.status === 'failed') {
+        results.push({ index, status: 'rejected', url: article.url, reason: saved.error });
+      } else {
+        results.push({ index, status: saved.status, id: saved.id, url: article.url });
       }
     }
-    
-    // 通用财经关键词
-    const financialKeywords = [
-      'stock', 'market', 'earnings', 'revenue', 'profit', 'loss',
-      'shares', 'dividend', 'investment', 'trading', 'nasdaq', 'dow',
-      's&p', 'fed', 'interest rate', 'inflation', 'gdp'
-    ];
-    
-    return financialKeywords.some(keyword => titleLower.includes(keyword));
+
+    const count = status => results.filter(result => result.status === status).length;
+
+    return {
+      created: count('created'),
+      duplicate: count('duplicate'),
+      rejected: count('rejected'),
+      results
+    };
   }
 
-  async saveNews(article, portfolio, industries) {
-    try {
-      // 检查是否已存在
-      const existing = await DatabaseService.get(
-        'SELECT id FROM news WHERE url = ?',
-        [article.url]
-      );
-      
-      if (existing) {
-        return;
-      }
+  async findExistingNews(url, canonicalUrl) {
+    return DatabaseService.get(
+      'SELECT id, source_updated_at FROM news WHERE url = ? OR canonical_url = ? LIMIT 1',
+      [url, canonicalUrl]
+    );
+  }
 
-      // 获取新闻内容
-      const content = await this.fetchArticleContent(article.url);
-      
-      // 生成摘要
-      const summary = await this.generateSummary(content || article.title);
-      
-      // 分析相关股票
-      const relatedSymbols = this.extractRelatedSymbols(article.title + ' ' + content, portfolio);
-      
-      // 分析情感
-      const sentiment = await this.analyzeSentiment(article.title + ' ' + summary);
-      
-      // 确定分类
-      const category = this.categorizeNews(article.title, industries);
+  // 规范链接：优先页面声明的 rel=canonical，其次重定向后的最终地址，最后是原始链接，统一规范化
+  resolveCanonicalUrl(url, page = {}) {
+    const finalUrl = page.finalUrl || url;
+    const declared = page.canonicalUrl && isUsableCanonical(page.canonicalUrl, finalUrl) ? page.canonicalUrl : null;
+    return normalizeUrl(declared || finalUrl);
+  }
 
-      await DatabaseService.run(
-        `INSERT INTO news (title, content, summary, url, source, category, symbols, sentiment, published_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          article.title,
-          content,
-          summary,
-          article.url,
-          article.source,
-          category,
-          JSON.stringify(relatedSymbols),
-          sentiment,
-          new Date().toISOString()
-        ]
-      );
+  // 确定新闻发布时间及其来源：feed（源数据）、page（页面元数据）、ingested（入库时间）
+  resolvePublishedAt(sourcePublishedAt, pagePublishedAt) {
+    const fromSource = normalizePublishedAt(sourcePublishedAt);
+    if (fromSource) {
+      return { publishedAt: fromSource, publishedAtSource: 'feed' };
+    }
 
+    const fromPage = normalizePublishedAt(pagePublishedAt);
+    if (fromPage) {
+      return { publishedAt: fromPage, publishedAtSource: 'page' };
+    }
+
+    return { publishedAt: new Date().toISOString(), publishedAtSource: 'ingested' };
+  }
+
+  // 抓取文章页面，提取正文、发布时间、作者、头图、规范链接和字数
+  async fetchArticle(url) {
+    try {
+      // 域名在浏览器渲染列表中的文章通过无头浏览器抓取
+      const page = await PageFetcherService.fetchPage(url, { timeout: 8000 });
+      const $ = cheerio.load(page.html);
+
+      // 发布时间需要在提取正文（会删除脚本和模板元素）之前读取
+      const publishedAt = this.extractPagePublishedAt($);
+      const article = await ArticleExtractorService.extract($, url);
+
+      return { ...article, content: article.content || null, publishedAt, finalUrl: page.finalUrl };
     } catch (error) {
-      console.error('Error saving news:', error);
+      console.error('Error fetching article content:', error.message);
+      return { content: null, publishedAt: null };
     }
   }
 
   async fetchArticleContent(url) {
-    try {
-      const response = await axios.get(url, {
-        timeout: 8000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+    const { content } = await this.fetchArticle(url);
+    return content;
+  }
 
-      const $ = cheerio.load(response.data);
-      
-      // 尝试多种内容选择器
-      const contentSelectors = [
-        'article p',
-        '.article-body p',
-        '.content p',
-        '.story-body p',
-        'main p'
-      ];
-
-      let content = '';
-      for (const selector of contentSelectors) {
-        const paragraphs = $(selector);
-        if (paragraphs.length > 0) {
-          content = paragraphs.map((i, el) => $(el).text()).get().join('\n');
-          break;
+  // 从页面元数据中提取发布时间（Open Graph、schema.org、JSON-LD、<time>）
+  extractPagePublishedAt($) {
+    const metaSelectors = [
+      'meta[property="article:published_time"]',
+      'meta[itemprop="datePublished"]',
+      'meta[name="pubdate"]',
+      'meta[name="publishdate"]',
+      'meta[name="parsely-pub-date"]',
+      'meta[name="sailthru.date"]',
+      'meta[name="DC.date.issued"]',
+      'meta[name="date"]'
+    ];
+
+    for (const selector of metaSelectors) {
+      const value = $(selector).attr('content');
+      if (normalizePublishedAt(value)) {
+        return value;
+      }
+    }
+
+    // JSON-LD（NewsArticle 等）
+    let jsonLdDate = null;
+    $('script[type="application/ld+json"]').each((i, el) => {
+      if (jsonLdDate) {
+        return;
+      }
+      try {
+        const data = JSON.parse($(el).contents().text());
+        const nodes = [].concat(data['@graph'] || data);
+        const node = nodes.find(item => item && item.datePublished);
+        if (node) {
+          jsonLdDate = node.datePublished;
         }
+      } catch {
+        // 忽略格式错误的JSON-LD
       }
+    });
 
-      return content.substring(0, 2000); // 限制长度
-    } catch (error) {
-      console.error('Error fetching article content:', error.message);
-      return null;
+    if (normalizePublishedAt(jsonLdDate)) {
+      return jsonLdDate;
     }
+
+    const timeValue = $('article time[datetime]').first().attr('datetime') ||
+      $('time[datetime]').first().attr('datetime');
+
+    return normalizePublishedAt(timeValue) ? timeValue : null;
+  }
+
+  // 为旧数据回填发布时间：重新抓取页面元数据，找不到时标记为 unresolved
+  async backfillPublishedAt({ limit = 200 } = {}) {
+    const rows = await DatabaseService.all(
+      `SELECT id, url FROM news
+       WHERE published_at_source = 'ingested' AND url IS NOT NULL
+       ORDER BY id DESC
+       LIMIT ?`,
+      [limit]
+    );
+
+    let updated = 0;
+    let unresolved = 0;
+
+    for (const row of rows) {
+      const { publishedAt } = await this.fetchArticle(row.url);
+      const normalized = normalizePublishedAt(publishedAt);
+
+      if (normalized) {
+        await DatabaseService.run(
+          "UPDATE news SET published_at = ?, published_at_source = 'page' WHERE id = ?",
+          [normalized, row.id]
+        );
+        updated++;
+      } else {
+        await DatabaseService.run(
+          "UPDATE news SET published_at_source = 'unresolved' WHERE id = ?",
+          [row.id]
+        );
+        unresolved++;
+      }
+    }
+
+    return { processed: rows.length, updated, unresolved };
   }
 
-  async generateSummary(text) {
+  // 抽取式摘要：取开头不超过200字的完整句子，大模型不可用或超出预算时使用
+  extractiveSummary(text) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    const sentences = normalized.match(/.+?(?:[。！？]|[.!?](?=\s|$)|$)/g) || [];
+
+    let summary = '';
+    for (const sentence of sentences) {
+      if ((summary + sentence).length > 200) {
+        break;
+      }
+      summary += sentence;
+    }
+
+    return summary.trim() || normalized.substring(0, 200) + (normalized.length > 200 ? '...' : '');
+  }
+
+  /**
+   * 大模型生成摘要，不可用或调用失败时返回抽取式摘要
+   * @param {object} [options]
+   * @param {boolean} [options.fallback=true] 为 false 时失败返回 null，供调用方判断结果是否来自大模型
+   */
+  async generateSummary(text, { fallback = true } = {}) {
+    const fallbackSummary = () => (fallback ? this.extractiveSummary(text) : null);
+
     try {
-      if (!this.openai) {
-        return text.substring(0, 200) + '...';
+      if (!(await LLMService.isAvailable('summary'))) {
+        return fallbackSummary();
       }
 
+      const prompt = await PromptService.render('news.summary', { text: text.substring(0, 4000) });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '你是一个专业的财经新闻分析师。请用中文总结新闻内容，突出重点信息和市场影响。'
-          },
-          {
-            role: 'user',
-            content: `请总结以下新闻内容（不超过150字）：\n\n${text}`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 200,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'NewsService.generateSummary', 
-        params, 
-        { service: 'NewsService', operation: 'generateSummary' }
+      const response = await LLMService.chat(
+        'summary',
+        'NewsService.generateSummary',
+        params,
+        { service: 'NewsService', operation: 'generateSummary', prompt: prompt.name, promptVersion: prompt.version }
       );
 
       return response.choices[0].message.content.trim();
     } catch (error) {
-      console.error('Error generating summary:', error);
-      return text.substring(0, 200) + '...';
+      // 超出预算已由 OpenAILogger 提示
+      if (error.code !== 'BUDGET_EXCEEDED') {
+        console.error('Error generating summary:', error);
+      }
+      return fallbackSummary();
     }
   }
 
-  async analyzeSentiment(text) {
+  /**
+   * 大模型分析情感（-1到1），不可用、调用失败或回复无法解析时返回0
+   * @param {object} [options]
+   * @param {boolean} [options.fallback=true] 为 false 时失败返回 null，供调用方判断结果是否来自大模型
+   */
+  async analyzeSentiment(text, { fallback = true } = {}) {
+    const fallbackSentiment = fallback ? 0 : null;
+
     try {
-      if (!this.openai) {
-        return 0;
+      if (!(await LLMService.isAvailable('sentiment'))) {
+        return fallbackSentiment;
       }
 
+      const prompt = await PromptService.render('news.sentiment', { text });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '分析文本的情感倾向，返回-1到1之间的数值，-1表示非常负面，0表示中性，1表示非常正面。只返回数值。'
-          },
-          {
-            role: 'user',
-            content: text
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 10,
         temperature: 0
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'NewsService.analyzeSentiment', 
-        params, 
-        { service: 'NewsService', operation: 'analyzeSentiment' }
+      const response = await LLMService.chat(
+        'sentiment',
+        'NewsService.analyzeSentiment',
+        params,
+        { service: 'NewsService', operation: 'analyzeSentiment', prompt: prompt.name, promptVersion: prompt.version }
       );
 
       const sentiment = parseFloat(response.choices[0].message.content.trim());
-      return isNaN(sentiment) ? 0 : Math.max(-1, Math.min(1, sentiment));
+      return isNaN(sentiment) ? fallbackSentiment : Math.max(-1, Math.min(1, sentiment));
     } catch (error) {
-      console.error('Error analyzing sentiment:', error);
-      return 0;
+      // 超出预算已由 OpenAILogger 提示
+      if (error.code !== 'BUDGET_EXCEEDED') {
+        console.error('Error analyzing sentiment:', error);
+      }
+      return fallbackSentiment;
     }
   }
 
-  extractRelatedSymbols(text, portfolio) {
-    const relatedSymbols = [];
-    const textLower = text.toLowerCase();
-    
-    for (const stock of portfolio) {
-      if (textLower.includes(stock.symbol.toLowerCase()) || 
-          textLower.includes(stock.name.toLowerCase())) {
-        relatedSymbols.push(stock.symbol);
-      }
-    }
-    
-    return relatedSymbols;
+  // 识别相关股票（别名字典、cashtag、单词边界匹配），返回代码列表和带置信度的匹配明细
+  async extractRelatedSymbols(text, portfolio) {
+    return SymbolAliasService.tagSymbols(text, portfolio);
   }
 
   categorizeNews(title, industries) {
-    const titleLower = title.toLowerCase();
-    
+    const matchesKeyword = keyword => SymbolAliasService.wordBoundaryRegExp(keyword, false).test(title);
+
     for (const industry of industries) {
-      if (titleLower.includes(industry.name.toLowerCase())) {
+      if (matchesKeyword(industry.name)) {
         return industry.name;
       }
     }
     
-    // 默认分类
+    // 默认分类（中英文关键词）
     const categories = {
-      'earnings': ['earnings', 'revenue', 'profit', 'loss'],
-      'market': ['market', 'trading', 'index', 'dow', 'nasdaq', 's&p'],
-      'policy': ['fed', 'interest rate', 'policy', 'regulation'],
-      'economy': ['gdp', 'inflation', 'employment', 'economic']
+      'earnings': ['earnings', 'revenue', 'profit', 'loss', '财报', '业绩', '营收', '净利润', '亏损', '盈利'],
+      'market': ['market', 'trading', 'index', 'dow', 'nasdaq', 's&p', '股市', '大盘', '沪指', '深成指', '恒指', '指数', '板块'],
+      'policy': ['fed', 'interest rate', 'policy', 'regulation', '央行', '美联储', '利率', '降息', '加息', '政策', '监管', '证监会'],
+      'economy': ['gdp', 'inflation', 'employment', 'economic', '通胀', 'cpi', '就业', '经济']
     };
     
     for (const [category, keywords] of Object.entries(categories)) {
-      if (keywords.some(keyword => titleLower.includes(keyword))) {
+      if (keywords.some(matchesKeyword)) {
         return category;
       }
     }
@@ -680,20 +870,6 @@ class NewsService {
     return 'general';
   }
 
-  // 检查是否为财经新闻（用于没有投资组合时的通用判断）
-  isFinancialNews(title) {
-    const titleLower = title.toLowerCase();
-    const financialKeywords = [
-      'stock', 'market', 'earnings', 'revenue', 'profit', 'loss',
-      'shares', 'dividend', 'investment', 'trading', 'nasdaq', 'dow',
-      's&p', 'fed', 'interest rate', 'inflation', 'gdp', 'economy',
-      'wall street', 'finance', 'financial', 'company', 'business',
-      'ceo', 'ipo', 'merger', 'acquisition', 'quarter', 'fiscal'
-    ];
-    
-    return financialKeywords.some(keyword => titleLower.includes(keyword));
-  }
-
   async getPortfolioSymbols() {
     try {
       // 获取所有投资组合的股票（包括新旧结构）
@@ -722,29 +898,67 @@ class NewsService {
     }
   }
 
-  async cleanOldNews() {
-    try {
-      // 删除7天前的新闻
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      
+  /**
+   * 预算恢复后为降级处理的新闻补充摘要和情感分析（最新的优先），两项都由大模型生成后才清除待补充标记
+   * @returns {Promise<{pending: number, processed: number}>}
+   */
+  async processDeferredAnalysis(limit = 20) {
+    const rows = await DatabaseService.all(
+      `SELECT id, title, content, summary FROM news WHERE ai_deferred = 1
+       ORDER BY published_at DESC LIMIT ?`,
+      [limit]
+    );
+
+    let processed = 0;
+    for (const news of rows) {
+      if (!(await LLMBudgetService.isAllowed('NewsService.generateSummary'))
+        || !(await LLMBudgetService.isAllowed('NewsService.analyzeSentiment'))) {
+        break;
+      }
+
+      // 压缩后的旧新闻没有正文，使用已有摘要
+      const summary = await this.generateSummary(news.content || news.summary || news.title, { fallback: false });
+      const sentiment = summary === null ? null : await this.analyzeSentiment(news.title + ' ' + summary, { fallback: false });
+
+      // 预算再次用完、大模型不可用或调用失败时保留待补充标记，下次再试
+      if (summary === null || sentiment === null) {
+        continue;
+      }
+
       await DatabaseService.run(
-        'DELETE FROM news WHERE created_at < ?',
-        [weekAgo.toISOString()]
+        'UPDATE news SET summary = ?, sentiment = ?, ai_deferred = 0 WHERE id = ?',
+        [summary, sentiment, news.id]
       );
+      await NewsRelevanceService.scoreNews({ id: news.id, title: news.title, content: news.content, summary });
+      processed++;
+    }
+
+    return { pending: rows.length, processed };
+  }
+
+  // 按管理员配置的保留策略压缩或删除旧新闻
+  async cleanOldNews() {
+    try {
+      const result = await NewsArchiveService.applyRetention();
+      if (result.compacted > 0 || result.deleted > 0) {
+        console.log(`新闻保留策略：压缩 ${result.compacted} 条，删除 ${result.deleted} 条`);
+      }
     } catch (error) {
       console.error('Error cleaning old news:', error);
     }
   }
 
+  // 获取最新报道，同一报道的多个来源合并为一条（附 alternate_sources）
   async getRecentNews(limit = 20) {
     try {
-      return await DatabaseService.all(
+      const news = await DatabaseService.all(
         `SELECT * FROM news 
-         ORDER BY created_at DESC 
+         WHERE ${NewsClusterService.canonicalCondition('news')}
+         ORDER BY published_at DESC 
          LIMIT ?`,
         [limit]
       );
+      return await NewsClusterService.collapseClusters(news);
     } catch (error) {
       console.error('Error getting recent news:', error);
       return [];
@@ -753,18 +967,199 @@ class NewsService {
 
   async getNewsByCategory(category, limit = 10) {
     try {
-      return await DatabaseService.all(
+      const news = await DatabaseService.all(
         `SELECT * FROM news 
-         WHERE category = ? 
-         ORDER BY created_at DESC 
+         WHERE category = ? AND ${NewsClusterService.canonicalCondition('news')}
+         ORDER BY published_at DESC 
          LIMIT ?`,
         [category, limit]
       );
+      return await NewsClusterService.collapseClusters(news);
     } catch (error) {
       console.error('Error getting news by category:', error);
       return [];
     }
   }
+
+  // 校验检索参数，返回错误信息或null
+  validateSearchOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return 'Search options must be an object';
+    }
+
+    if (typeof options.query !== 'string') {
+      return 'query must be a string';
+    }
+
+    for (const field of ['categories', 'sources']) {
+      if (options[field] !== undefined &&
+          (!Array.isArray(options[field]) || options[field].some(value => typeof value !== 'string'))) {
+        return `${field} must be an array of strings`;
+      }
+    }
+
+    for (const field of ['dateFrom', 'dateTo']) {
+      if (options[field] !== undefined && options[field] !== null &&
+          (typeof options[field] !== 'string' || isNaN(Date.parse(options[field])))) {
+        return `${field} must be a valid date`;
+      }
+    }
+
+    const { sentimentRange } = options;
+    if (sentimentRange !== undefined) {
+      if (!Array.isArray(sentimentRange) || sentimentRange.length !== 2 ||
+          sentimentRange.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+        return 'sentimentRange must be an array of two numbers';
+      }
+      if (sentimentRange[0] < -1 || sentimentRange[1] > 1 || sentimentRange[0] > sentimentRange[1]) {
+        return 'sentimentRange must be within [-1, 1] with min <= max';
+      }
+    }
+
+    if (options.sortBy !== undefined && !['relevance', 'published_at'].includes(options.sortBy)) {
+      return 'sortBy must be one of: relevance, published_at';
+    }
+
+    if (options.cursor !== undefined && options.cursor !== null && typeof options.cursor !== 'string') {
+      return 'cursor must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * 全文检索新闻（FTS5），支持短语、AND/OR/NOT、相关度排序、高亮摘要和游标分页
+   * @param {Object} options query, categories, sources, dateFrom, dateTo, sentimentRange, sortBy ('relevance'|'published_at'), cursor, limit
+   * @returns {{results: Array, nextCursor: string|null}}
+   */
+  async searchNews(options) {
+    const validationError = this.validateSearchOptions(options);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    const {
+      query,
+      categories = [],
+      sources = [],
+      dateFrom,
+      dateTo,
+      sentimentRange = [-1, 1],
+      sortBy = 'relevance',
+      cursor,
+      limit = 20
+    } = options;
+
+    const matchExpression = buildFtsQuery(query);
+    if (!matchExpression) {
+      const error = new Error('Search query contains no searchable terms');
+      error.status = 400;
+      throw error;
+    }
+
+    let whereClause = 'news_fts MATCH ?';
+    const params = [matchExpression];
+
+    if (categories.length > 0) {
+      whereClause += ` AND n.category IN (${categories.map(() => '?').join(',')})`;
+      params.push(...categories);
+    }
+
+    if (sources.length > 0) {
+      whereClause += ` AND n.source IN (${sources.map(() => '?').join(',')})`;
+      params.push(...sources);
+    }
+
+    if (dateFrom) {
+      whereClause += ' AND n.published_at >= ?';
+      params.push(dateFrom);
+    }
+
+    if (dateTo) {
+      whereClause += ' AND n.published_at <= ?';
+      params.push(dateTo);
+    }
+
+    if (sentimentRange[0] !== -1 || sentimentRange[1] !== 1) {
+      whereClause += ' AND n.sentiment BETWEEN ? AND ?';
+      params.push(sentimentRange[0], sentimentRange[1]);
+    }
+
+    // 相关度按 bm25 升序（越小越相关），标题权重最高；时间排序按发布时间降序
+    const byDate = sortBy === 'published_at';
+    const sortColumn = byDate ? 'published_at' : 'score';
+    const direction = byDate ? 'DESC' : 'ASC';
+    const comparator = byDate ? '<' : '>';
+
+    let cursorClause = '';
+    const cursorParams = [];
+    if (cursor) {
+      const position = this.decodeSearchCursor(cursor);
+      if (!position) {
+        const error = new Error('Invalid cursor');
+        error.status = 400;
+        throw error;
+      }
+      cursorClause = `WHERE (${sortColumn} ${comparator} ? OR (${sortColumn} = ? AND id ${comparator} ?))`;
+      cursorParams.push(position.value, position.value, position.id);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    let rows;
+    try {
+      rows = await DatabaseService.all(
+        `SELECT * FROM (
+           SELECT n.*,
+             bm25(news_fts, 10.0, 4.0, 1.0) AS score,
+             highlight(news_fts, 0, '<mark>', '</mark>') AS title_highlight,
+             snippet(news_fts, -1, '<mark>', '</mark>', '…', 24) AS snippet
+           FROM news_fts
+           JOIN news n ON n.id = news_fts.rowid
+           WHERE ${whereClause}
+         )
+         ${cursorClause}
+         ORDER BY ${sortColumn} ${direction}, id ${direction}
+         LIMIT ?`,
+        [...params, ...cursorParams, pageSize + 1]
+      );
+    } catch (error) {
+      if (/fts5/i.test(error.message)) {
+        const syntaxError = new Error('Invalid search query');
+        syntaxError.status = 400;
+        throw syntaxError;
+      }
+      throw error;
+    }
+
+    const hasMore = rows.length > pageSize;
+    const results = rows.slice(0, pageSize);
+    const lastRow = results[results.length - 1];
+
+    return {
+      results,
+      nextCursor: hasMore ? this.encodeSearchCursor(lastRow[sortColumn], lastRow.id) : null
+    };
+  }
+
+  encodeSearchCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+  }
+
+  decodeSearchCursor(cursor) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      if (v === undefined || !Number.isInteger(id)) {
+        return null;
+      }
+      return { value: v, id };
+    } catch {
+      return null;
+    }
+  }
 }
 
 module.exports = new NewsService();
+module.exports.INGEST_MAX_BATCH = INGEST_MAX_BATCH;
@@ -0,0 +1,633 @@
+const cheerio = require('cheerio');
+const DatabaseService = require('./DatabaseService');
+const { RENDER_MODES } = require('./PageFetcherService');
+
+// 支持的新闻源类型
+const SOURCE_TYPES = ['rss', 'atom', 'jsonfeed', 'scrape'];
+// 订阅类新闻源（可通过 OPML 导入/导出）
+const FEED_TYPES = ['rss', 'atom', 'jsonfeed'];
+
+// 连续失败达到该次数后进入退避隔离
+const FAILURE_THRESHOLD = 3;
+// 订阅源条目连续处理失败的次数上限，达到后游标越过该条目，不再重试
+const MAX_ITEM_ATTEMPTS = 3;
+// 退避时长：从1小时开始指数增长，最长24小时
+const BASE_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+// 内容类型：新闻报道、评论文章、公司新闻稿
+const CONTENT_TYPES = ['news', 'opinion', 'press_release'];
+// 计算情绪均值时各内容类型的权重（再乘以来源可信度）
+const CONTENT_TYPE_WEIGHTS = { news: 1, opinion: 0.5, press_release: 0.3 };
+
+// 新闻稿发布平台，转载到其他来源时也按新闻稿处理
+const PRESS_RELEASE_DOMAINS = ['prnewswire.com', 'businesswire.com', 'globenewswire.com', 'accesswire.com', 'newsfilecorp.com'];
+const OPINION_PATH_PATTERN = /\/(opinion|opinions|commentary|op-ed|editorial|editorials|columnists?)\//i;
+const OPINION_CATEGORY_PATTERN = /^(opinion|commentary|op-ed|editorial|analysis & opinion)$/i;
+const PRESS_RELEASE_CATEGORY_PATTERN = /^press releases?$/i;
+
+// 内置默认新闻源，首次启动时写入 news_sources 表
+const DEFAULT_SOURCES = [
+  { name: 'BBC Business', type: 'rss', url: 'http://feeds.bbci.co.uk/news/business/rss.xml', credibility: 0.85 },
+  { name: 'CNN Business', type: 'rss', url: 'http://rss.cnn.com/rss/edition.rss', credibility: 0.75 },
+  { name: 'Yahoo Finance', type: 'rss', url: 'https://finance.yahoo.com/rss/', credibility: 0.6 },
+  { name: 'MarketWatch', type: 'rss', url: 'http://feeds.marketwatch.com/marketwatch/topstories/', credibility: 0.8 },
+  { name: 'Bloomberg Markets', type: 'rss', url: 'https://feeds.bloomberg.com/markets/news.rss', credibility: 0.95 },
+  { name: 'CNBC Markets', type: 'rss', url: 'https://www.cnbc.com/id/20910258/device/rss/rss.html', credibility: 0.8 },
+  { name: 'Forbes Business', type: 'rss', url: 'https://www.forbes.com/business/feed/', credibility: 0.6 },
+  { name: 'Business Insider', type: 'rss', url: 'https://www.businessinsider.com/rss', credibility: 0.6 },
+  { name: 'Seeking Alpha', type: 'rss', url: 'https://seekingalpha.com/feed.xml', credibility: 0.4, content_type: 'opinion' },
+  { name: 'The Motley Fool', type: 'rss', url: 'https://www.fool.com/feeds/index.aspx', credibility: 0.4, content_type: 'opinion' },
+  { name: 'Barrons Real-time', type: 'rss', url: 'https://feeds.content.dowjones.io/public/rss/mw_realtimeheadlines', credibility: 0.85 },
+  { name: 'TechCrunch', type: 'rss', url: 'https://feeds.feedburner.com/TechCrunch/', credibility: 0.7 },
+  { name: 'WSJ Markets', type: 'rss', url: 'https://feeds.a.dj.com/rss/RSSMarketsMain.xml', credibility: 0.95 },
+
+  // 备用网页抓取源（仅在RSS和API都失败时使用）
+  {
+    name: 'Reuters Finance',
+    type: 'scrape',
+    url: 'https://www.reuters.com/business/finance/',
+    selector: 'a[data-testid="Heading"]',
+    credibility: 0.95
+  },
+  {
+    name: 'Yahoo Finance',
+    type: 'scrape',
+    url: 'https://finance.yahoo.com/news/',
+    selector: '.content a.titles',
+    credibility: 0.6
+  },
+  {
+    name: 'MarketWatch',
+    type: 'scrape',
+    url: 'https://www.marketwatch.com/latest-news',
+    selector: 'h3.article__headline a',
+    credibility: 0.8
+  }
+];
+
+// 中文财经新闻源（A股/港股），部分网站没有官方RSS，通过 RSSHub 订阅
+const CHINESE_SOURCES = [
+  { name: 'FT中文网', type: 'rss', url: 'https://www.ftchinese.com/rss/news', credibility: 0.85 },
+  { name: '香港电台 财经', type: 'rss', url: 'https://rthk9.rthk.hk/rthk/news/rss/c_expressnews_cfinance.xml', credibility: 0.8 },
+  { name: '财联社电报', type: 'rss', url: 'https://rsshub.app/cls/telegraph', credibility: 0.75 },
+  { name: '华尔街见闻', type: 'rss', url: 'https://rsshub.app/wallstreetcn/news/global', credibility: 0.7 },
+  { name: '36氪', type: 'rss', url: 'https://36kr.com/feed', credibility: 0.6 }
+];
+
+// [配置键, 新闻源列表]：新版本增加的默认新闻源使用新的配置键，已有数据库启动时补充写入一次
+const SOURCE_SEEDS = [
+  ['news_sources_seeded', DEFAULT_SOURCES],
+  ['news_sources_zh_seeded', CHINESE_SOURCES]
+];
+
+class NewsSourceService {
+  // 写入默认新闻源（每组只写入一次，管理员删除后不会再次写入）
+  async seedDefaultSources() {
+    try {
+      for (const [seedKey, seedSources] of SOURCE_SEEDS) {
+        const seeded = await DatabaseService.get(
+          'SELECT value FROM config WHERE key = ?',
+          [seedKey]
+        );
+
+        if (seeded) {
+          continue;
+        }
+
+        for (const source of seedSources) {
+          await DatabaseService.run(
+            'INSERT OR IGNORE INTO news_sources (name, type, url, selector, credibility, content_type) VALUES (?, ?, ?, ?, ?, ?)',
+            [source.name, source.type, source.url, source.selector || null, source.credibility, source.content_type || 'news']
+          );
+        }
+
+        await DatabaseService.run(
+          "INSERT INTO config (key, value) VALUES (?, '1')",
+          [seedKey]
+        );
+
+        console.log(`Seeded ${seedSources.length} default news sources (${seedKey})`);
+      }
+    } catch (error) {
+      console.error('Error seeding news sources:', error);
+    }
+  }
+
+  // 为已存在的默认新闻源补充可信度和内容类型，并回填已入库新闻（只执行一次，不覆盖管理员设置的值）
+  async seedDefaultWeights() {
+    try {
+      const seeded = await DatabaseService.get(
+        "SELECT value FROM config WHERE key = 'news_source_weights_seeded'"
+      );
+
+      if (seeded) {
+        return;
+      }
+
+      for (const source of DEFAULT_SOURCES) {
+        await DatabaseService.run(
+          `UPDATE news_sources SET credibility = ?, content_type = ?
+           WHERE url = ? AND credibility IS NULL`,
+          [source.credibility, source.content_type || 'news', source.url]
+        );
+      }
+
+      // 同名来源（如 Yahoo Finance 的RSS和网页抓取）取最高可信度
+      await DatabaseService.run(
+        `UPDATE news SET
+           source_credibility = (SELECT MAX(s.credibility) FROM news_sources s WHERE s.name = news.source),
+           content_type = COALESCE((SELECT MIN(s.content_type) FROM news_sources s WHERE s.name = news.source), 'news')
+         WHERE source_credibility IS NULL`
+      );
+
+      await DatabaseService.run(
+        "INSERT INTO config (key, value) VALUES ('news_source_weights_seeded', '1')"
+      );
+    } catch (error) {
+      console.error('Error seeding news source weights:', error);
+    }
+  }
+
+  async getSources(filters = {}) {
+    let whereClause = '1=1';
+    const params = [];
+
+    if (filters.type) {
+      whereClause += ' AND type = ?';
+      params.push(filters.type);
+    }
+
+    if (filters.enabled !== undefined) {
+      whereClause += ' AND enabled = ?';
+      params.push(filters.enabled ? 1 : 0);
+    }
+
+    return DatabaseService.all(
+      `SELECT * FROM news_sources WHERE ${whereClause} ORDER BY type, name`,
+      params
+    );
+  }
+
+  async getSource(id) {
+    return DatabaseService.get('SELECT * FROM news_sources WHERE id = ?', [id]);
+  }
+
+  async getEnabledSources() {
+    return this.getSources({ enabled: true });
+  }
+
+  // 校验新闻源字段，返回错误信息或null
+  validateSource(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        return 'Source name required';
+      }
+    }
+
+    if (!partial || data.url !== undefined) {
+      try {
+        const parsed = new URL(data.url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+          return 'Source URL must use http or https';
+        }
+      } catch {
+        return 'Valid source URL required';
+      }
+    }
+
+    if (data.type !== undefined && !SOURCE_TYPES.includes(data.type)) {
+      return `Source type must be one of: ${SOURCE_TYPES.join(', ')}`;
+    }
+
+    if (data.type === 'scrape' && !data.selector) {
+      return 'Selector required for scrape sources';
+    }
+
+    if (data.render_mode !== undefined && !RENDER_MODES.includes(data.render_mode)) {
+      return `Render mode must be one of: ${RENDER_MODES.join(', ')}`;
+    }
+
+    // 可信度 0-1，null 表示使用相关度评分配置中的默认值
+    if (data.credibility !== undefined && data.credibility !== null &&
+        (typeof data.credibility !== 'number' || data.credibility < 0 || data.credibility > 1)) {
+      return 'Credibility must be a number between 0 and 1';
+    }
+
+    if (data.content_type !== undefined && !CONTENT_TYPES.includes(data.content_type)) {
+      return `Content type must be one of: ${CONTENT_TYPES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  async createSource(data) {
+    const result = await DatabaseService.run(
+      'INSERT INTO news_sources (name, type, url, selector, render_mode, credibility, content_type, enabled) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        data.name.trim(),
+        data.type || 'rss',
+        data.url,
+        data.selector || null,
+        data.render_mode || 'http',
+        data.credibility !== undefined ? data.credibility : null,
+        data.content_type || 'news',
+        data.enabled === false ? 0 : 1
+      ]
+    );
+
+    return this.getSource(result.id);
+  }
+
+  async updateSource(id, data) {
+    const fields = [];
+    const params = [];
+
+    for (const field of ['name', 'type', 'url', 'selector', 'render_mode', 'credibility', 'content_type']) {
+      if (data[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        params.push(field === 'name' ? data[field].trim() : data[field]);
+      }
+    }
+
+    if (data.enabled !== undefined) {
+      fields.push('enabled = ?');
+      params.push(data.enabled ? 1 : 0);
+    }
+
+    // 地址变化后之前的条件请求验证器和游标不再有效
+    if (data.url !== undefined) {
+      fields.push('etag = NULL', 'last_modified = NULL', 'cursor_guid = NULL', 'cursor_published_at = NULL');
+    }
+
+    if (fields.length === 0) {
+      return this.getSource(id);
+    }
+
+    const result = await DatabaseService.run(
+      `UPDATE news_sources SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    return this.getSource(id);
+  }
+
+  async setEnabled(id, enabled) {
+    return this.updateSource(id, { enabled });
+  }
+
+  async deleteSource(id) {
+    const result = await DatabaseService.run('DELETE FROM news_sources WHERE id = ?', [id]);
+    await DatabaseService.run('DELETE FROM news_source_fetches WHERE source_id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // 导出订阅类新闻源为 OPML 2.0
+  async exportOpml() {
+    const sources = (await this.getSources()).filter(source => FEED_TYPES.includes(source.type));
+
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const outlines = sources.map(source =>
+      `    <outline type="${source.type}" text="${escape(source.name)}" title="${escape(source.name)}" xmlUrl="${escape(source.url)}"${source.enabled ? '' : ' isDisabled="true"'}/>`
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>Market Daily News Sources</title>',
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>',
+      ...outlines,
+      '  </body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * 从 OPML 导入订阅源（包括分组内嵌套的 outline），已存在的地址跳过
+   * @returns {{created: Array, skipped: Array, invalid: Array}}
+   */
+  async importOpml(xml) {
+    const $ = cheerio.load(String(xml || ''), { xmlMode: true });
+
+    if ($('opml').length === 0) {
+      const error = new Error('Invalid OPML document');
+      error.status = 400;
+      throw error;
+    }
+
+    const existing = new Set((await this.getSources()).map(source => source.url));
+    const result = { created: [], skipped: [], invalid: [] };
+
+    for (const element of $('outline[xmlUrl]').toArray()) {
+      const outline = $(element);
+      const url = (outline.attr('xmlUrl') || '').trim();
+      const declaredType = (outline.attr('type') || '').toLowerCase();
+      const data = {
+        name: (outline.attr('title') || outline.attr('text') || url).trim(),
+        url,
+        type: declaredType === 'atom' ? 'atom' : ['jsonfeed', 'json'].includes(declaredType) ? 'jsonfeed' : 'rss',
+        enabled: outline.attr('isDisabled') !== 'true'
+      };
+
+      const validationError = this.validateSource(data);
+      if (validationError) {
+        result.invalid.push({ name: data.name, url, error: validationError });
+        continue;
+      }
+
+      if (existing.has(url)) {
+        result.skipped.push({ name: data.name, url });
+        continue;
+      }
+
+      result.created.push(await this.createSource(data));
+      existing.add(url);
+    }
+
+    return result;
+  }
+
+  // 保存RSS/Atom源的条件请求验证器和增量游标
+  async updateFeedState(id, { etag, lastModified, cursorGuid, cursorPublishedAt }) {
+    try {
+      await DatabaseService.run(
+        `UPDATE news_sources
+         SET etag = ?, last_modified = ?, cursor_guid = ?, cursor_published_at = ?
+         WHERE id = ?`,
+        [etag || null, lastModified || null, cursorGuid || null, cursorPublishedAt || null, id]
+      );
+    } catch (error) {
+      console.error('Error updating feed state:', error);
+    }
+  }
+
+  // 新闻源是否处于退避隔离期
+  isQuarantined(source, now = new Date()) {
+    return !!source.backoff_until && new Date(source.backoff_until) > now;
+  }
+
+  // 从错误对象中提取错误码（网络错误码或HTTP状态）
+  getErrorCode(error) {
+    if (!error) {
+      return null;
+    }
+
+    const status = error.status || error.response?.status;
+    if (status) {
+      return `HTTP_${status}`;
+    }
+
+    // rss-parser 对非200响应抛出 "Status code 404"
+    const statusMatch = /Status code (\d+)/.exec(error.message || '');
+    if (statusMatch) {
+      return `HTTP_${statusMatch[1]}`;
+    }
+
+    if (error.code) {
+      return error.code;
+    }
+
+    if (/xml|feed not recognized|unexpected close tag|non-whitespace/i.test(error.message || '')) {
+      return 'PARSE_ERROR';
+    }
+
+    return 'UNKNOWN';
+  }
+
+  // 记录一次抓取结果并更新新闻源的健康状态
+  async recordFetch(source, { status, itemCount = 0, latencyMs = null, error = null }) {
+    const now = new Date();
+    const errorCode = status === 'failure' ? this.getErrorCode(error) : null;
+    const errorMessage = error ? String(error.message || error).substring(0, 500) : null;
+
+    try {
+      await DatabaseService.run(
+        `INSERT INTO news_source_fetches (source_id, status, item_count, latency_ms, error_code, error_message, fetched_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [source.id, status, itemCount, latencyMs, errorCode, errorMessage, now.toISOString()]
+      );
+
+      if (status !== 'failure') {
+        await DatabaseService.run(
+          `UPDATE news_sources
+           SET consecutive_failures = 0, last_success_at = ?, last_error = NULL, backoff_until = NULL
+           WHERE id = ?`,
+          [now.toISOString(), source.id]
+        );
+        return;
+      }
+
+      const failures = (source.consecutive_failures || 0) + 1;
+      let backoffUntil = null;
+
+      if (failures >= FAILURE_THRESHOLD) {
+        const backoffMs = Math.min(
+          BASE_BACKOFF_MS * Math.pow(2, failures - FAILURE_THRESHOLD),
+          MAX_BACKOFF_MS
+        );
+        backoffUntil = new Date(now.getTime() + backoffMs).toISOString();
+        console.warn(`${source.name} 连续失败 ${failures} 次，暂停抓取至 ${backoffUntil}`);
+      }
+
+      await DatabaseService.run(
+        `UPDATE news_sources
+         SET consecutive_failures = ?, last_error = ?, backoff_until = ?
+         WHERE id = ?`,
+        [failures, errorCode ? `${errorCode}: ${errorMessage}` : errorMessage, backoffUntil, source.id]
+      );
+    } catch (dbError) {
+      console.error('Error recording source fetch:', dbError);
+    }
+  }
+
+  // 清除退避状态，下次更新时立即重新抓取
+  async resetHealth(id) {
+    const result = await DatabaseService.run(
+      `UPDATE news_sources
+       SET consecutive_failures = 0, last_error = NULL, backoff_until = NULL
+       WHERE id = ?`,
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  // 汇总各新闻源在最近若干天内的抓取健康度
+  async getHealth(days = 7) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const rows = await DatabaseService.all(
+      `SELECT s.*,
+         COUNT(f.id) as total_fetches,
+         SUM(CASE WHEN f.status != 'failure' THEN 1 ELSE 0 END) as success_count,
+         AVG(f.latency_ms) as avg_latency_ms,
+         MAX(f.fetched_at) as last_fetch_at
+       FROM news_sources s
+       LEFT JOIN news_source_fetches f ON f.source_id = s.id AND f.fetched_at >= ?
+       GROUP BY s.id
+       ORDER BY s.type, s.name`,
+      [since]
+    );
+
+    const now = new Date();
+    return rows.map(row => ({
+      ...row,
+      success_count: row.success_count || 0,
+      success_rate: row.total_fetches > 0 ? row.success_count / row.total_fetches : null,
+      avg_latency_ms: row.avg_latency_ms !== null ? Math.round(row.avg_latency_ms) : null,
+      quarantined: this.isQuarantined(row, now)
+    }));
+  }
+
+  async getFetchHistory(sourceId, limit = 50) {
+    return DatabaseService.all(
+      `SELECT * FROM news_source_fetches
+       WHERE source_id = ?
+       ORDER BY fetched_at DESC
+       LIMIT ?`,
+      [sourceId, limit]
+    );
+  }
+
+  /**
+   * 判断文章的内容类型：推送时指定的类型优先，其次按链接（新闻稿平台、评论栏目路径）和分类识别，最后使用来源的类型
+   * @param {Object} article url、categories、contentType
+   * @param {string} sourceContentType 来源设置的内容类型
+   */
+  detectContentType(article, sourceContentType = 'news') {
+    if (CONTENT_TYPES.includes(article.contentType)) {
+      return article.contentType;
+    }
+
+    try {
+      const { hostname, pathname } = new URL(article.url);
+      if (PRESS_RELEASE_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+        return 'press_release';
+      }
+      if (OPINION_PATH_PATTERN.test(pathname)) {
+        return 'opinion';
+      }
+    } catch {
+      // 推送的新闻可能没有原文地址
+    }
+
+    const categories = (article.categories || []).map(category => String(category).trim());
+    if (categories.some(category => PRESS_RELEASE_CATEGORY_PATTERN.test(category))) {
+      return 'press_release';
+    }
+    if (categories.some(category => OPINION_CATEGORY_PATTERN.test(category))) {
+      return 'opinion';
+    }
+
+    return CONTENT_TYPES.includes(sourceContentType) ? sourceContentType : 'news';
+  }
+
+  // 新闻在情绪均值中的权重：来源可信度 × 内容类型权重
+  sentimentWeight(news, defaultCredibility) {
+    const credibility = typeof news.source_credibility === 'number' ? news.source_credibility : defaultCredibility;
+    const typeWeight = CONTENT_TYPE_WEIGHTS[news.content_type] !== undefined ? CONTENT_TYPE_WEIGHTS[news.content_type] : 1;
+    return credibility * typeWeight;
+  }
+
+  // 按来源可信度和内容类型加权的情绪均值，权重全为0时退回简单平均
+  weightedSentiment(newsList, defaultCredibility) {
+    // 因预算不足尚未分析情感的新闻（sentiment 为 null）不参与计算
+    const analyzed = newsList.filter(news => typeof news.sentiment === 'number');
+    if (analyzed.length === 0) {
+      return 0;
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const news of analyzed) {
+      const weight = this.sentimentWeight(news, defaultCredibility);
+      weightedSum += news.sentiment * weight;
+      totalWeight += weight;
+    }
+
+    return totalWeight > 0
+      ? weightedSum / totalWeight
+      : analyzed.reduce((sum, news) => sum + news.sentiment, 0) / analyzed.length;
+  }
+
+  // SQL 中的情绪权重表达式，需要传入一个默认可信度参数
+  sentimentWeightSql(alias = 'news') {
+    const typeWeights = Object.entries(CONTENT_TYPE_WEIGHTS)
+      .map(([type, weight]) => `WHEN '${type}' THEN ${weight}`)
+      .join(' ');
+    return `(COALESCE(${alias}.source_credibility, ?) * (CASE ${alias}.content_type ${typeWeights} ELSE 1 END))`;
+  }
+
+  /**
+   * 记录订阅源条目本次的处理结果，返回已达到重试上限、不再阻挡游标的条目
+   * @param {Map<string, string>} failures 本次处理失败的条目（guid -> 错误信息）
+   * @param {Set<string>} pendingGuids 本次未处理完的条目（包括失败和超出上限的），其余条目的失败记录被清除
+   * @returns {Promise<Set<string>>}
+   */
+  async recordItemFailures(sourceId, failures, pendingGuids) {
+    const exhausted = new Set();
+    const now = new Date().toISOString();
+
+    try {
+      for (const [guid, message] of failures) {
+        await DatabaseService.run(
+          `INSERT INTO news_source_item_failures (source_id, guid, attempts, last_error, updated_at)
+           VALUES (?, ?, 1, ?, ?)
+           ON CONFLICT(source_id, guid) DO UPDATE SET
+             attempts = attempts + 1, last_error = excluded.last_error, updated_at = excluded.updated_at`,
+          [sourceId, guid, String(message || '').substring(0, 500), now]
+        );
+        const { attempts } = await DatabaseService.get(
+          'SELECT attempts FROM news_source_item_failures WHERE source_id = ? AND guid = ?',
+          [sourceId, guid]
+        );
+        if (attempts >= MAX_ITEM_ATTEMPTS) {
+          console.warn(`条目 ${guid} 已连续处理失败 ${attempts} 次，不再重试`);
+          exhausted.add(guid);
+        }
+      }
+
+      // 已处理成功或游标已越过的条目不再需要失败记录
+      const keep = [...pendingGuids];
+      await DatabaseService.run(
+        `DELETE FROM news_source_item_failures
+         WHERE source_id = ?${keep.length > 0 ? ` AND guid NOT IN (${keep.map(() => '?').join(',')})` : ''}`,
+        [sourceId, ...keep]
+      );
+    } catch (error) {
+      console.error('Error recording feed item failures:', error);
+    }
+
+    return exhausted;
+  }
+
+  // 清理过期的抓取记录
+  async pruneFetchHistory(days = 30) {
+    try {
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      await DatabaseService.run('DELETE FROM news_source_fetches WHERE fetched_at < ?', [cutoff]);
+      await DatabaseService.run('DELETE FROM news_source_item_failures WHERE updated_at < ?', [cutoff]);
+    } catch (error) {
+      console.error('Error pruning source fetch history:', error);
+    }
+  }
+}
+
+module.exports = new NewsSourceService();
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
+module.exports.FEED_TYPES = FEED_TYPES;
+module.exports.MAX_ITEM_ATTEMPTS = MAX_ITEM_ATTEMPTS;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
+module.exports.CONTENT_TYPE_WEIGHTS = CONTENT_TYPE_WEIGHTS;
@@ -0,0 +1,228 @@
+const axios = require('axios');
+const DatabaseService = require('./DatabaseService');
+const FixtureRecorder = require('../utils/FixtureRecorder');
+
+// 页面抓取方式：http（axios直接请求）、browser（无头浏览器渲染）、auto（先http，提取不到内容再用浏览器）
+const RENDER_MODES = ['http', 'browser', 'auto'];
+const RENDER_DOMAINS_CONFIG_KEY = 'browser_render_domains';
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7'
+};
+
+class PageFetcherService {
+  constructor() {
+    // 可插拔的抓取器：name -> async (url, options) => { html, status, statusText, finalUrl }
+    this.fetchers = {
+      http: (url, options) => this.fetchWithHttp(url, options),
+      // http 请求由 axios 拦截器录制/回放，浏览器渲染结果单独录制
+      browser: (url, options) => FixtureRecorder.capture(
+        'browser',
+        { url, waitSelector: options.waitSelector || null },
+        () => this.fetchWithBrowser(url, options),
+        new URL(url).hostname
+      )
+    };
+
+    // 浏览器渲染单独限制并发和超时，避免拖垮服务器
+    this.browserConcurrency = parseInt(process.env.BROWSER_MAX_CONCURRENCY) || 2;
+    this.browserTimeout = parseInt(process.env.BROWSER_TIMEOUT_MS) || 20000;
+    this.browserName = process.env.BROWSER_NAME || 'chrome';
+    this.activeBrowsers = 0;
+    this.browserQueue = [];
+
+    this.renderDomains = null;
+  }
+
+  registerFetcher(name, fetcher) {
+    this.fetchers[name] = fetcher;
+  }
+
+  // 需要浏览器渲染的文章域名（包括其子域名）
+  async getRenderDomains() {
+    if (this.renderDomains === null) {
+      this.renderDomains = await DatabaseService.getGlobalConfig(RENDER_DOMAINS_CONFIG_KEY, []);
+    }
+    return this.renderDomains;
+  }
+
+  async setRenderDomains(domains) {
+    if (!Array.isArray(domains)) {
+      const error = new Error('domains must be an array');
+      error.status = 400;
+      throw error;
+    }
+
+    const normalized = [];
+    for (const domain of domains) {
+      const value = String(domain || '').trim().toLowerCase().replace(/^\*\./, '');
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) {
+        const error = new Error(`Invalid domain: ${domain}`);
+        error.status = 400;
+        throw error;
+      }
+      if (!normalized.includes(value)) {
+        normalized.push(value);
+      }
+    }
+
+    await DatabaseService.setGlobalConfig(RENDER_DOMAINS_CONFIG_KEY, normalized);
+    this.renderDomains = normalized;
+    return normalized;
+  }
+
+  // 确定抓取方式：显式指定优先，其次按域名列表判断
+  async resolveMode(url, mode) {
+    if (RENDER_MODES.includes(mode)) {
+      return mode;
+    }
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return 'http';
+    }
+
+    const domains = await this.getRenderDomains();
+    const matched = domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    return matched ? 'browser' : 'http';
+  }
+
+  /**
+   * 抓取页面HTML
+   * @param {string} url
+   * @param {object} options mode、headers、timeout、validateStatus（http），waitSelector（browser），
+   *   hasContent(html)（auto 模式下判断http结果是否可用）
+   * @returns {Promise<{html: string, status: number, statusText: string, finalUrl: string, mode: string}>}
+   */
+  async fetchPage(url, options = {}) {
+    const mode = await this.resolveMode(url, options.mode);
+
+    if (mode === 'auto') {
+      const page = await this.fetchers.http(url, options);
+      if (page.status >= 400 || !options.hasContent || options.hasContent(page.html)) {
+        return { ...page, mode: 'http' };
+      }
+
+      console.log(`${url} 未提取到内容，使用无头浏览器重新抓取`);
+      return { ...(await this.fetchers.browser(url, options)), mode: 'browser' };
+    }
+
+    const fetcher = this.fetchers[mode];
+    return { ...(await fetcher(url, options)), mode };
+  }
+
+  async fetchWithHttp(url, options = {}) {
+    const response = await axios.get(url, {
+      timeout: options.timeout || 15000,
+      maxRedirects: 5,
+      headers: { ...DEFAULT_HEADERS, ...options.headers },
+      validateStatus: options.validateStatus
+    });
+
+    return {
+      html: typeof response.data === 'string' ? response.data : String(response.data || ''),
+      status: response.status,
+      statusText: response.statusText,
+      // 跟随重定向（如 feedburner 跳转链接）后的最终地址
+      finalUrl: (response.request && response.request.res && response.request.res.responseUrl) || url
+    };
+  }
+
+  // 使用无头浏览器渲染页面，受并发上限和整体超时约束
+  async fetchWithBrowser(url, options = {}) {
+    await this.acquireBrowserSlot();
+
+    let driver = null;
+    let timer = null;
+    let timedOut = false;
+
+    try {
+      const timeout = options.browserTimeout || this.browserTimeout;
+
+      const render = async () => {
+        const instance = await this.buildDriver();
+        if (timedOut) {
+          // 启动浏览器本身已超时，finally 中拿不到该实例，这里直接关闭
+          await instance.quit().catch(() => {});
+          return { html: '', finalUrl: url };
+        }
+        driver = instance;
+        await driver.manage().setTimeouts({ pageLoad: timeout, script: timeout });
+        await driver.get(url);
+
+        if (options.waitSelector) {
+          const { By, until } = require('selenium-webdriver');
+          // 等待目标元素出现，超时后仍使用当前页面内容
+          await driver.wait(until.elementLocated(By.css(options.waitSelector)), timeout / 2).catch(() => {});
+        }
+
+        return { html: await driver.getPageSource(), finalUrl: await driver.getCurrentUrl() };
+      };
+
+      const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error(`Browser render timed out after ${timeout}ms`));
+        }, timeout + 5000);
+      });
+
+      const { html, finalUrl } = await Promise.race([render(), deadline]);
+      return { html, status: 200, statusText: 'OK', finalUrl };
+    } finally {
+      clearTimeout(timer);
+      if (driver) {
+        await driver.quit().catch(error => console.error('Error closing browser:', error.message));
+      }
+      this.releaseBrowserSlot();
+    }
+  }
+
+  async buildDriver() {
+    // 延迟加载，未使用浏览器渲染时不引入 selenium
+    const { Builder } = require('selenium-webdriver');
+    const builder = new Builder().forBrowser(this.browserName);
+
+    if (this.browserName === 'firefox') {
+      const firefox = require('selenium-webdriver/firefox');
+      builder.setFirefoxOptions(new firefox.Options().addArguments('-headless'));
+    } else {
+      const chrome = require('selenium-webdriver/chrome');
+      builder.setChromeOptions(new chrome.Options().addArguments(
+        '--headless=new',
+        '--no-sandbox',
+        '--disable-gpu',
+        '--disable-dev-shm-usage',
+        `--user-agent=${DEFAULT_HEADERS['User-Agent']}`
+      ));
+    }
+
+    // 设置了 SELENIUM_REMOTE_URL 时 Builder 会连接远程 Selenium 服务
+    return builder.build();
+  }
+
+  acquireBrowserSlot() {
+    if (this.activeBrowsers < this.browserConcurrency) {
+      this.activeBrowsers++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.browserQueue.push(resolve));
+  }
+
+  releaseBrowserSlot() {
+    const next = this.browserQueue.shift();
+    if (next) {
+      // 名额直接转交给排队的请求
+      next();
+    } else {
+      this.activeBrowsers--;
+    }
+  }
+}
+
+module.exports = new PageFetcherService();
+module.exports.RENDER_MODES = RENDER_MODES;
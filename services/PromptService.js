@@ -0,0 +1,281 @@
+const DatabaseService = require('./DatabaseService');
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// 内置提示词（每个提示词的版本1），{{变量}} 在调用时替换
+const DEFAULT_PROMPTS = {
+  'news.summary': {
+    description: '新闻摘要',
+    variables: ['text'],
+    system: '你是一个专业的财经新闻分析师。请用中文总结新闻内容，突出重点信息和市场影响。',
+    user: '请总结以下新闻内容（不超过150字）：\n\n{{text}}'
+  },
+  'news.sentiment': {
+    description: '新闻情感分析',
+    variables: ['text'],
+    system: '分析文本的情感倾向，返回-1到1之间的数值，-1表示非常负面，0表示中性，1表示非常正面。只返回数值。',
+    user: '{{text}}'
+  },
+  'report.marketAnalysis': {
+    description: '每日报告的市场分析',
+    variables: ['newsText'],
+    system: `你是一位专业的金融分析师。基于提供的新闻信息，生成简洁的市场分析报告。
+请以JSON格式返回，包含以下字段：
+- summary: 市场总体情况摘要（50字内）
+- keyPoints: 关键要点数组（每个要点30字内，最多3个）
+- outlook: 市场前景展望（100字内）`,
+    user: '请分析以下新闻并生成市场分析：\n\n{{newsText}}'
+  },
+  'report.portfolioRecommendations': {
+    description: '投资组合报告的投资建议',
+    variables: ['stocksText', 'newsText'],
+    system: `你是一位专业的投资顾问。基于投资组合和相关新闻，提供投资建议。
+请以JSON格式返回，包含：
+- recommendations: 建议数组（每个建议50字内，最多3个）
+- riskLevel: 风险等级（low/medium/high）
+- summary: 总体建议摘要（100字内）`,
+    user: '投资组合股票：{{stocksText}}\n\n相关新闻：\n{{newsText}}\n\n请提供投资建议。'
+  },
+  'report.marketOverview': {
+    description: '通用报告的市场概览',
+    variables: ['newsText'],
+    system: '你是一位金融分析师。基于新闻标题，用200字内简洁总结当前市场状况。',
+    user: '基于以下新闻标题，总结市场概况：\n\n{{newsText}}'
+  },
+  'report.topicAnalysis': {
+    description: '主题报告的主题分析',
+    variables: ['topic', 'newsText'],
+    system: '你是一位专业的市场分析师。基于相关新闻，分析"{{topic}}"这个主题的影响和趋势。用150字内总结。',
+    user: '请分析"{{topic}}"主题的新闻：\n\n{{newsText}}'
+  },
+  'report.externalNewsAnalysis': {
+    description: '增强报告的外部新闻分析',
+    variables: ['newsText'],
+    system: `你是一位专业的金融分析师。基于提供的新闻，生成市场分析报告。
+请以JSON格式返回，包含：
+- summary: 市场总体情况摘要（150字内）
+- keyTrends: 关键趋势数组（每个趋势30字内，最多5个）
+- sentiment: 整体情绪评分（-1到1之间的数字）
+- riskFactors: 风险因素数组（每个因素30字内，最多3个）`,
+    user: '请分析以下新闻并生成市场分析：\n\n{{newsText}}'
+  },
+  'report.enhancedAIAnalysis': {
+    description: '增强报告的综合投资分析',
+    variables: ['stocksText', 'newsText'],
+    system: `你是一位资深的投资分析师。基于投资组合和综合新闻信息，提供专业的投资分析。
+请以JSON格式返回，包含：
+- summary: 投资组合综合分析（200字内）
+- recommendations: 具体投资建议数组（每个建议50字内，最多5个）
+- riskAssessment: 风险评估（low/medium/high/critical）
+- marketOutlook: 市场前景展望（150字内）
+- actionItems: 行动建议数组（每个建议30字内，最多3个）`,
+    user: '投资组合：{{stocksText}}\n\n相关新闻（包括内部和外部来源）：\n{{newsText}}\n\n请提供综合投资分析。'
+  },
+  'report.topicDeepAnalysis': {
+    description: '主题研究报告的深度分析',
+    variables: ['topic', 'newsText'],
+    system: `你是一位专业的主题研究分析师。基于多源新闻数据，对特定主题进行深度分析。
+请以JSON格式返回，包含：
+- summary: 主题概况总结（200字内）
+- analysis: 深度分析（300字内）
+- trends: 关键趋势数组（每个趋势40字内，最多5个）
+- recommendations: 投资建议数组（每个建议50字内，最多5个）
+- riskFactors: 风险因素数组（每个因素40字内，最多3个）
+- opportunities: 机会点数组（每个机会40字内，最多3个）`,
+    user: '请深度分析主题"{{topic}}"：\n\n{{newsText}}'
+  }
+};
+
+function renderTemplate(template, variables) {
+  return template.replace(VARIABLE_PATTERN, (match, name) =>
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : '');
+}
+
+/**
+ * 提示词模板：每次修改保存为新版本并立即启用，可以回滚到任意历史版本
+ * 调用时记录使用的提示词名称和版本（写入 OpenAI 日志和报告数据）
+ */
+class PromptService {
+  constructor() {
+    // 当前启用的版本（修改和回滚时清空）
+    this.activeTemplates = new Map();
+  }
+
+  // 内置提示词写入为版本1（已有版本的提示词不处理）
+  async seedDefaultPrompts() {
+    try {
+      for (const [name, prompt] of Object.entries(DEFAULT_PROMPTS)) {
+        await DatabaseService.run(
+          `INSERT OR IGNORE INTO prompt_templates (name, version, system_prompt, user_prompt, note, is_active)
+           VALUES (?, 1, ?, ?, ?, 1)`,
+          [name, prompt.system, prompt.user, 'Built-in']
+        );
+      }
+    } catch (error) {
+      console.error('Error seeding prompt templates:', error);
+    }
+  }
+
+  /**
+   * 获取提示词当前启用的版本，数据库中没有时使用内置版本
+   * @returns {Promise<{name: string, version: number, system: string, user: string}>}
+   */
+  async getTemplate(name) {
+    if (!DEFAULT_PROMPTS[name]) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    if (!this.activeTemplates.has(name)) {
+      const row = await DatabaseService.get(
+        'SELECT version, system_prompt, user_prompt FROM prompt_templates WHERE name = ? AND is_active = 1',
+        [name]
+      );
+      this.activeTemplates.set(name, row
+        ? { name, version: row.version, system: row.system_prompt, user: row.user_prompt }
+        : { name, version: 1, system: DEFAULT_PROMPTS[name].system, user: DEFAULT_PROMPTS[name].user });
+    }
+
+    return this.activeTemplates.get(name);
+  }
+
+  /**
+   * 用变量渲染提示词
+   * @returns {Promise<{name: string, version: number, messages: object[]}>}
+   */
+  async render(name, variables = {}) {
+    const template = await this.getTemplate(name);
+    return {
+      name,
+      version: template.version,
+      messages: [
+        { role: 'system', content: renderTemplate(template.system, variables) },
+        { role: 'user', content: renderTemplate(template.user, variables) }
+      ]
+    };
+  }
+
+  async listPrompts() {
+    const rows = await DatabaseService.all(
+      `SELECT name, MAX(version) as latest_version, MAX(CASE WHEN is_active = 1 THEN version END) as active_version,
+         MAX(created_at) as updated_at
+       FROM prompt_templates GROUP BY name`
+    );
+
+    return Object.entries(DEFAULT_PROMPTS).map(([name, prompt]) => {
+      const row = rows.find(item => item.name === name);
+      return {
+        name,
+        description: prompt.description,
+        variables: prompt.variables,
+        activeVersion: row && row.active_version ? row.active_version : 1,
+        latestVersion: row ? row.latest_version : 1,
+        updatedAt: row ? row.updated_at : null
+      };
+    });
+  }
+
+  // 提示词的全部版本（最新的在前），未知提示词返回 null
+  async getVersions(name) {
+    if (!DEFAULT_PROMPTS[name]) {
+      return null;
+    }
+
+    const rows = await DatabaseService.all(
+      `SELECT version, system_prompt as system, user_prompt as user, note, is_active, created_by, created_at
+       FROM prompt_templates WHERE name = ? ORDER BY version DESC`,
+      [name]
+    );
+
+    return {
+      name,
+      description: DEFAULT_PROMPTS[name].description,
+      variables: DEFAULT_PROMPTS[name].variables,
+      versions: rows.map(row => ({ ...row, is_active: !!row.is_active }))
+    };
+  }
+
+  // 校验模板，返回错误信息或null
+  validateTemplate(name, { system, user }) {
+    for (const [field, value] of Object.entries({ system, user })) {
+      if (typeof value !== 'string' || !value.trim()) {
+        return `${field} template required`;
+      }
+      if (value.length > MAX_TEMPLATE_LENGTH) {
+        return `${field} template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+      }
+
+      for (const [, variable] of value.matchAll(VARIABLE_PATTERN)) {
+        if (!DEFAULT_PROMPTS[name].variables.includes(variable)) {
+          return `Unknown variable {{${variable}}} in ${field} template, available: ${DEFAULT_PROMPTS[name].variables.join(', ')}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 保存新版本并启用；未提供的 system 或 user 沿用当前版本
+   * @returns {Promise<object|null>} 新版本，未知提示词返回 null
+   */
+  async createVersion(name, { system, user, note = null }, userId = null) {
+    if (!DEFAULT_PROMPTS[name]) {
+      return null;
+    }
+
+    await this.seedDefaultPrompts();
+    const current = await this.getTemplate(name);
+    const template = {
+      system: system !== undefined ? system : current.system,
+      user: user !== undefined ? user : current.user
+    };
+    const validationError = this.validateTemplate(name, template);
+
+    if (validationError) {
+      const error = new Error(validationError);
+      error.status = 400;
+      throw error;
+    }
+
+    const { latest } = await DatabaseService.get(
+      'SELECT MAX(version) as latest FROM prompt_templates WHERE name = ?',
+      [name]
+    );
+    const version = (latest || 0) + 1;
+
+    await DatabaseService.run(
+      `INSERT INTO prompt_templates (name, version, system_prompt, user_prompt, note, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, version, template.system, template.user, note, userId]
+    );
+    await this.activateVersion(name, version);
+
+    return { name, version, ...template, note };
+  }
+
+  /**
+   * 启用指定版本（回滚）
+   * @returns {Promise<boolean>} 版本不存在时返回 false
+   */
+  async activateVersion(name, version) {
+    const exists = await DatabaseService.get(
+      'SELECT version FROM prompt_templates WHERE name = ? AND version = ?',
+      [name, version]
+    );
+
+    if (!exists) {
+      return false;
+    }
+
+    await DatabaseService.run(
+      'UPDATE prompt_templates SET is_active = CASE WHEN version = ? THEN 1 ELSE 0 END WHERE name = ?',
+      [version, name]
+    );
+    this.activeTemplates.delete(name);
+    return true;
+  }
+}
+
+module.exports = new PromptService();
+module.exports.DEFAULT_PROMPTS = DEFAULT_PROMPTS;
@@ -1,43 +1,122 @@
-const { OpenAI } = require('openai');
 const { format } = require('date-fns');
 const DatabaseService = require('./DatabaseService');
 const NewsService = require('./NewsService');
-const axios = require('axios');
-const OpenAILogger = require('../utils/OpenAILogger');
+const NewsClusterService = require('./NewsClusterService');
+const NewsRelevanceService = require('./NewsRelevanceService');
+const NewsSourceService = require('./NewsSourceService');
+const NewsProviderService = require('./NewsProviderService');
+const LLMService = require('./LLMService');
+const PromptService = require('./PromptService');
+const { containsCJK, segmentWords, detectLanguage } = require('../utils/language');
+const { buildFallback } = require('../utils/jsonSchema');
+
+const stringList = maxItems => ({ type: 'array', items: { type: 'string' }, maxItems });
+
+// AI 分析结果的 JSON Schema：回复按 schema 校验，不符合时要求模型修正，仍失败时返回相同结构的降级结果
+const OUTPUT_SCHEMAS = {
+  marketAnalysis: {
+    type: 'object',
+    required: ['summary', 'keyPoints', 'outlook'],
+    properties: {
+      summary: { type: 'string' },
+      keyPoints: stringList(3),
+      outlook: { type: 'string' }
+    }
+  },
+  portfolioRecommendations: {
+    type: 'object',
+    required: ['recommendations', 'riskLevel', 'summary'],
+    properties: {
+      recommendations: stringList(3),
+      riskLevel: { type: 'string', enum: ['low', 'medium', 'high'] },
+      summary: { type: 'string' }
+    }
+  },
+  externalNewsAnalysis: {
+    type: 'object',
+    required: ['summary', 'keyTrends', 'sentiment', 'riskFactors'],
+    properties: {
+      summary: { type: 'string' },
+      keyTrends: stringList(5),
+      sentiment: { type: 'number', minimum: -1, maximum: 1 },
+      riskFactors: stringList(3)
+    }
+  },
+  enhancedAIAnalysis: {
+    type: 'object',
+    required: ['summary', 'recommendations', 'riskAssessment', 'marketOutlook', 'actionItems'],
+    properties: {
+      summary: { type: 'string' },
+      recommendations: stringList(5),
+      riskAssessment: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+      marketOutlook: { type: 'string' },
+      actionItems: stringList(3)
+    }
+  },
+  topicDeepAnalysis: {
+    type: 'object',
+    required: ['summary', 'analysis', 'trends', 'recommendations', 'riskFactors', 'opportunities'],
+    properties: {
+      summary: { type: 'string' },
+      analysis: { type: 'string' },
+      trends: stringList(5),
+      recommendations: stringList(5),
+      riskFactors: stringList(3),
+      opportunities: stringList(3)
+    }
+  }
+};
 
-class ReportService {
-  constructor() {
-    const config = {
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 60000 // 60秒超时
-    };
+// 降级结果的 schema：风险等级额外允许 unknown（无法评估风险），模型的回复仍按 OUTPUT_SCHEMAS 校验
+function fallbackSchema(schema) {
+  const properties = {};
+  for (const [key, property] of Object.entries(schema.properties)) {
+    properties[key] = property.enum ? { ...property, enum: [...property.enum, 'unknown'] } : property;
+  }
+  return { ...schema, properties };
+}
 
-    // 如果设置了代理，使用代理配置
-    if (process.env.HTTP_PROXY || process.env.HTTPS_PROXY) {
-      try {
-        const { HttpsProxyAgent } = require('https-proxy-agent');
-        const proxyUrl = process.env.HTTPS_PROXY || process.env.HTTP_PROXY;
-        config.httpAgent = new HttpsProxyAgent(proxyUrl);
-        console.log(`Using proxy: ${proxyUrl}`);
-      } catch (error) {
-        console.warn('Failed to configure proxy:', error.message);
-      }
-    }
+const FALLBACK_SCHEMAS = Object.fromEntries(
+  Object.entries(OUTPUT_SCHEMAS).map(([name, schema]) => [name, fallbackSchema(schema)])
+);
+
+// 新闻原文的语言标注：摘要统一为中文，标注原文语言便于模型区分中英文来源
+const LANGUAGE_LABELS = { zh: '中文', en: '英文' };
+
+// 入库新闻使用 news.language，外部新闻（或未识别的旧数据）按标题和摘要识别
+function newsLanguage(item) {
+  return item.language || detectLanguage(`${item.title || ''} ${item.summary || ''}`);
+}
 
-    this.openai = new OpenAI(config);
-    
-    // 支持多个搜索API
+// 提示词中的新闻行，如 "[外部][英文] 标题: 摘要"
+function formatNewsLine(item, { withSummary = true, withOrigin = false } = {}) {
+  const tags = [];
+  if (withOrigin) {
+    tags.push(item.external ? '外部' : '内部');
+  }
+  if (LANGUAGE_LABELS[newsLanguage(item)]) {
+    tags.push(LANGUAGE_LABELS[newsLanguage(item)]);
+  }
+
+  const prefix = tags.map(tag => `[${tag}]`).join('');
+  const text = withSummary ? `${item.title}: ${item.summary || '无摘要'}` : item.title;
+  return prefix ? `${prefix} ${text}` : text;
+}
+
+// 报告中各语言的新闻数量，如 { zh: 3, en: 5 }，无法识别的计入 unknown
+function countLanguages(news) {
+  const counts = {};
+  for (const item of news) {
+    const language = newsLanguage(item) || 'unknown';
+    counts[language] = (counts[language] || 0) + 1;
+  }
+  return counts;
+}
+
+class ReportService {
+  constructor() {
+    // 外部数据源（News API、Finnhub 的请求通过 NewsProviderService 统一计入配额）
     this.searchAPIs = {
-      newsapi: {
-        baseURL: 'https://newsapi.org/v2',
-        apiKey: process.env.NEWSAPI_KEY,
-        enabled: !!process.env.NEWSAPI_KEY
-      },
-      finnhub: {
-        baseURL: 'https://finnhub.io/api/v1',
-        apiKey: process.env.FINNHUB_API_KEY,
-        enabled: !!process.env.FINNHUB_API_KEY
-      },
       alphavantage: {
         baseURL: 'https://www.alphavantage.co',
         apiKey: process.env.ALPHAVANTAGE_API_KEY,
@@ -73,14 +152,12 @@ class ReportService {
         return symbols.length > 0;
       });
 
-      // 计算市场情绪
-      const sentiments = recentNews.map(news => news.sentiment || 0);
-      const avgSentiment = sentiments.length > 0 
-        ? sentiments.reduce((a, b) => a + b, 0) / sentiments.length 
-        : 0;
+      // 计算市场情绪（按来源可信度和内容类型加权）
+      const avgSentiment = await this.calculateWeightedSentiment(recentNews);
 
-      // 生成AI分析报告
-      const aiAnalysis = await this.generateAIAnalysis(recentNews, portfolioNews);
+      // 生成AI分析报告（记录实际使用的提示词版本，降级结果不记录）
+      const promptVersions = {};
+      const aiAnalysis = await this.generateAIAnalysis(recentNews, portfolioNews, promptVersions);
 
       // 获取市场趋势分析
       const marketTrends = await this.analyzeMarketTrends(recentNews);
@@ -89,12 +166,14 @@ class ReportService {
         date: format(reportDate, 'yyyy-MM-dd'),
         formattedDate: format(reportDate, 'yyyy年MM月dd日'),
         totalNews: recentNews.length,
+        newsLanguages: countLanguages(recentNews),
         portfolioNews,
         newsByCategory,
         marketSentiment: avgSentiment,
         portfolio,
         aiAnalysis,
         marketTrends,
+        promptVersions,
         type: 'daily'
       };
     } catch (error) {
@@ -130,53 +209,33 @@ class ReportService {
         return this.generateEmptyPortfolioReport(portfolio, reportDate);
       }
 
-      const symbols = portfolioStocks.map(stock => stock.symbol);
-
-      // 获取相关新闻
-      let recentNews;
+      // 获取与该投资组合相关的新闻（按组合内股票计算的相关度）
+      let portfolioNews;
       if (targetDate) {
         // 获取指定日期的新闻
         const startDate = new Date(reportDate);
         startDate.setHours(0, 0, 0, 0);
         const endDate = new Date(reportDate);
         endDate.setHours(23, 59, 59, 999);
-        
-        recentNews = await DatabaseService.all(
-          `SELECT * FROM news 
-           WHERE created_at >= ? AND created_at <= ?
-           ORDER BY created_at DESC`,
-          [startDate.toISOString(), endDate.toISOString()]
+
+        portfolioNews = await NewsClusterService.collapseClusters(
+          await NewsRelevanceService.getPortfolioNews([portfolio.id], { startDate, endDate })
         );
       } else {
-        // 获取更多新闻以确保有足够的相关新闻
-        recentNews = await NewsService.getRecentNews(100);
+        portfolioNews = await NewsClusterService.collapseClusters(
+          await NewsRelevanceService.getPortfolioNews([portfolio.id], { limit: 100 })
+        );
       }
       
-      // 过滤投资组合相关新闻
-      let portfolioNews = recentNews.filter(news => {
-        const newsSymbols = JSON.parse(news.symbols || '[]');
-        return newsSymbols.some(symbol => symbols.includes(symbol));
-      });
-      
-      // 如果相关新闻太少，直接查询有股票符号的新闻作为补充
+      // 如果相关新闻太少，补充最近的相关新闻
       if (portfolioNews.length < 3) {
-        const additionalNews = await DatabaseService.all(
-          `SELECT * FROM news 
-           WHERE symbols != '[]' AND symbols IS NOT NULL 
-           ORDER BY created_at DESC 
-           LIMIT 20`
-        );
-        
-        // 过滤出与投资组合相关的新闻
-        const relevantAdditional = additionalNews.filter(news => {
-          const newsSymbols = JSON.parse(news.symbols || '[]');
-          return newsSymbols.some(symbol => symbols.includes(symbol));
-        });
+        const additionalNews = await NewsRelevanceService.getPortfolioNews([portfolio.id], { limit: 20 });
         
         // 合并新闻，去重
         const existingUrls = new Set(portfolioNews.map(news => news.url));
-        const newNews = relevantAdditional.filter(news => !existingUrls.has(news.url));
-        portfolioNews = [...portfolioNews, ...newNews].slice(0, 10);
+        const newNews = additionalNews.filter(news => !existingUrls.has(news.url));
+        // 同一报道的不同来源合并为一条
+        portfolioNews = (await NewsClusterService.collapseClusters([...portfolioNews, ...newNews])).slice(0, 10);
       }
 
       // 按分类组织新闻
@@ -189,20 +248,19 @@ class ReportService {
         newsByCategory[category].push(news);
       });
 
-      // 计算市场情绪
-      const sentiments = portfolioNews.map(news => news.sentiment || 0);
-      const avgSentiment = sentiments.length > 0 
-        ? sentiments.reduce((a, b) => a + b, 0) / sentiments.length 
-        : 0;
+      // 计算市场情绪（按来源可信度和内容类型加权）
+      const avgSentiment = await this.calculateWeightedSentiment(portfolioNews);
 
       // 获取投资组合性能指标
       const performanceMetrics = await this.calculatePortfolioMetrics(portfolioId, reportDate);
 
       // 生成AI投资建议
+      const promptVersions = {};
       const aiRecommendations = await this.generatePortfolioRecommendations(
         portfolioStocks, 
         portfolioNews,
-        performanceMetrics
+        performanceMetrics,
+        promptVersions
       );
 
       // 风险分析
@@ -219,12 +277,14 @@ class ReportService {
           stockCount: portfolioStocks.length
         },
         totalNews: portfolioNews.length,
+        newsLanguages: countLanguages(portfolioNews),
         portfolioNews,
         newsByCategory,
         marketSentiment: avgSentiment,
         metrics: performanceMetrics,
         aiRecommendations,
         riskAnalysis,
+        promptVersions,
         type: 'portfolio'
       };
     } catch (error) {
@@ -263,61 +323,46 @@ class ReportService {
          LIMIT 5`
       );
 
-      // 计算市场情绪
-      const sentiments = recentNews.map(news => news.sentiment || 0);
-      const avgSentiment = sentiments.length > 0 
-        ? sentiments.reduce((a, b) => a + b, 0) / sentiments.length 
-        : 0;
+      // 计算市场情绪（按来源可信度和内容类型加权）
+      const avgSentiment = await this.calculateWeightedSentiment(recentNews);
 
       // 生成市场概览
-      const marketOverview = await this.generateMarketOverview(recentNews);
+      const promptVersions = {};
+      const marketOverview = await this.generateMarketOverview(recentNews, promptVersions);
 
       // 热门话题分析
       const trendingTopics = await this.analyzeTrendingTopics(recentNews);
 
-      // 获取所有投资组合的相关新闻（用于通用报告）
-      const allPortfolioStocks = await DatabaseService.all(
-        'SELECT DISTINCT symbol, name FROM portfolio_stocks'
-      );
+      // 只使用公开投资组合的相关度，私有组合的持仓不进入通用报告
+      const publicPortfolioIds = (await DatabaseService.all(
+        'SELECT id FROM portfolios WHERE is_public = 1'
+      )).map(portfolio => portfolio.id);
+      const relevantNews = await NewsRelevanceService.getPortfolioNews(publicPortfolioIds, { limit: 20 });
+      const relevantIds = new Set(relevantNews.map(news => news.id));
       
-      const allSymbols = allPortfolioStocks.map(stock => stock.symbol);
-      
-      // 过滤出与所有投资组合相关的新闻
-      const portfolioNews = recentNews.filter(news => {
-        const newsSymbols = JSON.parse(news.symbols || '[]');
-        return newsSymbols.some(symbol => allSymbols.includes(symbol));
-      });
+      // 过滤出与公开投资组合相关的新闻
+      const portfolioNews = recentNews.filter(news => relevantIds.has(news.id));
       
       // 如果相关新闻太少，补充查询
       let finalPortfolioNews = portfolioNews;
       if (portfolioNews.length < 3) {
-        const additionalNews = await DatabaseService.all(
-          `SELECT * FROM news 
-           WHERE symbols != '[]' AND symbols IS NOT NULL 
-           ORDER BY created_at DESC 
-           LIMIT 20`
-        );
-        
-        const relevantAdditional = additionalNews.filter(news => {
-          const newsSymbols = JSON.parse(news.symbols || '[]');
-          return newsSymbols.some(symbol => allSymbols.includes(symbol));
-        });
-        
         const existingUrls = new Set(portfolioNews.map(news => news.url));
-        const newNews = relevantAdditional.filter(news => !existingUrls.has(news.url));
-        finalPortfolioNews = [...portfolioNews, ...newNews].slice(0, 8);
+        const newNews = relevantNews.filter(news => !existingUrls.has(news.url));
+        finalPortfolioNews = (await NewsClusterService.collapseClusters([...portfolioNews, ...newNews])).slice(0, 8);
       }
 
       return {
         date: format(reportDate, 'yyyy-MM-dd'),
         formattedDate: format(reportDate, 'yyyy年MM月dd日'),
         totalNews: recentNews.length,
+        newsLanguages: countLanguages(recentNews),
         portfolioNews: finalPortfolioNews,
         newsByCategory,
         marketSentiment: avgSentiment,
         portfolio: publicPortfolios,
         marketOverview,
         trendingTopics,
+        promptVersions,
         isGeneral: true,
         type: 'general'
       };
@@ -330,67 +375,46 @@ class ReportService {
   /**
    * 使用AI生成市场分析
    */
-  async generateAIAnalysis(allNews, portfolioNews) {
+  async generateAIAnalysis(allNews, portfolioNews, promptVersions = {}) {
     try {
-      if (!process.env.OPENAI_API_KEY || allNews.length === 0) {
-        return {
+      if (!(await LLMService.isAvailable('analysis')) || allNews.length === 0) {
+        return buildFallback(FALLBACK_SCHEMAS.marketAnalysis, {
           summary: '暂无AI分析',
-          keyPoints: [],
           outlook: '数据不足，无法提供展望'
-        };
+        });
       }
 
-      const newsText = allNews.slice(0, 10).map(news => 
-        `${news.title}: ${news.summary || '无摘要'}`
-      ).join('\n');
+      const newsText = allNews.slice(0, 10).map(news => formatNewsLine(news)).join('\n');
 
+      const prompt = await PromptService.render('report.marketAnalysis', { newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `你是一位专业的金融分析师。基于提供的新闻信息，生成简洁的市场分析报告。
-            请以JSON格式返回，包含以下字段：
-            - summary: 市场总体情况摘要（50字内）
-            - keyPoints: 关键要点数组（每个要点30字内，最多3个）
-            - outlook: 市场前景展望（100字内）`
-          },
-          {
-            role: 'user',
-            content: `请分析以下新闻并生成市场分析：\n\n${newsText}`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 500,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.generateAIAnalysis', 
-        params, 
+      const result = await LLMService.chatStructured(
+        'analysis',
+        'ReportService.generateAIAnalysis',
+        params,
+        OUTPUT_SCHEMAS.marketAnalysis,
         { 
           service: 'ReportService', 
           operation: 'generateAIAnalysis',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           newsCount: allNews.length,
           portfolioNewsCount: portfolioNews.length
         }
       );
-
-      // 清理 OpenAI 返回的 markdown 格式
-      let content = response.choices[0].message.content;
-      
-      // 移除可能的 markdown 代码块标记
-      content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      const result = JSON.parse(content);
+      promptVersions[prompt.name] = prompt.version;
       return result;
     } catch (error) {
       console.error('Error generating AI analysis:', error);
-      return {
+      return buildFallback(FALLBACK_SCHEMAS.marketAnalysis, {
         summary: '暂无AI分析',
-        keyPoints: [],
         outlook: '分析生成失败'
-      };
+      });
     }
   }
 
@@ -427,68 +451,47 @@ class ReportService {
   /**
    * 生成投资组合推荐
    */
-  async generatePortfolioRecommendations(stocks, news, metrics) {
+  async generatePortfolioRecommendations(stocks, news, metrics, promptVersions = {}) {
     try {
-      if (!process.env.OPENAI_API_KEY || stocks.length === 0) {
-        return {
-          recommendations: [],
+      if (!(await LLMService.isAvailable('recommendation')) || stocks.length === 0) {
+        return buildFallback(FALLBACK_SCHEMAS.portfolioRecommendations, {
           riskLevel: 'unknown',
           summary: '暂无AI建议'
-        };
+        });
       }
 
       const stocksText = stocks.map(stock => `${stock.symbol}: ${stock.name}`).join(', ');
-      const newsText = news.slice(0, 5).map(item => 
-        `${item.title}: ${item.summary || '无摘要'}`
-      ).join('\n');
+      const newsText = news.slice(0, 5).map(item => formatNewsLine(item)).join('\n');
 
+      const prompt = await PromptService.render('report.portfolioRecommendations', { stocksText, newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `你是一位专业的投资顾问。基于投资组合和相关新闻，提供投资建议。
-            请以JSON格式返回，包含：
-            - recommendations: 建议数组（每个建议50字内，最多3个）
-            - riskLevel: 风险等级（low/medium/high）
-            - summary: 总体建议摘要（100字内）`
-          },
-          {
-            role: 'user',
-            content: `投资组合股票：${stocksText}\n\n相关新闻：\n${newsText}\n\n请提供投资建议。`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 400,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.generatePortfolioRecommendations', 
-        params, 
+      const result = await LLMService.chatStructured(
+        'recommendation',
+        'ReportService.generatePortfolioRecommendations',
+        params,
+        OUTPUT_SCHEMAS.portfolioRecommendations,
         { 
           service: 'ReportService', 
           operation: 'generatePortfolioRecommendations',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           stockCount: stocks.length,
           newsCount: news.length
         }
       );
-
-      // 清理 OpenAI 返回的 markdown 格式
-      let content = response.choices[0].message.content;
-      
-      // 移除可能的 markdown 代码块标记
-      content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      const result = JSON.parse(content);
+      promptVersions[prompt.name] = prompt.version;
       return result;
     } catch (error) {
       console.error('Error generating portfolio recommendations:', error);
-      return {
-        recommendations: [],
+      return buildFallback(FALLBACK_SCHEMAS.portfolioRecommendations, {
         riskLevel: 'unknown',
         summary: '建议生成失败'
-      };
+      });
     }
   }
 
@@ -539,6 +542,15 @@ class ReportService {
     }
   }
 
+  /**
+   * 计算情绪均值：每条新闻按来源可信度 × 内容类型（新闻/评论/新闻稿）加权，
+   * 没有可信度的来源使用相关性评分配置中的默认可信度
+   */
+  async calculateWeightedSentiment(newsList) {
+    const { defaultCredibility } = await NewsRelevanceService.getScoringConfig();
+    return NewsSourceService.weightedSentiment(newsList, defaultCredibility);
+  }
+
   /**
    * 计算投资组合指标
    */
@@ -553,37 +565,40 @@ class ReportService {
       // 获取相关新闻数量变化
       const weeklyNewsCount = await DatabaseService.get(
         `SELECT COUNT(*) as count FROM news n
-         WHERE n.created_at >= ? AND n.created_at <= ?
+         WHERE n.published_at >= ? AND n.published_at <= ?
+         AND ${NewsClusterService.canonicalCondition('n')}
          AND EXISTS (
-           SELECT 1 FROM portfolio_stocks ps 
-           WHERE ps.portfolio_id = ? 
-           AND JSON_EXTRACT(n.symbols, '$') LIKE '%' || ps.symbol || '%'
+           SELECT 1 FROM news_portfolio_relevance r
+           WHERE r.news_id = n.id AND r.portfolio_id = ?
          )`,
         [oneWeekAgo.toISOString(), date.toISOString(), portfolioId]
       );
 
       const monthlyNewsCount = await DatabaseService.get(
         `SELECT COUNT(*) as count FROM news n
-         WHERE n.created_at >= ? AND n.created_at <= ?
+         WHERE n.published_at >= ? AND n.published_at <= ?
+         AND ${NewsClusterService.canonicalCondition('n')}
          AND EXISTS (
-           SELECT 1 FROM portfolio_stocks ps 
-           WHERE ps.portfolio_id = ? 
-           AND JSON_EXTRACT(n.symbols, '$') LIKE '%' || ps.symbol || '%'
+           SELECT 1 FROM news_portfolio_relevance r
+           WHERE r.news_id = n.id AND r.portfolio_id = ?
          )`,
         [oneMonthAgo.toISOString(), date.toISOString(), portfolioId]
       );
 
-      // 计算情绪趋势
+      // 计算情绪趋势（按来源可信度和内容类型加权）
+      const { defaultCredibility } = await NewsRelevanceService.getScoringConfig();
+      const weight = NewsSourceService.sentimentWeightSql('n');
       const weeklyAvgSentiment = await DatabaseService.get(
-        `SELECT AVG(n.sentiment) as avg_sentiment FROM news n
-         WHERE n.created_at >= ? AND n.created_at <= ?
+        `SELECT CASE WHEN SUM(${weight}) > 0 THEN SUM(n.sentiment * ${weight}) / SUM(${weight}) ELSE AVG(n.sentiment) END as avg_sentiment
+         FROM news n
+         WHERE n.published_at >= ? AND n.published_at <= ?
+         AND ${NewsClusterService.canonicalCondition('n')}
          AND n.sentiment IS NOT NULL
          AND EXISTS (
-           SELECT 1 FROM portfolio_stocks ps 
-           WHERE ps.portfolio_id = ? 
-           AND JSON_EXTRACT(n.symbols, '$') LIKE '%' || ps.symbol || '%'
+           SELECT 1 FROM news_portfolio_relevance r
+           WHERE r.news_id = n.id AND r.portfolio_id = ?
          )`,
-        [oneWeekAgo.toISOString(), date.toISOString(), portfolioId]
+        [defaultCredibility, defaultCredibility, defaultCredibility, oneWeekAgo.toISOString(), date.toISOString(), portfolioId]
       );
 
       return {
@@ -606,41 +621,35 @@ class ReportService {
   /**
    * 生成市场概览
    */
-  async generateMarketOverview(news) {
+  async generateMarketOverview(news, promptVersions = {}) {
     try {
-      if (!process.env.OPENAI_API_KEY || news.length === 0) {
+      if (!(await LLMService.isAvailable('analysis')) || news.length === 0) {
         return '市场数据不足，无法生成概览';
       }
 
-      const newsText = news.slice(0, 8).map(item => item.title).join('\n');
+      const newsText = news.slice(0, 8).map(item => formatNewsLine(item, { withSummary: false })).join('\n');
 
+      const prompt = await PromptService.render('report.marketOverview', { newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '你是一位金融分析师。基于新闻标题，用200字内简洁总结当前市场状况。'
-          },
-          {
-            role: 'user',
-            content: `基于以下新闻标题，总结市场概况：\n\n${newsText}`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 300,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.generateMarketOverview', 
+      const response = await LLMService.chat(
+        'analysis',
+        'ReportService.generateMarketOverview',
         params, 
         { 
           service: 'ReportService', 
           operation: 'generateMarketOverview',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           newsCount: news.length
         }
       );
 
+      promptVersions[prompt.name] = prompt.version;
       return response.choices[0].message.content.trim();
     } catch (error) {
       console.error('Error generating market overview:', error);
@@ -653,16 +662,20 @@ class ReportService {
    */
   async analyzeTrendingTopics(news) {
     try {
-      // 简单的关键词频率分析
+      // 简单的关键词频率分析（中文标题先分词，中英文新闻一起统计）
       const keywordCount = {};
-      const stopWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
+      const stopWords = [
+        'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+        '公司', '表示', '宣布', '今日', '今年', '目前', '我们', '他们', '可能', '已经', '进行'
+      ];
 
       news.forEach(item => {
-        const words = item.title.toLowerCase().split(/\s+/);
+        const words = segmentWords(item.title.toLowerCase());
         words.forEach(word => {
-          const cleanWord = word.replace(/[^\w]/g, '');
-          if (cleanWord.length > 3 && !stopWords.includes(cleanWord)) {
-            keywordCount[cleanWord] = (keywordCount[cleanWord] || 0) + 1;
+          // 英文词至少4个字母，中文词至少2个字
+          const minLength = containsCJK(word) ? 2 : 4;
+          if (word.length >= minLength && !stopWords.includes(word)) {
+            keywordCount[word] = (keywordCount[word] || 0) + 1;
           }
         });
       });
@@ -731,14 +744,14 @@ class ReportService {
       startDate.setDate(startDate.getDate() - days);
 
       // 搜索相关新闻
-      const relevantNews = await DatabaseService.all(
+      const relevantNews = await NewsClusterService.collapseClusters(await DatabaseService.all(
         `SELECT * FROM news 
          WHERE (title LIKE ? OR content LIKE ? OR summary LIKE ?)
-         AND created_at >= ? AND created_at <= ?
-         ORDER BY created_at DESC
+         AND published_at >= ? AND published_at <= ?
+         ORDER BY published_at DESC
          LIMIT 20`,
         [`%${topic}%`, `%${topic}%`, `%${topic}%`, startDate.toISOString(), endDate.toISOString()]
-      );
+      ));
 
       if (relevantNews.length === 0) {
         return {
@@ -757,15 +770,18 @@ class ReportService {
         : 0;
 
       // 生成主题分析
-      const topicAnalysis = await this.generateTopicAnalysis(topic, relevantNews);
+      const promptVersions = {};
+      const topicAnalysis = await this.generateTopicAnalysis(topic, relevantNews, promptVersions);
 
       return {
         topic,
         dateRange: `${format(startDate, 'yyyy-MM-dd')} 至 ${format(endDate, 'yyyy-MM-dd')}`,
         newsCount: relevantNews.length,
+        newsLanguages: countLanguages(relevantNews),
         news: relevantNews,
         sentiment: avgSentiment,
         analysis: topicAnalysis,
+        promptVersions,
         type: 'topic'
       };
     } catch (error) {
@@ -777,43 +793,35 @@ class ReportService {
   /**
    * 生成主题分析
    */
-  async generateTopicAnalysis(topic, news) {
+  async generateTopicAnalysis(topic, news, promptVersions = {}) {
     try {
-      if (!process.env.OPENAI_API_KEY || news.length === 0) {
+      if (!(await LLMService.isAvailable('analysis')) || news.length === 0) {
         return `关于"${topic}"的分析数据不足`;
       }
 
-      const newsText = news.slice(0, 5).map(item => 
-        `${item.title}: ${item.summary || '无摘要'}`
-      ).join('\n');
+      const newsText = news.slice(0, 5).map(item => formatNewsLine(item)).join('\n');
 
+      const prompt = await PromptService.render('report.topicAnalysis', { topic, newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `你是一位专业的市场分析师。基于相关新闻，分析"${topic}"这个主题的影响和趋势。用150字内总结。`
-          },
-          {
-            role: 'user',
-            content: `请分析"${topic}"主题的新闻：\n\n${newsText}`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 250,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.generateTopicAnalysis', 
+      const response = await LLMService.chat(
+        'analysis',
+        'ReportService.generateTopicAnalysis',
         params, 
         { 
           service: 'ReportService', 
           operation: 'generateTopicAnalysis',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           topic: topic 
         }
       );
 
+      promptVersions[prompt.name] = prompt.version;
       return response.choices[0].message.content.trim();
     } catch (error) {
       console.error('Error generating topic analysis:', error);
@@ -830,62 +838,26 @@ class ReportService {
     fromDate.setDate(fromDate.getDate() - days);
 
     // NewsAPI 搜索
-    if (this.searchAPIs.newsapi.enabled) {
+    if (NewsProviderService.isEnabled('newsapi')) {
       try {
-        const response = await axios.get(`${this.searchAPIs.newsapi.baseURL}/everything`, {
-          params: {
-            q: query,
-            from: fromDate.toISOString().split('T')[0],
-            sortBy: 'relevancy',
-            language: 'en',
-            apiKey: this.searchAPIs.newsapi.apiKey,
-            pageSize: 20
-          }
+        const { articles } = await NewsProviderService.searchNewsApi(query, {
+          from: fromDate.toISOString().split('T')[0],
+          sortBy: 'relevancy',
+          pageSize: 20,
+          maxPages: 1
         });
 
-        if (response.data.articles) {
-          results.push(...response.data.articles.map(article => ({
-            title: article.title,
-            summary: article.description,
-            content: article.content,
-            url: article.url,
-            source: article.source.name,
-            publishedAt: article.publishedAt,
-            category: 'external',
-            sentiment: 0, // 需要进一步分析
-            symbols: [],
-            external: true
-          })));
-        }
+        results.push(...articles.map(article => this.formatExternalNews(article, 'external')));
       } catch (error) {
         console.error('NewsAPI search error:', error.message);
       }
     }
 
     // Finnhub 市场新闻
-    if (this.searchAPIs.finnhub.enabled) {
+    if (NewsProviderService.isEnabled('finnhub')) {
       try {
-        const response = await axios.get(`${this.searchAPIs.finnhub.baseURL}/news`, {
-          params: {
-            category: 'general',
-            token: this.searchAPIs.finnhub.apiKey
-          }
-        });
-
-        if (response.data) {
-          results.push(...response.data.slice(0, 10).map(item => ({
-            title: item.headline,
-            summary: item.summary,
-            content: item.summary,
-            url: item.url,
-            source: item.source,
-            publishedAt: new Date(item.datetime * 1000).toISOString(),
-            category: 'market',
-            sentiment: item.sentiment || 0,
-            symbols: item.related ? item.related.split(',') : [],
-            external: true
-          })));
-        }
+        const articles = await NewsProviderService.getMarketNews();
+        results.push(...articles.slice(0, 10).map(article => this.formatExternalNews(article, 'market')));
       } catch (error) {
         console.error('Finnhub search error:', error.message);
       }
@@ -894,71 +866,63 @@ class ReportService {
     return results;
   }
 
+  // 外部接口返回的新闻转换为报告使用的格式
+  formatExternalNews(article, category, symbols = article.symbols || []) {
+    return {
+      title: article.title,
+      summary: article.description,
+      content: article.snippet,
+      url: article.url,
+      source: article.publisher || article.source,
+      publishedAt: article.publishedAt,
+      category,
+      sentiment: 0, // 需要进一步分析
+      symbols,
+      language: detectLanguage(`${article.title || ''} ${article.description || ''}`),
+      external: true
+    };
+  }
+
   /**
    * 使用AI分析和总结外部新闻
    */
-  async analyzeExternalNews(news) {
-    if (!process.env.OPENAI_API_KEY || news.length === 0) {
-      return {
-        summary: '无法获取外部新闻分析',
-        keyTrends: [],
-        sentiment: 0
-      };
+  async analyzeExternalNews(news, promptVersions = {}) {
+    if (!(await LLMService.isAvailable('analysis')) || news.length === 0) {
+      return buildFallback(FALLBACK_SCHEMAS.externalNewsAnalysis, {
+        summary: '无法获取外部新闻分析'
+      });
     }
 
     try {
-      const newsText = news.slice(0, 10).map(item => 
-        `${item.title}: ${item.summary || '无摘要'}`
-      ).join('\n');
+      const newsText = news.slice(0, 10).map(item => formatNewsLine(item)).join('\n');
 
+      const prompt = await PromptService.render('report.externalNewsAnalysis', { newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `你是一位专业的金融分析师。基于提供的新闻，生成市场分析报告。
-            请以JSON格式返回，包含：
-            - summary: 市场总体情况摘要（150字内）
-            - keyTrends: 关键趋势数组（每个趋势30字内，最多5个）
-            - sentiment: 整体情绪评分（-1到1之间的数字）
-            - riskFactors: 风险因素数组（每个因素30字内，最多3个）`
-          },
-          {
-            role: 'user',
-            content: `请分析以下新闻并生成市场分析：\n\n${newsText}`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 600,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.analyzeExternalNews', 
-        params, 
+      const result = await LLMService.chatStructured(
+        'analysis',
+        'ReportService.analyzeExternalNews',
+        params,
+        OUTPUT_SCHEMAS.externalNewsAnalysis,
         { 
           service: 'ReportService', 
           operation: 'analyzeExternalNews',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           newsCount: news.length 
         }
       );
-
-      // 清理 OpenAI 返回的 markdown 格式
-      let content = response.choices[0].message.content;
-      
-      // 移除可能的 markdown 代码块标记
-      content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      const result = JSON.parse(content);
+      promptVersions[prompt.name] = prompt.version;
       return result;
     } catch (error) {
       console.error('Error analyzing external news:', error);
-      return {
-        summary: '外部新闻分析生成失败',
-        keyTrends: [],
-        sentiment: 0,
-        riskFactors: []
-      };
+      return buildFallback(FALLBACK_SCHEMAS.externalNewsAnalysis, {
+        summary: '外部新闻分析生成失败'
+      });
     }
   }
 
@@ -967,73 +931,30 @@ class ReportService {
    */
   async getStockNews(symbols, days = 7) {
     const allNews = [];
+    const fromDate = new Date();
+    fromDate.setDate(fromDate.getDate() - days);
 
     for (const symbol of symbols.slice(0, 5)) { // 限制查询数量
       // Finnhub 股票新闻
-      if (this.searchAPIs.finnhub.enabled) {
+      if (NewsProviderService.isEnabled('finnhub')) {
         try {
-          const fromDate = new Date();
-          fromDate.setDate(fromDate.getDate() - days);
-          
-          const response = await axios.get(`${this.searchAPIs.finnhub.baseURL}/company-news`, {
-            params: {
-              symbol: symbol,
-              from: fromDate.toISOString().split('T')[0],
-              to: new Date().toISOString().split('T')[0],
-              token: this.searchAPIs.finnhub.apiKey
-            }
-          });
-
-          if (response.data) {
-            allNews.push(...response.data.slice(0, 5).map(item => ({
-              title: item.headline,
-              summary: item.summary,
-              content: item.summary,
-              url: item.url,
-              source: item.source,
-              publishedAt: new Date(item.datetime * 1000).toISOString(),
-              category: 'stock',
-              sentiment: 0,
-              symbols: [symbol],
-              external: true
-            })));
-          }
+          const articles = await NewsProviderService.getCompanyNews(symbol, fromDate);
+          allNews.push(...articles.slice(0, 5).map(article => this.formatExternalNews(article, 'stock', [symbol])));
         } catch (error) {
           console.error(`Stock news error for ${symbol}:`, error.message);
         }
       }
 
       // NewsAPI 股票新闻
-      if (this.searchAPIs.newsapi.enabled) {
+      if (NewsProviderService.isEnabled('newsapi')) {
         try {
-          const fromDate = new Date();
-          fromDate.setDate(fromDate.getDate() - days);
-          
-          const response = await axios.get(`${this.searchAPIs.newsapi.baseURL}/everything`, {
-            params: {
-              q: `"${symbol}" stock OR "${symbol}" shares`,
-              from: fromDate.toISOString().split('T')[0],
-              sortBy: 'relevancy',
-              language: 'en',
-              apiKey: this.searchAPIs.newsapi.apiKey,
-              pageSize: 5
-            }
+          const { articles } = await NewsProviderService.searchNewsApi(`"${symbol}" stock OR "${symbol}" shares`, {
+            from: fromDate.toISOString().split('T')[0],
+            sortBy: 'relevancy',
+            pageSize: 5,
+            maxPages: 1
           });
-
-          if (response.data.articles) {
-            allNews.push(...response.data.articles.map(article => ({
-              title: article.title,
-              summary: article.description,
-              content: article.content,
-              url: article.url,
-              source: article.source.name,
-              publishedAt: article.publishedAt,
-              category: 'stock',
-              sentiment: 0,
-              symbols: [symbol],
-              external: true
-            })));
-          }
+          allNews.push(...articles.map(article => this.formatExternalNews(article, 'stock', [symbol])));
         } catch (error) {
           console.error(`NewsAPI stock search error for ${symbol}:`, error.message);
         }
@@ -1062,7 +983,8 @@ class ReportService {
       const externalNews = await this.getStockNews(symbols, 7);
       
       // 分析外部新闻
-      const externalAnalysis = await this.analyzeExternalNews(externalNews);
+      const promptVersions = { ...basicReport.promptVersions };
+      const externalAnalysis = await this.analyzeExternalNews(externalNews, promptVersions);
       
       // 合并内部和外部新闻
       const allNews = [...basicReport.portfolioNews, ...externalNews];
@@ -1077,16 +999,19 @@ class ReportService {
       const enhancedAIAnalysis = await this.generateEnhancedAIAnalysis(
         basicReport.portfolio.stocks,
         allNews,
-        basicReport.metrics
+        basicReport.metrics,
+        promptVersions
       );
 
       return {
         ...basicReport,
         marketSentiment: enhancedSentiment,
+        newsLanguages: countLanguages(allNews),
         portfolioNews: allNews.slice(0, 20), // 限制显示数量
         externalNews: externalNews.slice(0, 10),
         externalAnalysis,
         enhancedAIAnalysis,
+        promptVersions,
         dataSource: 'enhanced',
         totalExternalNews: externalNews.length
       };
@@ -1100,73 +1025,49 @@ class ReportService {
   /**
    * 生成增强的AI分析
    */
-  async generateEnhancedAIAnalysis(stocks, news, metrics) {
-    if (!process.env.OPENAI_API_KEY || stocks.length === 0) {
-      return {
+  async generateEnhancedAIAnalysis(stocks, news, metrics, promptVersions = {}) {
+    if (!(await LLMService.isAvailable('recommendation')) || stocks.length === 0) {
+      return buildFallback(FALLBACK_SCHEMAS.enhancedAIAnalysis, {
         summary: '暂无增强AI分析',
-        recommendations: [],
         riskAssessment: 'unknown',
         marketOutlook: '数据不足'
-      };
+      });
     }
 
     try {
       const stocksText = stocks.map(stock => `${stock.symbol}: ${stock.name}`).join(', ');
-      const newsText = news.slice(0, 15).map(item => 
-        `[${item.external ? '外部' : '内部'}] ${item.title}: ${item.summary || '无摘要'}`
-      ).join('\n');
+      const newsText = news.slice(0, 15).map(item => formatNewsLine(item, { withOrigin: true })).join('\n');
 
+      const prompt = await PromptService.render('report.enhancedAIAnalysis', { stocksText, newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `你是一位资深的投资分析师。基于投资组合和综合新闻信息，提供专业的投资分析。
-            请以JSON格式返回，包含：
-            - summary: 投资组合综合分析（200字内）
-            - recommendations: 具体投资建议数组（每个建议50字内，最多5个）
-            - riskAssessment: 风险评估（low/medium/high/critical）
-            - marketOutlook: 市场前景展望（150字内）
-            - actionItems: 行动建议数组（每个建议30字内，最多3个）`
-          },
-          {
-            role: 'user',
-            content: `投资组合：${stocksText}\n\n相关新闻（包括内部和外部来源）：\n${newsText}\n\n请提供综合投资分析。`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 800,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.generateEnhancedAIAnalysis', 
-        params, 
+      const result = await LLMService.chatStructured(
+        'recommendation',
+        'ReportService.generateEnhancedAIAnalysis',
+        params,
+        OUTPUT_SCHEMAS.enhancedAIAnalysis,
         { 
           service: 'ReportService', 
           operation: 'generateEnhancedAIAnalysis',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           stockCount: stocks.length,
           newsCount: news.length 
         }
       );
-
-      // 清理 OpenAI 返回的 markdown 格式
-      let content = response.choices[0].message.content;
-      
-      // 移除可能的 markdown 代码块标记
-      content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      const result = JSON.parse(content);
+      promptVersions[prompt.name] = prompt.version;
       return result;
     } catch (error) {
       console.error('Error generating enhanced AI analysis:', error);
-      return {
+      return buildFallback(FALLBACK_SCHEMAS.enhancedAIAnalysis, {
         summary: '增强AI分析生成失败',
-        recommendations: [],
         riskAssessment: 'unknown',
-        marketOutlook: '分析生成失败',
-        actionItems: []
-      };
+        marketOutlook: '分析生成失败'
+      });
     }
   }
 
@@ -1176,14 +1077,14 @@ class ReportService {
   async generateTopicResearchReport(topic, days = 14) {
     try {
       // 搜索本地新闻
-      const localNews = await DatabaseService.all(
+      const localNews = await NewsClusterService.collapseClusters(await DatabaseService.all(
         `SELECT * FROM news 
          WHERE (title LIKE ? OR content LIKE ? OR summary LIKE ?)
-         AND created_at >= DATE('now', '-${days} days')
-         ORDER BY created_at DESC
+         AND published_at >= DATE('now', '-${days} days')
+         ORDER BY published_at DESC
          LIMIT 30`,
         [`%${topic}%`, `%${topic}%`, `%${topic}%`]
-      );
+      ));
 
       // 搜索外部新闻
       const externalNews = await this.searchExternalNews(topic, days);
@@ -1205,7 +1106,8 @@ class ReportService {
       }
 
       // 使用AI生成深度分析
-      const deepAnalysis = await this.generateTopicDeepAnalysis(topic, allNews);
+      const promptVersions = {};
+      const deepAnalysis = await this.generateTopicDeepAnalysis(topic, allNews, promptVersions);
       
       // 计算情绪
       const sentiments = allNews.map(news => news.sentiment || 0);
@@ -1219,9 +1121,11 @@ class ReportService {
         newsCount: allNews.length,
         localNewsCount: localNews.length,
         externalNewsCount: externalNews.length,
+        newsLanguages: countLanguages(allNews),
         news: allNews.slice(0, 50),
         sentiment: avgSentiment,
         ...deepAnalysis,
+        promptVersions,
         type: 'topic-research'
       };
     } catch (error) {
@@ -1233,74 +1137,46 @@ class ReportService {
   /**
    * 生成主题深度分析
    */
-  async generateTopicDeepAnalysis(topic, news) {
-    if (!process.env.OPENAI_API_KEY || news.length === 0) {
-      return {
+  async generateTopicDeepAnalysis(topic, news, promptVersions = {}) {
+    if (!(await LLMService.isAvailable('recommendation')) || news.length === 0) {
+      return buildFallback(FALLBACK_SCHEMAS.topicDeepAnalysis, {
         summary: `关于"${topic}"的分析数据不足`,
-        analysis: '无法生成深度分析',
-        trends: [],
-        recommendations: []
-      };
+        analysis: '无法生成深度分析'
+      });
     }
 
     try {
-      const newsText = news.slice(0, 20).map(item => 
-        `[${item.external ? '外部' : '内部'}] ${item.title}: ${item.summary || '无摘要'}`
-      ).join('\n');
+      const newsText = news.slice(0, 20).map(item => formatNewsLine(item, { withOrigin: true })).join('\n');
 
+      const prompt = await PromptService.render('report.topicDeepAnalysis', { topic, newsText });
       const params = {
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `你是一位专业的主题研究分析师。基于多源新闻数据，对特定主题进行深度分析。
-            请以JSON格式返回，包含：
-            - summary: 主题概况总结（200字内）
-            - analysis: 深度分析（300字内）
-            - trends: 关键趋势数组（每个趋势40字内，最多5个）
-            - recommendations: 投资建议数组（每个建议50字内，最多5个）
-            - riskFactors: 风险因素数组（每个因素40字内，最多3个）
-            - opportunities: 机会点数组（每个机会40字内，最多3个）`
-          },
-          {
-            role: 'user',
-            content: `请深度分析主题"${topic}"：\n\n${newsText}`
-          }
-        ],
+        messages: prompt.messages,
         max_tokens: 1000,
         temperature: 0.3
       };
 
-      const response = await OpenAILogger.loggedOpenAICall(
-        this.openai, 
-        'ReportService.generateTopicDeepAnalysis', 
-        params, 
+      const result = await LLMService.chatStructured(
+        'recommendation',
+        'ReportService.generateTopicDeepAnalysis',
+        params,
+        OUTPUT_SCHEMAS.topicDeepAnalysis,
         { 
           service: 'ReportService', 
           operation: 'generateTopicDeepAnalysis',
+          prompt: prompt.name,
+          promptVersion: prompt.version,
           topic: topic,
           newsCount: news.length 
         }
       );
-
-      // 清理 OpenAI 返回的 markdown 格式
-      let content = response.choices[0].message.content;
-      
-      // 移除可能的 markdown 代码块标记
-      content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      const result = JSON.parse(content);
+      promptVersions[prompt.name] = prompt.version;
       return result;
     } catch (error) {
       console.error('Error generating topic deep analysis:', error);
-      return {
+      return buildFallback(FALLBACK_SCHEMAS.topicDeepAnalysis, {
         summary: `主题"${topic}"深度分析生成失败`,
-        analysis: '分析生成失败',
-        trends: [],
-        recommendations: [],
-        riskFactors: [],
-        opportunities: []
-      };
+        analysis: '分析生成失败'
+      });
     }
   }
 }
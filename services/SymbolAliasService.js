@@ -0,0 +1,371 @@
+const DatabaseService = require('./DatabaseService');
+const { containsCJK } = require('../utils/language');
+
+// 别名类型及其匹配置信度
+const ALIAS_TYPES = {
+  name: 0.85,
+  former_name: 0.75,
+  brand: 0.6
+};
+
+// 不同写法的股票代码匹配置信度
+const CASHTAG_CONFIDENCE = 0.95;
+const EXCHANGE_TICKER_CONFIDENCE = 0.9;
+const BARE_TICKER_CONFIDENCE = 0.6;
+
+// 低于该置信度的匹配不写入 news.symbols
+const MIN_CONFIDENCE = 0.5;
+
+// 与常见英文单词/缩写相同的代码，只有 $TICKER 或 (NYSE: TICKER) 形式才认定
+const AMBIGUOUS_TICKERS = new Set([
+  'A', 'AI', 'ALL', 'AN', 'ARE', 'BE', 'BIG', 'CAN', 'CAR', 'CAT', 'CEO', 'DD', 'EU', 'F', 'FAST',
+  'FOR', 'FUN', 'GDP', 'GO', 'GOOD', 'HAS', 'HE', 'IT', 'KEY', 'LOW', 'MAN', 'NEW', 'NOW', 'O', 'ON',
+  'ONE', 'OUT', 'PM', 'REAL', 'RUN', 'SEE', 'SO', 'T', 'TV', 'UK', 'US', 'USA', 'V', 'WELL', 'X'
+]);
+
+// 公司名称中去掉的后缀，"Apple Inc." 按 "Apple" 匹配
+const COMPANY_SUFFIX_PATTERN = /[,\s]+(inc\.?|incorporated|corp\.?|corporation|co\.?|company|ltd\.?|limited|plc|holdings?|group|class [a-c]|n\.v\.|s\.a\.|ag)$/i;
+// 中文公司名称的后缀，"腾讯控股有限公司" 按 "腾讯" 匹配，港股的 -W/-SW 标记一并去掉
+const CJK_COMPANY_SUFFIX_PATTERN = /(股份有限公司|有限责任公司|有限公司|股份公司|集团|控股|-S?W)$/i;
+
+// 内置别名字典，首次启动时写入 symbol_aliases 表
+// [代码, 别名, 类型, 是否区分大小写]（与普通单词相同的名称需区分大小写，如 visa、apple）
+const DEFAULT_ALIASES = [
+  ['AAPL', 'Apple', 'name', true], ['AAPL', 'iPhone', 'brand'],
+  ['MSFT', 'Microsoft', 'name'], ['MSFT', 'Azure', 'brand'],
+  ['GOOGL', 'Alphabet', 'name'], ['GOOGL', 'Google', 'former_name'], ['GOOGL', 'YouTube', 'brand'],
+  ['GOOG', 'Alphabet', 'name'], ['GOOG', 'Google', 'former_name'],
+  ['AMZN', 'Amazon', 'name'], ['AMZN', 'AWS', 'brand'],
+  ['META', 'Meta Platforms', 'name'], ['META', 'Facebook', 'former_name'], ['META', 'Instagram', 'brand'],
+  ['META', 'WhatsApp', 'brand'],
+  ['TSLA', 'Tesla', 'name'],
+  ['NVDA', 'Nvidia', 'name'],
+  ['NFLX', 'Netflix', 'name'],
+  ['AMD', 'Advanced Micro Devices', 'name'],
+  ['INTC', 'Intel', 'name', true],
+  ['BRK.B', 'Berkshire Hathaway', 'name'], ['BRK.A', 'Berkshire Hathaway', 'name'],
+  ['JPM', 'JPMorgan', 'name'], ['JPM', 'JPMorgan Chase', 'name'],
+  ['F', 'Ford Motor', 'name'], ['F', 'Ford', 'name', true],
+  ['ON', 'ON Semiconductor', 'former_name'], ['ON', 'onsemi', 'name'],
+  ['A', 'Agilent', 'name'],
+  ['T', 'AT&T', 'name'],
+  ['V', 'Visa', 'name', true],
+  ['MA', 'Mastercard', 'name'],
+  ['X', 'U.S. Steel', 'name'], ['X', 'United States Steel', 'name'],
+  ['WMT', 'Walmart', 'name'], ['WMT', 'Wal-Mart', 'former_name'],
+  ['KO', 'Coca-Cola', 'name'],
+  ['DIS', 'Disney', 'name'],
+  ['BABA', 'Alibaba', 'name'],
+  ['TSM', 'TSMC', 'name'], ['TSM', 'Taiwan Semiconductor', 'name'],
+  ['CRM', 'Salesforce', 'name'],
+  ['ORCL', 'Oracle', 'name', true]
+];
+
+// 中文别名（美股中文名称、港股和A股），中文新闻源按这些名称识别股票
+const CHINESE_ALIASES = [
+  ['AAPL', '苹果公司', 'name'], ['MSFT', '微软', 'name'], ['GOOGL', '谷歌', 'former_name'], ['GOOG', '谷歌', 'former_name'],
+  ['AMZN', '亚马逊', 'name'], ['META', '脸书', 'former_name'], ['TSLA', '特斯拉', 'name'], ['NVDA', '英伟达', 'name'],
+  ['NFLX', '奈飞', 'name'], ['AMD', '超威半导体', 'name'], ['INTC', '英特尔', 'name'], ['BRK.B', '伯克希尔', 'name'],
+  ['JPM', '摩根大通', 'name'], ['BABA', '阿里巴巴', 'name'], ['TSM', '台积电', 'name'], ['KO', '可口可乐', 'name'],
+  ['DIS', '迪士尼', 'name'], ['WMT', '沃尔玛', 'name'],
+  ['0700.HK', '腾讯', 'name'], ['0700.HK', 'Tencent', 'name'], ['0700.HK', '微信', 'brand'],
+  ['9988.HK', '阿里巴巴', 'name'], ['3690.HK', '美团', 'name'], ['1810.HK', '小米集团', 'name'],
+  ['1299.HK', '友邦保险', 'name'], ['0005.HK', '汇丰控股', 'name'], ['0941.HK', '中国移动', 'name'],
+  ['1211.HK', '比亚迪', 'name'], ['002594.SZ', '比亚迪', 'name'],
+  ['600519.SS', '贵州茅台', 'name'], ['600519.SS', '茅台', 'brand'], ['601318.SS', '中国平安', 'name'],
+  ['600036.SS', '招商银行', 'name'], ['000858.SZ', '五粮液', 'name'], ['300750.SZ', '宁德时代', 'name']
+];
+
+// [配置键, 别名列表]：新版本增加的别名使用新的配置键，已有数据库启动时补充写入一次
+const ALIAS_SEEDS = [
+  ['symbol_aliases_seeded', DEFAULT_ALIASES],
+  ['symbol_aliases_zh_seeded', CHINESE_ALIASES]
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 按单词边界匹配，避免 "ON" 命中 "Once"、"Ford" 命中 "Afford"
+// 边界只检查字母和数字，中文名称和关键词前后紧接汉字时也能命中（"英伟达股价"）
+function wordBoundaryRegExp(text, caseSensitive) {
+  return new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(text)}(?![A-Za-z0-9])`, caseSensitive ? 'g' : 'gi');
+}
+
+function stripCompanySuffix(name) {
+  let stripped = String(name || '').trim();
+  let previous;
+  do {
+    previous = stripped;
+    stripped = stripped.replace(COMPANY_SUFFIX_PATTERN, '').trim();
+    if (containsCJK(stripped)) {
+      stripped = stripped.replace(CJK_COMPANY_SUFFIX_PATTERN, '').trim();
+    }
+  } while (stripped !== previous);
+  return stripped;
+}
+
+// 名称是否足够长可以单独匹配：英文至少3个字符，中文至少2个字（"茅台"、"腾讯"）
+function isMatchableName(name) {
+  return containsCJK(name) ? name.length >= 2 : name.length > 2;
+}
+
+/**
+ * A股和港股代码在新闻中的常见写法
+ * 600519.SS → 600519.SH、600519.SS、SH600519 和纯数字 600519；0700.HK → 00700.HK、0700.HK、HK00700 和纯数字 00700
+ * @returns {{code: string, qualified: string[]}|null} 不是A股/港股代码时返回 null
+ */
+function marketCodeVariants(symbol) {
+  const aShare = symbol.match(/^(\d{6})\.(SS|SH|SZ)$/);
+  if (aShare) {
+    const [, code, suffix] = aShare;
+    const market = suffix === 'SZ' ? 'SZ' : 'SH';
+    return { code, qualified: [...new Set([`${code}.${market}`, `${code}.${suffix}`, `${market}${code}`])] };
+  }
+
+  const hk = symbol.match(/^0*(\d{1,5})\.HK$/);
+  if (hk) {
+    const code = hk[1].padStart(5, '0');
+    return { code, qualified: [...new Set([`${code}.HK`, `${hk[1].padStart(4, '0')}.HK`, `HK${code}`])] };
+  }
+
+  return null;
+}
+
+class SymbolAliasService {
+  constructor() {
+    this.aliasCache = null;
+  }
+
+  // 写入默认别名（每组别名只写入一次，删除后不会再次写入）
+  async seedDefaultAliases() {
+    try {
+      for (const [seedKey, seedAliases] of ALIAS_SEEDS) {
+        const seeded = await DatabaseService.get(
+          'SELECT value FROM config WHERE key = ?',
+          [seedKey]
+        );
+
+        if (seeded) {
+          continue;
+        }
+
+        for (const [symbol, alias, aliasType, caseSensitive] of seedAliases) {
+          await DatabaseService.run(
+            'INSERT OR IGNORE INTO symbol_aliases (symbol, alias, alias_type, case_sensitive) VALUES (?, ?, ?, ?)',
+            [symbol, alias, aliasType, caseSensitive ? 1 : 0]
+          );
+        }
+
+        await DatabaseService.run(
+          "INSERT INTO config (key, value) VALUES (?, '1')",
+          [seedKey]
+        );
+
+        this.aliasCache = null;
+        console.log(`Seeded ${seedAliases.length} symbol aliases (${seedKey})`);
+      }
+    } catch (error) {
+      console.error('Error seeding symbol aliases:', error);
+    }
+  }
+
+  async getAliases(symbol) {
+    if (symbol) {
+      return DatabaseService.all(
+        'SELECT * FROM symbol_aliases WHERE symbol = ? ORDER BY alias',
+        [symbol.toUpperCase()]
+      );
+    }
+    return DatabaseService.all('SELECT * FROM symbol_aliases ORDER BY symbol, alias');
+  }
+
+  // 校验别名字段，返回错误信息或null
+  validateAlias(data) {
+    if (!data.symbol || !/^[A-Za-z0-9.-]{1,10}$/.test(String(data.symbol).trim())) {
+      return 'Valid symbol required';
+    }
+
+    if (!data.alias || !String(data.alias).trim()) {
+      return 'Alias required';
+    }
+
+    if (data.alias_type !== undefined && !ALIAS_TYPES[data.alias_type]) {
+      return `Alias type must be one of: ${Object.keys(ALIAS_TYPES).join(', ')}`;
+    }
+
+    return null;
+  }
+
+  async createAlias(data) {
+    const result = await DatabaseService.run(
+      'INSERT INTO symbol_aliases (symbol, alias, alias_type, case_sensitive) VALUES (?, ?, ?, ?)',
+      [
+        String(data.symbol).trim().toUpperCase(),
+        String(data.alias).trim(),
+        data.alias_type || 'name',
+        data.case_sensitive ? 1 : 0
+      ]
+    );
+
+    this.aliasCache = null;
+    return DatabaseService.get('SELECT * FROM symbol_aliases WHERE id = ?', [result.id]);
+  }
+
+  async deleteAlias(id) {
+    const result = await DatabaseService.run('DELETE FROM symbol_aliases WHERE id = ?', [id]);
+    this.aliasCache = null;
+    return result.changes > 0;
+  }
+
+  async loadAliases() {
+    if (!this.aliasCache) {
+      this.aliasCache = await DatabaseService.all('SELECT * FROM symbol_aliases');
+    }
+    return this.aliasCache;
+  }
+
+  /**
+   * 识别文本中提及的股票
+   * 已知股票按代码匹配，投资组合股票按公司名称匹配，别名字典按别名匹配，$TICKER 形式的代码直接识别
+   * @param {string} text 新闻标题和正文
+   * @param {Array} portfolio 投资组合股票 [{symbol, name}]
+   * @returns {{symbols: string[], matches: Array}} symbols 为达到置信度阈值的代码
+   */
+  async tagSymbols(text, portfolio = []) {
+    const content = String(text || '');
+    const aliases = await this.loadAliases();
+
+    // 每个代码的所有命中：{symbol: [{text, type, confidence}]}
+    const hits = new Map();
+    const addHit = (symbol, hit) => {
+      if (!hits.has(symbol)) {
+        hits.set(symbol, []);
+      }
+      hits.get(symbol).push(hit);
+    };
+
+    // $AAPL 形式的 cashtag
+    for (const match of content.matchAll(/(?<![A-Za-z0-9$])\$([A-Za-z]{1,5}(?:\.[A-Za-z])?)(?![A-Za-z0-9])/g)) {
+      addHit(match[1].toUpperCase(), { text: match[0], type: 'cashtag', confidence: CASHTAG_CONFIDENCE });
+    }
+
+    // (NASDAQ: AAPL)、NYSE:F、（纳斯达克：NVDA）形式的交易所代码
+    for (const match of content.matchAll(/(?:\b(?:NYSE|NASDAQ|Nasdaq|AMEX|NYSEARCA|OTC)|纳斯达克|纽交所|纽约证券交易所)\s*[:：]\s*([A-Z]{1,5}(?:\.[A-Z])?)\b/g)) {
+      addHit(match[1], { text: match[0], type: 'exchange', confidence: EXCHANGE_TICKER_CONFIDENCE });
+    }
+
+    // 已知股票（投资组合和别名字典）的代码本身，易混淆的短代码除外
+    const knownSymbols = new Set([
+      ...portfolio.map(stock => stock.symbol.toUpperCase()),
+      ...aliases.map(alias => alias.symbol)
+    ]);
+    for (const symbol of knownSymbols) {
+      // A股/港股：带市场标识的写法（600519.SH、00700.HK）和纯数字代码
+      const variants = marketCodeVariants(symbol);
+      if (variants) {
+        const qualifiedMatch = variants.qualified
+          .map(variant => content.match(wordBoundaryRegExp(variant, false)))
+          .find(Boolean);
+        if (qualifiedMatch) {
+          addHit(symbol, { text: qualifiedMatch[0], type: 'exchange', confidence: EXCHANGE_TICKER_CONFIDENCE });
+        }
+        const codeMatch = content.match(new RegExp(`(?<![A-Za-z0-9.])${variants.code}(?![0-9])`));
+        if (codeMatch) {
+          addHit(symbol, { text: codeMatch[0], type: 'ticker', confidence: BARE_TICKER_CONFIDENCE });
+        }
+        continue;
+      }
+
+      if (AMBIGUOUS_TICKERS.has(symbol) || symbol.length < 2) {
+        continue;
+      }
+      const tickerMatch = content.match(wordBoundaryRegExp(symbol, true));
+      if (tickerMatch) {
+        addHit(symbol, { text: tickerMatch[0], type: 'ticker', confidence: BARE_TICKER_CONFIDENCE });
+      }
+    }
+
+    // 投资组合股票的公司名称（专有名词，区分大小写）
+    for (const stock of portfolio) {
+      const symbol = stock.symbol.toUpperCase();
+      const name = stripCompanySuffix(stock.name);
+      if (isMatchableName(name) && name.toUpperCase() !== symbol) {
+        const nameMatch = content.match(wordBoundaryRegExp(name, true));
+        if (nameMatch) {
+          addHit(symbol, { text: nameMatch[0], type: 'name', confidence: ALIAS_TYPES.name });
+        }
+      }
+    }
+
+    // 别名字典
+    for (const alias of aliases) {
+      const aliasMatch = content.match(wordBoundaryRegExp(alias.alias, !!alias.case_sensitive));
+      if (aliasMatch) {
+        addHit(alias.symbol, {
+          text: aliasMatch[0],
+          type: alias.alias_type,
+          confidence: ALIAS_TYPES[alias.alias_type] || ALIAS_TYPES.brand
+        });
+      }
+    }
+
+    const matches = [];
+    for (const [symbol, symbolHits] of hits) {
+      // 同一文本（或被更长命中包含的文本）只计一次，多个独立证据叠加提高置信度
+      const unique = symbolHits.filter((hit, index) => {
+        const text = hit.text.toLowerCase();
+        return !symbolHits.some((other, otherIndex) => {
+          const otherText = other.text.toLowerCase();
+          return otherText === text
+            ? otherIndex < index
+            : otherText.includes(text);
+        });
+      });
+      const confidence = 1 - unique.reduce((product, hit) => product * (1 - hit.confidence), 1);
+
+      matches.push({
+        symbol,
+        confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100,
+        mentions: unique.map(hit => ({ text: hit.text, type: hit.type }))
+      });
+    }
+
+    matches.sort((a, b) => b.confidence - a.confidence);
+
+    return {
+      symbols: matches.filter(match => match.confidence >= MIN_CONFIDENCE).map(match => match.symbol),
+      matches
+    };
+  }
+
+  // 按当前别名字典重新标注最近的新闻
+  async retagNews({ days = 7, portfolio = [] } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const rows = await DatabaseService.all(
+      'SELECT id, title, content, symbols FROM news WHERE published_at >= ?',
+      [since]
+    );
+
+    let changed = 0;
+    for (const row of rows) {
+      const { symbols, matches } = await this.tagSymbols(`${row.title} ${row.content || ''}`, portfolio);
+      const symbolsJson = JSON.stringify(symbols);
+
+      await DatabaseService.run(
+        'UPDATE news SET symbols = ?, symbol_matches = ? WHERE id = ?',
+        [symbolsJson, JSON.stringify(matches), row.id]
+      );
+
+      if (row.symbols !== symbolsJson) {
+        changed++;
+      }
+    }
+
+    return { processed: rows.length, changed };
+  }
+}
+
+module.exports = new SymbolAliasService();
+module.exports.ALIAS_TYPES = ALIAS_TYPES;
+module.exports.wordBoundaryRegExp = wordBoundaryRegExp;
@@ -0,0 +1,44 @@
+const { validateSchema, buildFallback } = require('../utils/jsonSchema');
+
+const schema = {
+  type: 'object',
+  required: ['summary', 'items', 'riskLevel'],
+  properties: {
+    summary: { type: 'string' },
+    items: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    riskLevel: { type: 'string', enum: ['low', 'high', 'unknown'] },
+    score: { type: 'number', minimum: -1, maximum: 1 }
+  }
+};
+
+describe('validateSchema', () => {
+  test('通过校验时返回空数组', () => {
+    expect(validateSchema(schema, { summary: 'ok', items: ['a'], riskLevel: 'low', score: 0.5 })).toEqual([]);
+  });
+
+  test('返回字段路径和错误原因', () => {
+    expect(validateSchema(schema, { summary: 1, items: ['a', 'b', 3], riskLevel: 'medium', score: 2 })).toEqual([
+      '$.summary must be string',
+      '$.items must have at most 2 items',
+      '$.items[2] must be string',
+      '$.riskLevel must be one of low, high, unknown',
+      '$.score must be <= 1'
+    ]);
+  });
+});
+
+describe('buildFallback', () => {
+  test('按字段类型生成空值并用 values 覆盖', () => {
+    expect(buildFallback(schema, { summary: '暂无分析', riskLevel: 'unknown' })).toEqual({
+      summary: '暂无分析',
+      items: [],
+      riskLevel: 'unknown',
+      score: 0
+    });
+  });
+
+  test('降级结果不符合 schema 时抛出错误', () => {
+    expect(() => buildFallback(schema, { summary: '暂无分析', riskLevel: 'medium' }))
+      .toThrow('Invalid fallback: $.riskLevel must be one of low, high, unknown');
+  });
+});
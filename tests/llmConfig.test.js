@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+delete process.env.FIXTURE_MODE;
+
+const DatabaseService = require('../services/DatabaseService');
+const LLMService = require('../services/LLMService');
+
+describe('大模型后端的密钥环境变量', () => {
+  const originalEnv = { ...process.env };
+  const provider = apiKeyEnv => ({ providers: { custom: { baseUrl: 'https://llm.example.com/v1', apiKeyEnv } } });
+
+  beforeAll(async () => {
+    await DatabaseService.init();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('只允许 *_API_KEY 环境变量', async () => {
+    for (const env of ['JWT_SECRET', 'EMAIL_PASS', 'ADMIN_PASSWORD', 'api_key', 1]) {
+      await expect(LLMService.setConfig(provider(env))).rejects.toMatchObject({ status: 400 });
+    }
+
+    const config = await LLMService.setConfig(provider('CUSTOM_LLM_API_KEY'));
+    expect(config.providers.custom.apiKeyEnv).toBe('CUSTOM_LLM_API_KEY');
+  });
+
+  test('不能使用其他服务的密钥', async () => {
+    for (const env of ['NEWS_API_KEY', 'FINNHUB_API_KEY', 'ALPHAVANTAGE_API_KEY']) {
+      await expect(LLMService.setConfig(provider(env)))
+        .rejects.toThrow(`Provider custom apiKeyEnv cannot use ${env}`);
+    }
+  });
+
+  test('之前保存的配置指向其他密钥时不读取', () => {
+    process.env.JWT_SECRET = 'jwt-secret';
+    process.env.NEWS_API_KEY = 'news-key';
+    process.env.CUSTOM_LLM_API_KEY = 'llm-key';
+
+    expect(LLMService.getApiKey({ apiKeyEnv: 'JWT_SECRET' })).toBeNull();
+    expect(LLMService.getApiKey({ apiKeyEnv: 'NEWS_API_KEY' })).toBeNull();
+    expect(LLMService.getApiKey({ apiKeyEnv: 'CUSTOM_LLM_API_KEY' })).toBe('llm-key');
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-deferred-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+process.env.OPENAI_API_KEY = 'dummy';
+delete process.env.FIXTURE_MODE;
+
+const DatabaseService = require('../services/DatabaseService');
+const LLMService = require('../services/LLMService');
+const PromptService = require('../services/PromptService');
+const NewsService = require('../services/NewsService');
+
+const CONTENT = 'Apple shares rose after record iPhone sales. Analysts expect a strong holiday quarter.';
+
+function reply(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+function budgetError() {
+  const error = new Error('LLM budget exceeded');
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+// 按任务返回回复，summary/sentiment 为 Error 时抛出
+function mockChat(replies) {
+  return jest.spyOn(LLMService, 'chat').mockImplementation(async task => {
+    const result = replies[task];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return reply(result);
+  });
+}
+
+async function insertDeferred(title) {
+  const { id } = await DatabaseService.run(
+    'INSERT INTO news (title, content, summary, url, ai_deferred, published_at) VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)',
+    [title, CONTENT, NewsService.extractiveSummary(CONTENT), `https://example.com/${encodeURIComponent(title)}`]
+  );
+  return id;
+}
+
+describe('大模型降级结果的待补充分析', () => {
+  beforeAll(async () => {
+    await DatabaseService.init();
+    await PromptService.seedDefaultPrompts();
+  });
+
+  afterAll(() => {
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM news');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fallback 为 false 时失败返回 null', async () => {
+    mockChat({ summary: budgetError(), sentiment: 'not a number' });
+
+    expect(await NewsService.generateSummary(CONTENT, { fallback: false })).toBeNull();
+    expect(await NewsService.analyzeSentiment(CONTENT, { fallback: false })).toBeNull();
+    expect(await NewsService.generateSummary(CONTENT)).toBe(NewsService.extractiveSummary(CONTENT));
+    expect(await NewsService.analyzeSentiment(CONTENT)).toBe(0);
+  });
+
+  test('补充分析失败时保留待补充标记', async () => {
+    const id = await insertDeferred('Apple record iPhone sales');
+    mockChat({ summary: '苹果iPhone销量创纪录。', sentiment: new Error('API error') });
+
+    expect(await NewsService.processDeferredAnalysis()).toEqual({ pending: 1, processed: 0 });
+    expect(await DatabaseService.get('SELECT summary, sentiment, ai_deferred FROM news WHERE id = ?', [id])).toEqual({
+      summary: NewsService.extractiveSummary(CONTENT),
+      sentiment: null,
+      ai_deferred: 1
+    });
+  });
+
+  test('摘要和情感都由大模型生成后才清除标记', async () => {
+    const id = await insertDeferred('Apple record iPhone sales');
+    mockChat({ summary: '苹果iPhone销量创纪录。', sentiment: '0.6' });
+
+    expect(await NewsService.processDeferredAnalysis()).toEqual({ pending: 1, processed: 1 });
+    expect(await DatabaseService.get('SELECT summary, sentiment, ai_deferred FROM news WHERE id = ?', [id])).toEqual({
+      summary: '苹果iPhone销量创纪录。',
+      sentiment: 0.6,
+      ai_deferred: 0
+    });
+  });
+
+  test('处理新闻时调用中途超出预算的结果标记为待补充分析', async () => {
+    mockChat({ summary: '苹果iPhone销量创纪录。', sentiment: budgetError() });
+
+    const enriched = await NewsService.enrichNews(
+      { article: { title: 'Apple record iPhone sales', url: 'https://example.com/a' }, page: { content: CONTENT }, canonicalUrl: null },
+      [],
+      []
+    );
+
+    expect(enriched).toMatchObject({ summary: '苹果iPhone销量创纪录。', sentiment: null, aiDeferred: true });
+  });
+
+  test('未配置大模型时使用抽取式摘要，不标记为待补充分析', async () => {
+    jest.spyOn(LLMService, 'isAvailable').mockResolvedValue(false);
+    const chat = mockChat({});
+
+    const enriched = await NewsService.enrichNews(
+      { article: { title: 'Apple record iPhone sales', url: 'https://example.com/a' }, page: { content: CONTENT }, canonicalUrl: null },
+      [],
+      []
+    );
+
+    expect(enriched).toMatchObject({ summary: NewsService.extractiveSummary(CONTENT), sentiment: 0, aiDeferred: false });
+    expect(chat).not.toHaveBeenCalled();
+  });
+});
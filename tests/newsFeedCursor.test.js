@@ -0,0 +1,47 @@
+const NewsService = require('../services/NewsService');
+
+const articles = [
+  { guid: 'd', publishedAt: '2026-01-04T00:00:00.000Z' },
+  { guid: 'c', publishedAt: '2026-01-03T00:00:00.000Z' },
+  { guid: 'b', publishedAt: '2026-01-02T00:00:00.000Z' },
+  { guid: 'a', publishedAt: '2026-01-01T00:00:00.000Z' }
+];
+const source = { cursor_guid: 'a', cursor_published_at: '2026-01-01T00:00:00.000Z' };
+
+const toSource = cursor => ({ cursor_guid: cursor.cursorGuid, cursor_published_at: cursor.cursorPublishedAt });
+
+describe('computeFeedCursor', () => {
+  test('全部处理完时越过最新条目', () => {
+    expect(NewsService.computeFeedCursor(articles, source)).toEqual({
+      cursorGuid: 'd',
+      cursorPublishedAt: '2026-01-04T00:00:00.000Z'
+    });
+  });
+
+  test('停在最早的未处理条目之前，下次重新处理', () => {
+    const cursor = NewsService.computeFeedCursor(articles, source, new Set(['c']));
+
+    expect(cursor).toEqual({ cursorGuid: 'b', cursorPublishedAt: '2026-01-02T00:00:00.000Z' });
+    expect(NewsService.filterNewArticles(articles, toSource(cursor)).map(article => article.guid)).toEqual(['d', 'c']);
+  });
+
+  test('游标不后退', () => {
+    expect(NewsService.computeFeedCursor(articles, source, new Set(['b', 'd']))).toEqual({
+      cursorGuid: 'a',
+      cursorPublishedAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('没有发布时间的条目未处理完时游标保持不变', () => {
+    const untimed = [{ guid: 'y' }, { guid: 'x' }];
+
+    expect(NewsService.computeFeedCursor(untimed, { cursor_guid: 'w' }, new Set(['x']))).toEqual({
+      cursorGuid: 'w',
+      cursorPublishedAt: null
+    });
+    expect(NewsService.computeFeedCursor(untimed, { cursor_guid: 'w' })).toEqual({
+      cursorGuid: 'y',
+      cursorPublishedAt: null
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 使用 news-replay 夹具离线运行流水线，必须在加载服务之前设置
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-feed-retry-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+process.env.FIXTURE_MODE = 'replay';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'news-replay');
+process.env.OPENAI_API_KEY = 'dummy';
+delete process.env.OPENAI_MODEL;
+delete process.env.NEWS_API_KEY;
+delete process.env.FINNHUB_API_KEY;
+
+const DatabaseService = require('../services/DatabaseService');
+const NewsSourceService = require('../services/NewsSourceService');
+const SymbolAliasService = require('../services/SymbolAliasService');
+const PromptService = require('../services/PromptService');
+const NewsService = require('../services/NewsService');
+const NewsPipelineService = require('../services/NewsPipelineService');
+const { MAX_ITEM_ATTEMPTS } = NewsSourceService;
+
+const FEED_A = 'https://markets.example.com/rss.xml';
+const FEED_B = 'https://wire.example.org/atom.xml';
+const FAILING_URL = 'https://markets.example.com/2026/10/18/microsoft-cloud';
+
+describe('订阅源条目反复处理失败', () => {
+  let sourceId;
+
+  beforeAll(async () => {
+    jest.useFakeTimers({
+      now: new Date('2026-10-18T12:00:00Z'),
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+    });
+
+    await DatabaseService.init();
+    await SymbolAliasService.seedDefaultAliases();
+    await PromptService.seedDefaultPrompts();
+
+    ({ id: sourceId } = await NewsSourceService.createSource({ name: 'Markets Daily', type: 'rss', url: FEED_A, credibility: 0.8 }));
+    await NewsSourceService.createSource({ name: 'Wire Business', type: 'atom', url: FEED_B, credibility: 0.9 });
+    const portfolio = await DatabaseService.run("INSERT INTO portfolios (name, user_id) VALUES ('Tech', 1)");
+    await DatabaseService.run(
+      "INSERT INTO portfolio_stocks (portfolio_id, symbol, name) VALUES (?, 'AAPL', 'Apple Inc.'), (?, 'MSFT', 'Microsoft Corporation')",
+      [portfolio.id, portfolio.id]
+    );
+
+    // 微软新闻的页面每次都抓取失败
+    const fetchNewsContent = NewsService.fetchNewsContent.bind(NewsService);
+    jest.spyOn(NewsService, 'fetchNewsContent').mockImplementation(async article => {
+      if (article.url === FAILING_URL) {
+        throw new Error('page fetch failed');
+      }
+      return fetchNewsContent(article);
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const feedState = () => DatabaseService.get(
+    'SELECT etag, cursor_guid, cursor_published_at FROM news_sources WHERE id = ?',
+    [sourceId]
+  );
+  const attempts = async () => {
+    const row = await DatabaseService.get(
+      'SELECT attempts FROM news_source_item_failures WHERE source_id = ?',
+      [sourceId]
+    );
+    return row ? row.attempts : 0;
+  };
+
+  test('达到重试上限前游标停在失败条目之前，之后越过该条目', async () => {
+    for (let run = 1; run < MAX_ITEM_ATTEMPTS; run++) {
+      await NewsPipelineService.run({ triggeredBy: 'test' });
+
+      // 游标停在失败的微软新闻（08:00）之前，不使用条件请求验证器
+      expect(await feedState()).toMatchObject({ etag: null, cursor_published_at: '2026-10-18T07:00:00.000Z' });
+      expect(await attempts()).toBe(run);
+    }
+
+    await NewsPipelineService.run({ triggeredBy: 'test' });
+    expect(await attempts()).toBe(MAX_ITEM_ATTEMPTS);
+    expect(await feedState()).toMatchObject({ etag: '"v1"', cursor_published_at: '2026-10-18T09:00:00.000Z' });
+
+    // 游标越过后不再处理该条目，失败记录被清除
+    await NewsPipelineService.run({ triggeredBy: 'test' });
+    expect(await attempts()).toBe(0);
+    expect(NewsService.fetchNewsContent.mock.calls.filter(([article]) => article.url === FAILING_URL))
+      .toHaveLength(MAX_ITEM_ATTEMPTS);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-rescore-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+delete process.env.FIXTURE_MODE;
+
+const DatabaseService = require('../services/DatabaseService');
+const SymbolAliasService = require('../services/SymbolAliasService');
+const NewsRelevanceService = require('../services/NewsRelevanceService');
+
+describe('相关度后台重算', () => {
+  let portfolioId;
+  let newsIds;
+
+  beforeAll(async () => {
+    await DatabaseService.init();
+    await SymbolAliasService.seedDefaultAliases();
+
+    ({ id: portfolioId } = await DatabaseService.run("INSERT INTO portfolios (name, user_id) VALUES ('Tech', 1)"));
+    newsIds = [];
+    for (const [title, url] of [
+      ['Apple (AAPL) shares rise after record iPhone sales', 'https://example.com/apple'],
+      ['Microsoft (MSFT) stock gains as cloud revenue beats estimates', 'https://example.com/msft']
+    ]) {
+      const { id } = await DatabaseService.run(
+        'INSERT INTO news (title, content, url, published_at) VALUES (?, ?, ?, ?)',
+        [title, title, url, new Date().toISOString()]
+      );
+      newsIds.push(id);
+    }
+  });
+
+  afterAll(() => {
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const relevantNews = async () => (await DatabaseService.all(
+    'SELECT news_id FROM news_portfolio_relevance WHERE portfolio_id = ? ORDER BY news_id',
+    [portfolioId]
+  )).map(row => row.news_id);
+
+  test('同一用户的连续修改依次重算，结果使用最新的持仓', async () => {
+    const errors = jest.spyOn(console, 'error');
+    const rescore = jest.spyOn(NewsRelevanceService, 'rescore');
+
+    await DatabaseService.run("INSERT INTO portfolio_stocks (portfolio_id, symbol, name) VALUES (?, 'AAPL', 'Apple Inc.')", [portfolioId]);
+    const first = NewsRelevanceService.scheduleRescore(1);
+    await DatabaseService.run("INSERT INTO portfolio_stocks (portfolio_id, symbol, name) VALUES (?, 'MSFT', 'Microsoft Corporation')", [portfolioId]);
+    const second = NewsRelevanceService.scheduleRescore(1);
+    const third = NewsRelevanceService.scheduleRescore(1);
+
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    await first;
+
+    // 第一次重算期间的两次修改合并为一次
+    expect(rescore).toHaveBeenCalledTimes(2);
+    expect(errors).not.toHaveBeenCalled();
+    expect(await relevantNews()).toEqual(newsIds);
+    expect(NewsRelevanceService.pendingRescores.size).toBe(0);
+  });
+
+  test('并发写入同一新闻的相关度不会违反主键约束', async () => {
+    const profiles = await NewsRelevanceService.loadProfiles(1);
+    const news = await DatabaseService.get('SELECT id, title, content, summary FROM news WHERE id = ?', [newsIds[0]]);
+
+    await Promise.all([
+      NewsRelevanceService.scoreNews(news, profiles),
+      NewsRelevanceService.scoreNews(news, profiles),
+      NewsRelevanceService.scoreNews(news)
+    ]);
+
+    expect(await relevantNews()).toEqual(newsIds);
+  });
+
+  test('事务中任一语句失败时回滚', async () => {
+    await expect(DatabaseService.transaction([
+      { sql: 'DELETE FROM news_portfolio_relevance WHERE portfolio_id = ?', params: [portfolioId] },
+      { sql: 'INSERT INTO missing_table (id) VALUES (1)' }
+    ])).rejects.toThrow('no such table');
+
+    expect(await relevantNews()).toEqual(newsIds);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// 必须在加载服务之前设置，FixtureRecorder 在加载时安装 axios 拦截器
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-replay-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+process.env.FIXTURE_MODE = 'replay';
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures', 'news-replay');
+process.env.OPENAI_API_KEY = 'dummy';
+delete process.env.OPENAI_MODEL;
+delete process.env.NEWS_API_KEY;
+delete process.env.FINNHUB_API_KEY;
+
+const DatabaseService = require('../services/DatabaseService');
+const NewsSourceService = require('../services/NewsSourceService');
+const SymbolAliasService = require('../services/SymbolAliasService');
+const PromptService = require('../services/PromptService');
+const NewsPipelineService = require('../services/NewsPipelineService');
+const ReportService = require('../services/ReportService');
+
+// 夹具（tests/fixtures/news-replay）录制自两个新闻源：
+// Markets Daily（RSS）：苹果、微软和一条无关的面包店新闻；Wire Business（Atom）：转载的苹果新闻和美联储利率新闻
+const FEED_A = 'https://markets.example.com/rss.xml';
+const FEED_B = 'https://wire.example.org/atom.xml';
+
+// 相关度按发布时间衰减，固定当前时间保证回放结果稳定
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+describe('新闻更新和日报离线回放', () => {
+  let portfolioId;
+
+  beforeAll(async () => {
+    jest.useFakeTimers({
+      now: NOW,
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+    });
+    // 回放不应访问网络
+    jest.spyOn(http, 'request').mockImplementation(() => { throw new Error('Network access during replay'); });
+    jest.spyOn(https, 'request').mockImplementation(() => { throw new Error('Network access during replay'); });
+
+    await DatabaseService.init();
+    await SymbolAliasService.seedDefaultAliases();
+    await PromptService.seedDefaultPrompts();
+
+    await NewsSourceService.createSource({ name: 'Markets Daily', type: 'rss', url: FEED_A, credibility: 0.8 });
+    await NewsSourceService.createSource({ name: 'Wire Business', type: 'atom', url: FEED_B, credibility: 0.9 });
+
+    const portfolio = await DatabaseService.run("INSERT INTO portfolios (name, user_id) VALUES ('Tech', 1)");
+    portfolioId = portfolio.id;
+    await DatabaseService.run(
+      "INSERT INTO portfolio_stocks (portfolio_id, symbol, name) VALUES (?, 'AAPL', 'Apple Inc.'), (?, 'MSFT', 'Microsoft Corporation')",
+      [portfolioId, portfolioId]
+    );
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('抓取、过滤、摘要和情感分析后入库', async () => {
+    const run = await NewsPipelineService.run({ triggeredBy: 'replay' });
+
+    expect(run.status).toBe('completed');
+    expect(run.stats.sources).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+    expect(run.stats.stages.filter).toMatchObject({ input: 5, output: 3 });
+    expect(run.stats).toMatchObject({ created: 3, duplicate: 1, failed: 0, aiDeferred: 0 });
+
+    const news = await DatabaseService.all('SELECT title, url, summary, sentiment, symbols FROM news ORDER BY published_at DESC');
+    expect(news.map(item => item.title)).toEqual([
+      'Federal Reserve holds interest rates steady as stocks rally and bond yields fall',
+      'Apple (AAPL) shares rise after record iPhone sales lift quarterly earnings',
+      'Microsoft (MSFT) stock gains as cloud revenue beats estimates'
+    ]);
+    // 无关新闻被过滤，转载的苹果新闻只保留一条
+    expect(news.some(item => /bakery/i.test(item.title))).toBe(false);
+    expect(news.map(item => [item.summary, item.sentiment, JSON.parse(item.symbols)])).toEqual([
+      ['美联储维持利率不变，债券收益率下降，股市上涨。', 0.3, ['AAPL', 'MSFT']],
+      ['苹果iPhone销量创纪录，推动季度营收和盈利超预期，股价上涨4%。', 0.6, ['AAPL']],
+      ['微软Azure云收入增长超预期，上调下季度指引，股价上涨3%。', 0.6, ['MSFT']]
+    ]);
+
+    const relevance = await DatabaseService.all(
+      'SELECT news_id FROM news_portfolio_relevance WHERE portfolio_id = ?',
+      [portfolioId]
+    );
+    expect(relevance).toHaveLength(3);
+
+    const sources = await DatabaseService.all('SELECT url, cursor_published_at, consecutive_failures FROM news_sources ORDER BY id');
+    expect(sources.every(source => source.cursor_published_at && source.consecutive_failures === 0)).toBe(true);
+    expect(http.request).not.toHaveBeenCalled();
+    expect(https.request).not.toHaveBeenCalled();
+  });
+
+  test('生成日报并记录使用的提示词版本', async () => {
+    const report = await ReportService.generateDailyReport();
+
+    expect(report.totalNews).toBe(3);
+    expect(report.newsLanguages).toEqual({ en: 3 });
+    expect(report.marketSentiment).toBeCloseTo(0.5, 1);
+    expect(report.aiAnalysis).toEqual({
+      summary: '科技股财报强劲，美联储维持利率不变，市场情绪偏乐观',
+      keyPoints: ['苹果iPhone销量创纪录', '微软云业务超预期', '美联储按兵不动'],
+      outlook: '短期内科技股有望延续涨势，需关注利率和供应链风险'
+    });
+    expect(report.promptVersions).toEqual({ 'report.marketAnalysis': 1 });
+    expect(http.request).not.toHaveBeenCalled();
+    expect(https.request).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-fetcher-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+delete process.env.FIXTURE_MODE;
+
+const DatabaseService = require('../services/DatabaseService');
+const PageFetcherService = require('../services/PageFetcherService');
+const NewsService = require('../services/NewsService');
+
+const STATIC_PAGE = '<html><body><a class="headline" href="/news/1">Static headline</a></body></html>';
+// 列表由脚本渲染，直接请求只能拿到空容器；带 X-Rendered 头的请求返回渲染后的页面（模拟浏览器执行脚本）
+const JS_PAGE = '<html><body><div id="list"></div><script>document.getElementById("list").innerHTML = "...";</script></body></html>';
+const RENDERED_PAGE = '<html><body><div id="list"><a class="headline" href="/news/2">Rendered headline</a></div></body></html>';
+
+let server;
+let baseUrl;
+
+// 本地夹具服务器：静态页面、脚本渲染页面、慢响应和不响应的页面
+function startServer() {
+  return new Promise(resolve => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'text/html');
+      if (req.url === '/static') {
+        res.end(STATIC_PAGE);
+      } else if (req.url === '/js') {
+        res.end(req.headers['x-rendered'] ? RENDERED_PAGE : JS_PAGE);
+      } else if (req.url === '/slow') {
+        setTimeout(() => res.end(RENDERED_PAGE), 100);
+      } else if (req.url === '/hang') {
+        // 不返回响应
+      } else {
+        res.statusCode = 404;
+        res.end('Not found');
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+}
+
+// 代替 selenium 的浏览器驱动，通过本地服务器返回渲染后的页面
+function createFakeDriver(tracker, { hang = false } = {}) {
+  tracker.active++;
+  tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+
+  const driver = {
+    html: '',
+    url: null,
+    manage: () => ({ setTimeouts: async () => {} }),
+    get: async url => {
+      if (hang) {
+        return new Promise(() => {});
+      }
+      const response = await axios.get(url, { headers: { 'X-Rendered': '1' } });
+      driver.html = response.data;
+      driver.url = url;
+    },
+    wait: async () => {},
+    getPageSource: async () => driver.html,
+    getCurrentUrl: async () => driver.url,
+    quit: jest.fn(async () => {
+      tracker.active--;
+      tracker.quit++;
+    })
+  };
+  return driver;
+}
+
+describe('PageFetcherService', () => {
+  let tracker;
+
+  beforeAll(async () => {
+    await DatabaseService.init();
+    await startServer();
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    tracker = { active: 0, maxActive: 0, quit: 0 };
+    jest.spyOn(PageFetcherService, 'buildDriver').mockImplementation(async () => createFakeDriver(tracker));
+    PageFetcherService.browserConcurrency = 2;
+    await PageFetcherService.setRenderDomains([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('抓取方式选择', () => {
+    test('默认直接请求，脚本渲染的页面拿不到内容', async () => {
+      const staticPage = await PageFetcherService.fetchPage(`${baseUrl}/static`);
+      expect(staticPage.mode).toBe('http');
+      expect(staticPage.html).toContain('Static headline');
+
+      const jsPage = await PageFetcherService.fetchPage(`${baseUrl}/js`);
+      expect(jsPage.mode).toBe('http');
+      expect(jsPage.html).not.toContain('Rendered headline');
+      expect(PageFetcherService.buildDriver).not.toHaveBeenCalled();
+    });
+
+    test('域名在浏览器渲染列表中时使用浏览器（包括子域名）', async () => {
+      await PageFetcherService.setRenderDomains(['*.Example.com', '127.0.0.1']);
+
+      expect(PageFetcherService.renderDomains).toEqual(['example.com', '127.0.0.1']);
+      expect(await PageFetcherService.resolveMode('https://www.example.com/a')).toBe('browser');
+      expect(await PageFetcherService.resolveMode('https://example.com.cn/a')).toBe('http');
+
+      const page = await PageFetcherService.fetchPage(`${baseUrl}/js`);
+      expect(page.mode).toBe('browser');
+      expect(page.html).toContain('Rendered headline');
+      expect(tracker.quit).toBe(1);
+    });
+
+    test('显式指定的抓取方式优先于域名列表', async () => {
+      await PageFetcherService.setRenderDomains(['127.0.0.1']);
+
+      const page = await PageFetcherService.fetchPage(`${baseUrl}/js`, { mode: 'http' });
+      expect(page.mode).toBe('http');
+      expect(PageFetcherService.buildDriver).not.toHaveBeenCalled();
+    });
+
+    test('按新闻源的 render_mode 抓取列表页', async () => {
+      const source = { name: 'Fixture', url: `${baseUrl}/js`, selector: 'a.headline' };
+
+      expect(await NewsService.fetchScrapeArticles({ ...source, render_mode: 'http' })).toEqual([]);
+      expect(await NewsService.fetchScrapeArticles({ ...source, render_mode: 'browser' })).toEqual([
+        { title: 'Rendered headline', url: `${baseUrl}/news/2`, source: 'Fixture' }
+      ]);
+    });
+
+    test('auto 模式只在直接请求提取不到内容时使用浏览器', async () => {
+      const source = { name: 'Fixture', selector: 'a.headline', render_mode: 'auto' };
+
+      const staticArticles = await NewsService.fetchScrapeArticles({ ...source, url: `${baseUrl}/static` });
+      expect(staticArticles.map(article => article.title)).toEqual(['Static headline']);
+      expect(PageFetcherService.buildDriver).not.toHaveBeenCalled();
+
+      const jsArticles = await NewsService.fetchScrapeArticles({ ...source, url: `${baseUrl}/js` });
+      expect(jsArticles.map(article => article.title)).toEqual(['Rendered headline']);
+      expect(PageFetcherService.buildDriver).toHaveBeenCalledTimes(1);
+    });
+
+    test('未知域名格式返回400错误', async () => {
+      await expect(PageFetcherService.setRenderDomains(['not a domain'])).rejects.toMatchObject({ status: 400 });
+      await expect(PageFetcherService.setRenderDomains('example.com')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('浏览器并发上限', () => {
+    test('同时渲染的页面数不超过上限，其余请求排队', async () => {
+      const urls = Array.from({ length: 5 }, () => `${baseUrl}/slow`);
+      const pages = await Promise.all(urls.map(url => PageFetcherService.fetchPage(url, { mode: 'browser' })));
+
+      expect(pages.every(page => page.html.includes('Rendered headline'))).toBe(true);
+      expect(tracker.maxActive).toBe(2);
+      expect(tracker.quit).toBe(5);
+      expect(PageFetcherService.activeBrowsers).toBe(0);
+      expect(PageFetcherService.browserQueue).toHaveLength(0);
+    });
+  });
+
+  describe('超时', () => {
+    test('直接请求超时后抛出错误', async () => {
+      await expect(PageFetcherService.fetchPage(`${baseUrl}/hang`, { mode: 'http', timeout: 200 }))
+        .rejects.toMatchObject({ code: 'ECONNABORTED' });
+    });
+
+    test('浏览器渲染超时后关闭浏览器并释放名额', async () => {
+      PageFetcherService.browserConcurrency = 1;
+      PageFetcherService.buildDriver
+        .mockImplementationOnce(async () => createFakeDriver(tracker, { hang: true }));
+
+      const hanging = PageFetcherService.fetchPage(`${baseUrl}/js`, { mode: 'browser', browserTimeout: 50 });
+      const queued = PageFetcherService.fetchPage(`${baseUrl}/js`, { mode: 'browser' });
+
+      await expect(hanging).rejects.toThrow('Browser render timed out after 50ms');
+      expect((await queued).html).toContain('Rendered headline');
+      expect(tracker.quit).toBe(2);
+      expect(PageFetcherService.activeBrowsers).toBe(0);
+    }, 15000);
+  });
+});
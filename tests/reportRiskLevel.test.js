@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-risk-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+process.env.OPENAI_API_KEY = 'dummy';
+delete process.env.FIXTURE_MODE;
+
+const DatabaseService = require('../services/DatabaseService');
+const LLMService = require('../services/LLMService');
+const PromptService = require('../services/PromptService');
+const OpenAILogger = require('../utils/OpenAILogger');
+const ReportService = require('../services/ReportService');
+
+const STOCKS = [{ symbol: 'AAPL', name: 'Apple Inc.' }];
+const NEWS = [{ title: 'Apple shares rise', summary: '苹果股价上涨', language: 'en' }];
+
+function reply(result) {
+  return { model: 'test-model', choices: [{ message: { content: JSON.stringify(result) } }] };
+}
+
+describe('投资建议的风险等级', () => {
+  beforeAll(async () => {
+    await DatabaseService.init();
+    await PromptService.seedDefaultPrompts();
+  });
+
+  afterAll(() => {
+    DatabaseService.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(OpenAILogger, 'logValidationFailure').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('模型返回 unknown 时要求修正', async () => {
+    const chat = jest.spyOn(LLMService, 'chat')
+      .mockResolvedValueOnce(reply({ recommendations: [], riskLevel: 'unknown', summary: '无法判断' }))
+      .mockResolvedValueOnce(reply({ recommendations: ['持有'], riskLevel: 'medium', summary: '风险适中' }));
+
+    const result = await ReportService.generatePortfolioRecommendations(STOCKS, NEWS, {});
+
+    expect(result).toEqual({ recommendations: ['持有'], riskLevel: 'medium', summary: '风险适中' });
+    expect(chat).toHaveBeenCalledTimes(2);
+    expect(OpenAILogger.logValidationFailure.mock.calls[0][2]).toEqual(['$.riskLevel must be one of low, medium, high']);
+  });
+
+  test('降级结果的风险等级为 unknown', async () => {
+    jest.spyOn(LLMService, 'chat').mockRejectedValue(new Error('API error'));
+
+    expect(await ReportService.generatePortfolioRecommendations(STOCKS, NEWS, {})).toEqual({
+      recommendations: [],
+      riskLevel: 'unknown',
+      summary: '建议生成失败'
+    });
+    expect(await ReportService.generateEnhancedAIAnalysis(STOCKS, NEWS, {})).toMatchObject({
+      riskAssessment: 'unknown',
+      summary: '增强AI分析生成失败'
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// 网络请求录制/回放：record 模式把新闻源、文章页面、News API 和 OpenAI 的响应保存到夹具目录，
+// replay 模式只从夹具目录读取响应、不访问网络，用于在CI中完整执行新闻更新和报告生成
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+// 计算请求键时忽略的参数：密钥不写入夹具，时间窗口每次运行都不同
+const SECRET_PARAMS = ['apikey', 'api_key', 'token', 'key'];
+const VOLATILE_PARAMS = ['from', 'to'];
+
+// 保存的响应头（条件请求和内容类型判断会用到）
+const RECORDED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hostLabel(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return 'request';
+  }
+}
+
+class FixtureRecorder {
+  constructor() {
+    const mode = (process.env.FIXTURE_MODE || 'off').toLowerCase();
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Invalid FIXTURE_MODE: ${mode} (expected ${FIXTURE_MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.fixtureDir = process.env.FIXTURE_DIR
+      ? path.resolve(process.env.FIXTURE_DIR)
+      : path.join(__dirname, '..', 'fixtures');
+    this.installed = false;
+
+    if (this.mode !== 'off') {
+      console.log(`网络请求${this.mode === 'record' ? '录制' : '回放'}模式，夹具目录: ${this.fixtureDir}`);
+      this.install(axios);
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  fixturePath(kind, label, key) {
+    const hash = crypto.createHash('sha256').update(`${kind}:${stableStringify(key)}`).digest('hex').substring(0, 24);
+    const safeLabel = String(label || kind).replace(/[^a-zA-Z0-9.-]+/g, '_').substring(0, 60);
+    return path.join(this.fixtureDir, kind, `${safeLabel}-${hash}.json`);
+  }
+
+  save(kind, label, key, result) {
+    const file = this.fixturePath(kind, label, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ kind, request: key, ...result, recordedAt: new Date().toISOString() }, null, 2) + '\n');
+  }
+
+  load(kind, label, key) {
+    const file = this.fixturePath(kind, label, key);
+    if (!fs.existsSync(file)) {
+      const error = new Error(`未找到录制的响应: ${kind} ${stableStringify(key)}`);
+      error.code = 'FIXTURE_NOT_FOUND';
+      throw error;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // 录制的错误在回放时原样抛出
+  toError(recorded) {
+    const error = new Error(recorded.message);
+    if (recorded.code) {
+      error.code = recorded.code;
+    }
+    if (recorded.status) {
+      error.status = recorded.status;
+    }
+    return error;
+  }
+
+  /**
+   * 包装任意异步调用：record 模式执行并保存结果（或错误），replay 模式直接返回保存的结果
+   * @param {string} kind 夹具类型（openai、browser 等，对应子目录）
+   * @param {object} key 用于匹配的请求内容，不应包含密钥
+   * @param {Function} fn 实际调用
+   * @param {string} label 文件名前缀，便于查看夹具
+   */
+  async capture(kind, key, fn, label = kind) {
+    if (this.mode === 'replay') {
+      const recorded = this.load(kind, label, key);
+      if (recorded.error) {
+        throw this.toError(recorded.error);
+      }
+      return recorded.response;
+    }
+
+    if (this.mode !== 'record') {
+      return fn();
+    }
+
+    try {
+      const response = await fn();
+      this.save(kind, label, key, { response });
+      return response;
+    } catch (error) {
+      this.save(kind, label, key, {
+        error: { message: error.message, code: error.code || null, status: error.status || null }
+      });
+      throw error;
+    }
+  }
+
+  // axios 请求的匹配键：方法、地址和去掉密钥/时间窗口后的查询参数
+  httpKey(config) {
+    const params = Object.fromEntries(Object.entries(config.params || {})
+      .filter(([name]) => ![...SECRET_PARAMS, ...VOLATILE_PARAMS].includes(name.toLowerCase())));
+
+    return {
+      method: (config.method || 'get').toLowerCase(),
+      url: config.url,
+      params
+    };
+  }
+
+  // 通过拦截器录制/回放默认 axios 实例上的所有请求
+  install(instance) {
+    if (this.installed) {
+      return;
+    }
+    this.installed = true;
+
+    if (this.mode === 'replay') {
+      instance.interceptors.request.use(config => {
+        config.adapter = () => this.replayHttp(config);
+        return config;
+      });
+      return;
+    }
+
+    // 录制完整响应：去掉条件请求头，避免把 304 录进夹具
+    instance.interceptors.request.use(config => {
+      if (config.headers && typeof config.headers.delete === 'function') {
+        config.headers.delete('If-None-Match');
+        config.headers.delete('If-Modified-Since');
+      }
+      return config;
+    });
+
+    instance.interceptors.response.use(
+      response => {
+        this.recordHttp(response.config, response);
+        return response;
+      },
+      error => {
+        if (error.config) {
+          this.recordHttp(error.config, error.response, error);
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  recordHttp(config, response, error = null) {
+    const key = this.httpKey(config);
+
+    if (!response) {
+      this.save('http', hostLabel(key.url), key, { error: { message: error.message, code: error.code || null } });
+      return;
+    }
+
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      const value = response.headers && response.headers[name];
+      if (value) {
+        headers[name] = String(value);
+      }
+    }
+
+    this.save('http', hostLabel(key.url), key, {
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        finalUrl: (response.request && response.request.res && response.request.res.responseUrl) || key.url,
+        data: response.data
+      }
+    });
+  }
+
+  async replayHttp(config) {
+    const key = this.httpKey(config);
+    const recorded = this.load('http', hostLabel(key.url), key);
+
+    if (recorded.error) {
+      throw this.toError(recorded.error);
+    }
+
+    const { status, statusText, headers, finalUrl, data } = recorded.response;
+    const request = { res: { responseUrl: finalUrl } };
+    const response = { data, status, statusText, headers, config, request };
+
+    if (config.validateStatus && !config.validateStatus(status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        request,
+        response
+      );
+    }
+
+    return response;
+  }
+}
+
+module.exports = new FixtureRecorder();
+module.exports.FIXTURE_MODES = FIXTURE_MODES;
+module.exports.stableStringify = stableStringify;
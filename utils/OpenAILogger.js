@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const FixtureRecorder = require('./FixtureRecorder');
+const LLMCacheService = require('../services/LLMCacheService');
+const LLMBudgetService = require('../services/LLMBudgetService');
 
 class OpenAILogger {
   constructor() {
@@ -95,8 +98,54 @@ class OpenAILogger {
     }
   }
 
+  // 缓存读写失败时不影响调用本身
+  async getCachedResponse(operation, params) {
+    try {
+      return await LLMCacheService.get(operation, params);
+    } catch (error) {
+      console.error('LLM cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async cacheResponse(operation, params, response) {
+    try {
+      await LLMCacheService.set(operation, params, response);
+    } catch (error) {
+      console.error('LLM cache write failed:', error.message);
+    }
+  }
+
+  // 用量记录失败时不影响调用本身，返回本次费用
+  async recordUsage(operation, model, usage) {
+    try {
+      return await LLMBudgetService.recordUsage(operation, model, usage);
+    } catch (error) {
+      console.error('LLM usage recording failed:', error.message);
+      return null;
+    }
+  }
+
+  // 结构化输出校验失败：记入日志文件，按操作统计失败次数
+  async logValidationFailure(operation, content, errors, metadata = {}) {
+    try {
+      console.warn(`⚠️  OpenAI ${operation} 输出未通过校验: ${errors.slice(0, 3).join('; ')}`);
+
+      const logEntry = this.formatLogEntry('openai_validation_error', operation, { content }, { errors }, metadata);
+
+      fs.appendFile(this.openaiLogFile, logEntry, (err) => {
+        if (err) {
+          console.error('Failed to write OpenAI validation log to file:', err);
+        }
+      });
+    } catch (error) {
+      console.error('Error in OpenAI validation logging:', error);
+    }
+  }
+
   // Helper method to wrap OpenAI calls with logging
-  async loggedOpenAICall(openai, operation, params, metadata = {}) {
+  // options.validate 返回 false 的响应（如未通过校验的结构化输出）不缓存，已缓存的也不再使用
+  async loggedOpenAICall(openai, operation, params, metadata = {}, options = {}) {
     const startTime = Date.now();
     
     try {
@@ -110,9 +159,20 @@ class OpenAILogger {
         ...params
       };
 
+      // 相同模型、提示词和参数的请求直接返回缓存的响应
+      const cached = await this.getCachedResponse(operation, params);
+      if (cached && (!options.validate || options.validate(cached))) {
+        console.log(`💾 OpenAI ${operation} 命中缓存`);
+        return cached;
+      }
+
+      // 超出每日预算时不再调用（抛出 BUDGET_EXCEEDED 错误，由调用方降级处理）
+      await LLMBudgetService.assertBudget(operation);
+
       console.log(`\n🚀 Starting OpenAI ${operation}...`);
       
-      const response = await openai.chat.completions.create(params);
+      // 录制/回放模式下由夹具提供响应
+      const response = await FixtureRecorder.capture('openai', params, () => openai.chat.completions.create(params), operation);
       
       const endTime = Date.now();
       const duration = endTime - startTime;
@@ -129,18 +189,30 @@ class OpenAILogger {
         duration_ms: duration
       };
 
+      const cost = await this.recordUsage(operation, response.model || params.model, response.usage);
+
       await this.logOpenAICall(operation, input, output, {
         ...metadata,
         duration_ms: duration,
-        usage: response.usage
+        usage: response.usage,
+        cost
       });
 
+      if (!options.validate || options.validate(response)) {
+        await this.cacheResponse(operation, params, response);
+      }
+
       return response;
 
     } catch (error) {
       const endTime = Date.now();
       const duration = endTime - startTime;
 
+      if (error.code === 'BUDGET_EXCEEDED') {
+        console.warn(`💸 OpenAI ${operation} 已跳过: ${error.message}`);
+        throw error;
+      }
+
       await this.logOpenAIError(operation, {
         operation: 'chat.completions.create',
         model: params.model,
@@ -323,10 +395,12 @@ class OpenAILogger {
     try {
       const { logs } = this.getStructuredLogs(100);
       
+      const calls = logs.filter(log => log.type !== 'openai_validation_error');
       const analysis = {
-        totalCalls: logs.length,
+        totalCalls: calls.length,
         successfulCalls: logs.filter(log => log.type === 'openai_call').length,
         errorCalls: logs.filter(log => log.type === 'openai_error').length,
+        validationFailures: {},
         operationCounts: {},
         modelUsage: {},
         averageResponseTime: 0,
@@ -338,6 +412,12 @@ class OpenAILogger {
       let durationsCount = 0;
 
       logs.forEach(log => {
+        // 结构化输出校验失败按操作计数，不计入调用次数
+        if (log.type === 'openai_validation_error') {
+          analysis.validationFailures[log.operation] = (analysis.validationFailures[log.operation] || 0) + 1;
+          return;
+        }
+
         // Count operations
         if (log.operation) {
           analysis.operationCounts[log.operation] = (analysis.operationCounts[log.operation] || 0) + 1;
@@ -359,15 +439,19 @@ class OpenAILogger {
         if (log.metadata?.usage?.total_tokens) {
           analysis.totalTokens += log.metadata.usage.total_tokens;
         }
+
+        // 优先使用调用时按价格表计算的费用，旧日志按默认价格表估算
+        if (typeof log.metadata?.cost === 'number') {
+          analysis.costEstimate += log.metadata.cost;
+        } else if (log.metadata?.usage) {
+          analysis.costEstimate += LLMBudgetService.calculateCost(LLMBudgetService.DEFAULT_PRICING, model, log.metadata.usage);
+        }
       });
 
       if (durationsCount > 0) {
         analysis.averageResponseTime = Math.round(totalDuration / durationsCount);
       }
 
-      // Rough cost estimate (assuming GPT-3.5-turbo pricing)
-      analysis.costEstimate = (analysis.totalTokens / 1000) * 0.002; // $0.002 per 1K tokens
-
       return analysis;
     } catch (error) {
       console.error('Error analyzing log patterns:', error);
@@ -0,0 +1,30 @@
+/**
+ * 以有限并发处理列表，返回与输入顺序一致的结果（形如 Promise.allSettled）
+ * @param {Array} items
+ * @param {number} limit 最大并发数
+ * @param {Function} fn async (item, index) => value
+ * @returns {Promise<Array<{status: 'fulfilled', value}|{status: 'rejected', reason}>>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
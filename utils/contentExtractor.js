@@ -0,0 +1,299 @@
+// 文章正文提取：按段落文本量、标点和链接密度给 DOM 块打分，去掉导航、Cookie提示、相关链接等模板内容
+// 同时提取作者、头图、规范链接和字数；按域名配置的规则优先于启发式结果
+
+// 一定不是正文的标签
+const REMOVE_TAGS = 'script, style, noscript, iframe, form, nav, footer, aside, header, svg, button, select, template';
+
+// class/id 命中这些词的元素视为模板内容
+const BOILERPLATE_PATTERN = /cookie|consent|gdpr|banner|related|recommend|share|social|newsletter|subscribe|signup|promo|advert|\bads?\b|sponsor|comment|footer|sidebar|\bnav|menu|breadcrumb|popup|modal|paywall|outbrain|taboola|trending|most-?read|read-?more/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text|prose/i;
+
+// 正文块内保留的元素
+const TEXT_BLOCKS = 'p, h2, h3, h4, li, blockquote, pre';
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(value, baseUrl) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return new URL(value.trim(), baseUrl || undefined).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 统计字数：拉丁文字按单词计，中日韩文字按字计
+ */
+function countWords(text) {
+  const value = String(text || '');
+  const cjk = (value.match(/[぀-ヿ㐀-䶿一-鿿가-힯]/g) || []).length;
+  const words = (value
+    .replace(/[぀-ヿ㐀-䶿一-鿿가-힯]/g, ' ')
+    .match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || []).length;
+  return cjk + words;
+}
+
+function classWeight($el) {
+  const signature = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+  let weight = 0;
+  if (POSITIVE_PATTERN.test(signature)) {
+    weight += 25;
+  }
+  if (BOILERPLATE_PATTERN.test(signature)) {
+    weight -= 25;
+  }
+  return weight;
+}
+
+function linkDensity($, $el) {
+  const textLength = cleanText($el.text()).length;
+  if (textLength === 0) {
+    return 0;
+  }
+  const linkLength = $el.find('a').toArray().reduce((sum, a) => sum + cleanText($(a).text()).length, 0);
+  return linkLength / textLength;
+}
+
+// 去掉模板内容（保留 body/html 和正文规则命中的元素）
+function removeBoilerplate($, extraSelectors = []) {
+  $(REMOVE_TAGS).remove();
+  $('[aria-hidden="true"], [hidden], [role="navigation"], [role="complementary"], [role="dialog"]').remove();
+
+  for (const selector of extraSelectors) {
+    $(selector).remove();
+  }
+
+  const bodyLength = cleanText($('body').text()).length;
+
+  $('*').each((i, el) => {
+    const $el = $(el);
+    if (['html', 'body', 'article', 'main'].includes(el.tagName)) {
+      return;
+    }
+    const signature = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+    if (!signature.trim() || !BOILERPLATE_PATTERN.test(signature)) {
+      return;
+    }
+    // 包含页面大部分文字的容器（如 class="content-with-sidebar"）不是模板内容
+    if (cleanText($el.text()).length > bodyLength * 0.5) {
+      return;
+    }
+    $el.remove();
+  });
+}
+
+// 找出得分最高的正文容器
+function findContentRoot($) {
+  const scores = new Map();
+
+  $('p, pre, td').each((i, el) => {
+    const $el = $(el);
+    const text = cleanText($el.text());
+    if (text.length < 25) {
+      return;
+    }
+
+    // 基础分 + 标点数量 + 每100字1分（最多3分）
+    const score = 1 + (text.match(/[,，、。;；]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = $el.parent();
+    const grandparent = parent.parent();
+    for (const [node, share] of [[parent, 1], [grandparent, 0.5]]) {
+      const element = node.get(0);
+      if (!element || element.type !== 'tag') {
+        continue;
+      }
+      if (!scores.has(element)) {
+        scores.set(element, classWeight(node));
+      }
+      scores.set(element, scores.get(element) + score * share);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(element)));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  }
+
+  return best ? $(best) : null;
+}
+
+// 从正文容器中取段落文本，跳过链接为主的短块
+function collectText($, $root) {
+  const blocks = $root.find(TEXT_BLOCKS).toArray();
+  const texts = [];
+
+  for (const el of blocks) {
+    const $el = $(el);
+    // 嵌套的块（li 中的 p 等）由内层处理
+    if ($el.find(TEXT_BLOCKS).length > 0) {
+      continue;
+    }
+
+    const text = cleanText($el.text());
+    if (!text) {
+      continue;
+    }
+    if (text.length < 80 && linkDensity($, $el) > 0.5) {
+      continue;
+    }
+    texts.push(text);
+  }
+
+  if (texts.length === 0) {
+    const text = cleanText($root.text());
+    return text ? [text] : [];
+  }
+
+  return texts;
+}
+
+function parseJsonLd($) {
+  const items = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const queue = Array.isArray(data) ? [...data] : [data];
+      while (queue.length > 0) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') {
+          continue;
+        }
+        items.push(item);
+        if (Array.isArray(item['@graph'])) {
+          queue.push(...item['@graph']);
+        }
+      }
+    } catch {
+      // 忽略格式错误的 JSON-LD
+    }
+  });
+
+  return items.filter(item => /Article|NewsArticle|BlogPosting|Report/.test([].concat(item['@type'] || []).join(' ')));
+}
+
+function firstName(value) {
+  const list = [].concat(value || []);
+  for (const item of list) {
+    const name = typeof item === 'string' ? item : item && item.name;
+    if (name && cleanText(name)) {
+      return cleanText(name);
+    }
+  }
+  return null;
+}
+
+function extractAuthor($, jsonLd) {
+  for (const item of jsonLd) {
+    const name = firstName(item.author);
+    if (name) {
+      return name;
+    }
+  }
+
+  const candidates = [
+    $('meta[name="author"]').attr('content'),
+    $('meta[property="article:author"]').attr('content'),
+    $('meta[name="byl"]').attr('content'),
+    $('[rel="author"]').first().text(),
+    $('[itemprop="author"] [itemprop="name"]').first().text() || $('[itemprop="author"]').first().text(),
+    $('.byline, .author, .article-author').first().text()
+  ];
+
+  for (const candidate of candidates) {
+    const value = cleanText(candidate).replace(/^(by|作者[:：]?)\s*/i, '');
+    // article:author 经常是作者主页链接
+    if (value && value.length <= 100 && !/^https?:\/\//.test(value)) {
+      return value;
+    }
+  }
+
+  return null;
+}
+
+function extractLeadImage($, jsonLd, baseUrl, $root) {
+  const candidates = [
+    $('meta[property="og:image"]').attr('content'),
+    $('meta[name="twitter:image"]').attr('content'),
+    ...jsonLd.map(item => {
+      const image = [].concat(item.image || [])[0];
+      return typeof image === 'string' ? image : image && image.url;
+    }),
+    $root ? $root.find('img[src]').first().attr('src') : null
+  ];
+
+  for (const candidate of candidates) {
+    const url = resolveUrl(candidate, baseUrl);
+    if (url && /^https?:/.test(url)) {
+      return url;
+    }
+  }
+
+  return null;
+}
+
+function extractCanonicalUrl($, baseUrl) {
+  return resolveUrl($('link[rel="canonical"]').attr('href'), baseUrl) ||
+    resolveUrl($('meta[property="og:url"]').attr('content'), baseUrl);
+}
+
+/**
+ * 提取文章正文和元数据
+ * @param {CheerioAPI} $ 已加载的页面（会被修改）
+ * @param {object} options url（用于解析相对地址），rule（域名规则：content、remove、author、image）
+ * @returns {{content: string, author: string|null, leadImage: string|null, canonicalUrl: string|null, wordCount: number}}
+ */
+function extractArticle($, { url = null, rule = null } = {}) {
+  // 元数据在删除模板内容之前读取
+  const jsonLd = parseJsonLd($);
+  const canonicalUrl = extractCanonicalUrl($, url);
+  let author = rule && rule.author ? cleanText($(rule.author).first().text()) || null : null;
+  author = author || extractAuthor($, jsonLd);
+  const ruleImage = rule && rule.image ? $(rule.image).first() : null;
+  const ruleImageUrl = ruleImage && ruleImage.length > 0
+    ? resolveUrl(ruleImage.attr('content') || ruleImage.attr('src'), url)
+    : null;
+
+  removeBoilerplate($, (rule && rule.remove) || []);
+
+  let texts = [];
+  let $root = null;
+
+  if (rule && rule.content) {
+    $root = $(rule.content);
+    if ($root.length > 0) {
+      texts = $root.toArray().flatMap(el => collectText($, $(el)));
+    }
+  }
+
+  if (texts.length === 0) {
+    $root = findContentRoot($);
+    texts = $root ? collectText($, $root) : [];
+  }
+
+  const content = texts.join('\n');
+
+  return {
+    content,
+    author,
+    leadImage: ruleImageUrl || extractLeadImage($, jsonLd, url, $root),
+    canonicalUrl,
+    wordCount: countWords(content)
+  };
+}
+
+module.exports = {
+  extractArticle,
+  countWords
+};
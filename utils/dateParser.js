@@ -0,0 +1,103 @@
+// 新闻发布时间解析：统一 RSS/Atom/NewsAPI/Finnhub 等来源的时间格式并转换为 UTC ISO 字符串
+
+// V8 无法识别的常见时区缩写（单位：分钟）
+const TIMEZONE_OFFSETS = {
+  BST: 60,
+  CET: 60,
+  CEST: 120,
+  EET: 120,
+  EEST: 180,
+  IST: 330,
+  HKT: 480,
+  SGT: 480,
+  JST: 540,
+  KST: 540,
+  AEST: 600,
+  AEDT: 660
+};
+
+// 早于该时间的发布时间视为无效
+const MIN_VALID_TIME = Date.UTC(1995, 0, 1);
+// 允许的未来时间偏差（源站时钟或时区错误）
+const MAX_FUTURE_SKEW_MS = 24 * 60 * 60 * 1000;
+
+function formatOffset(minutes) {
+  const sign = minutes >= 0 ? '+' : '-';
+  const abs = Math.abs(minutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mins = String(abs % 60).padStart(2, '0');
+  return `${sign}${hours}:${mins}`;
+}
+
+function parseToTimestamp(value, defaultOffset) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  // Unix时间戳：Finnhub 使用秒，部分接口使用毫秒
+  if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+    const num = Number(value);
+    return num < 1e12 ? num * 1000 : num;
+  }
+
+  let text = String(value).trim();
+
+  // 中文日期：2024年01月15日 10:30
+  text = text
+    .replace(/(\d{4})年(\d{1,2})月(\d{1,2})日\s*/, (_, y, m, d) =>
+      `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')} `)
+    .trim();
+
+  // 不带时区的日期时间（2024-01-15 10:30:00），按默认时区处理
+  const naive = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/.exec(text);
+  if (naive) {
+    const [, y, m, d, hh = '00', mm = '00', ss = '00'] = naive;
+    const iso = `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}T${hh.padStart(2, '0')}:${mm}:${ss}`;
+    return Date.parse(`${iso}${formatOffset(defaultOffset)}`);
+  }
+
+  // 替换 V8 不认识的时区缩写
+  const tzMatch = /\s([A-Z]{3,4})$/.exec(text);
+  if (tzMatch && TIMEZONE_OFFSETS[tzMatch[1]] !== undefined) {
+    const offset = TIMEZONE_OFFSETS[tzMatch[1]];
+    text = text.slice(0, tzMatch.index) + ' ' + formatOffset(offset).replace(':', '');
+  }
+
+  return Date.parse(text);
+}
+
+/**
+ * 将来源提供的发布时间规范化为 UTC ISO 字符串
+ * 支持 RFC 822（RSS pubDate）、ISO 8601（Atom/NewsAPI）、Unix 时间戳（Finnhub）和常见中文格式
+ * @param {string|number|Date} value 原始发布时间
+ * @param {Object} options defaultOffset: 不带时区时使用的偏移（分钟，默认UTC）; now: 当前时间
+ * @returns {string|null} 无法解析或明显不合理时返回 null
+ */
+function normalizePublishedAt(value, options = {}) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const { defaultOffset = 0, now = new Date() } = options;
+
+  let timestamp;
+  try {
+    timestamp = parseToTimestamp(value, defaultOffset);
+  } catch {
+    return null;
+  }
+
+  if (!Number.isFinite(timestamp)) {
+    return null;
+  }
+
+  if (timestamp < MIN_VALID_TIME || timestamp > now.getTime() + MAX_FUTURE_SKEW_MS) {
+    return null;
+  }
+
+  return new Date(timestamp).toISOString();
+}
+
+module.exports = {
+  normalizePublishedAt
+};
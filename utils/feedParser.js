@@ -0,0 +1,131 @@
+// Atom / JSON Feed 解析：显式处理 updated、author、category，不依赖 rss-parser 的字段推断
+const cheerio = require('cheerio');
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+
+/**
+ * 判断订阅内容格式
+ * @returns {'jsonfeed'|'atom'|'rss'}
+ */
+function detectFeedFormat(body) {
+  if (body && typeof body === 'object') {
+    return 'jsonfeed';
+  }
+
+  const text = String(body || '').replace(/^﻿/, '').trimStart();
+
+  if (text.startsWith('{')) {
+    return 'jsonfeed';
+  }
+
+  // 根元素为 <feed>（可能带命名空间前缀）
+  const root = /<(?!\?|!)([\w.-]+:)?([\w.-]+)[\s>]/.exec(text);
+  if (root && root[2] === 'feed' && text.includes(ATOM_NAMESPACE)) {
+    return 'atom';
+  }
+
+  return 'rss';
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// 去掉HTML标签，用于摘要
+function stripHtml(html) {
+  if (!html) {
+    return '';
+  }
+  return cleanText(cheerio.load(`<div>${html}</div>`)('div').text());
+}
+
+/**
+ * 解析 Atom 1.0
+ * @returns {{title: string, items: Array}} items: guid, title, url, description, publishedAt, updatedAt, author, categories
+ */
+function parseAtom(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const feedAuthors = $('feed > author > name').map((i, el) => cleanText($(el).text())).get();
+
+  const items = $('feed > entry').map((i, el) => {
+    const entry = $(el);
+
+    // rel="alternate"（或未声明rel）的链接是文章地址
+    const links = entry.children('link');
+    const alternate = links.filter((j, link) => !$(link).attr('rel') || $(link).attr('rel') === 'alternate').first();
+    const url = alternate.attr('href') || links.first().attr('href') || null;
+
+    const authors = entry.children('author').map((j, author) => cleanText($(author).children('name').text())).get()
+      .filter(Boolean);
+
+    const categories = entry.children('category')
+      .map((j, category) => $(category).attr('label') || $(category).attr('term'))
+      .get()
+      .filter(Boolean);
+
+    const summary = entry.children('summary').text() || entry.children('content').text();
+    const updated = cleanText(entry.children('updated').text()) || null;
+
+    return {
+      guid: cleanText(entry.children('id').text()) || url,
+      title: stripHtml(entry.children('title').text()),
+      url,
+      description: stripHtml(summary).substring(0, 1000),
+      // Atom 要求 updated，published 可选；没有 published 时以 updated 作为发布时间
+      publishedAt: cleanText(entry.children('published').text()) || updated,
+      updatedAt: updated,
+      author: (authors.length > 0 ? authors : feedAuthors).join(', ') || null,
+      categories
+    };
+  }).get();
+
+  return {
+    title: cleanText($('feed > title').first().text()),
+    items
+  };
+}
+
+/**
+ * 解析 JSON Feed 1.1（兼容 1.0 的 author 字段）
+ */
+function parseJsonFeed(body) {
+  const feed = typeof body === 'object' ? body : JSON.parse(String(body).replace(/^﻿/, ''));
+
+  if (!feed || !/^https:\/\/jsonfeed\.org\/version\/1(\.1)?$/.test(feed.version || '') || !Array.isArray(feed.items)) {
+    throw new Error('Feed not recognized as JSON Feed');
+  }
+
+  const authorNames = (authors, author) =>
+    (Array.isArray(authors) ? authors : author ? [author] : [])
+      .map(item => item && item.name)
+      .filter(Boolean);
+
+  const feedAuthors = authorNames(feed.authors, feed.author);
+
+  const items = feed.items.map(item => {
+    const itemAuthors = authorNames(item.authors, item.author);
+    const text = item.content_text || stripHtml(item.content_html);
+
+    return {
+      guid: item.id !== undefined ? String(item.id) : item.url,
+      title: cleanText(item.title) || cleanText(text).substring(0, 120),
+      url: item.url || item.external_url || null,
+      description: cleanText(item.summary || text).substring(0, 1000),
+      publishedAt: item.date_published || item.date_modified || null,
+      updatedAt: item.date_modified || null,
+      author: (itemAuthors.length > 0 ? itemAuthors : feedAuthors).join(', ') || null,
+      categories: Array.isArray(item.tags) ? item.tags.map(String) : []
+    };
+  });
+
+  return {
+    title: cleanText(feed.title),
+    items
+  };
+}
+
+module.exports = {
+  detectFeedFormat,
+  parseAtom,
+  parseJsonFeed
+};
@@ -0,0 +1,103 @@
+// 新闻指纹：用于识别不同来源转载的同一篇报道（标题词集合相似度 + 正文 SimHash）
+const crypto = require('crypto');
+const { containsCJK, segmentWords } = require('./language');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with',
+  'from', 'as', 'is', 'are', 'was', 'were', 'be', 'its', 'it', 'this', 'that', 'after', 'says'
+]);
+
+// 标题尾部的来源后缀，例如 "... - CNBC"、"... | Reuters"
+const TITLE_SUFFIX_PATTERN = /\s+[-|–—]\s+[^-|–—]{1,40}$/;
+
+// 中文没有空格分隔，连续的汉字再按词切分
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9一-龥$%.]+/g, ' ')
+    .split(/\s+/)
+    .flatMap(token => (containsCJK(token) ? segmentWords(token) : [token]))
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+// 去掉来源后缀后的标题词集合
+function titleTokens(title) {
+  const stripped = String(title || '').replace(TITLE_SUFFIX_PATTERN, '');
+  return new Set(tokenize(stripped));
+}
+
+function jaccard(setA, setB) {
+  if (setA.size === 0 || setB.size === 0) {
+    return 0;
+  }
+
+  let intersection = 0;
+  for (const item of setA) {
+    if (setB.has(item)) {
+      intersection++;
+    }
+  }
+
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+// 连续 k 个词组成的片段（shingle）
+function shingles(tokens, k = 3) {
+  if (tokens.length < k) {
+    return tokens.length > 0 ? [tokens.join(' ')] : [];
+  }
+
+  const result = [];
+  for (let i = 0; i <= tokens.length - k; i++) {
+    result.push(tokens.slice(i, i + k).join(' '));
+  }
+  return result;
+}
+
+/**
+ * 计算文本的 64 位 SimHash
+ * @param {string} text
+ * @returns {string|null} 16位十六进制字符串，文本过短时返回 null
+ */
+function simhash(text) {
+  const features = shingles(tokenize(text));
+  if (features.length === 0) {
+    return null;
+  }
+
+  const weights = new Array(64).fill(0);
+  for (const feature of features) {
+    const hash = BigInt('0x' + crypto.createHash('md5').update(feature).digest('hex').substring(0, 16));
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) {
+      fingerprint |= 1n << BigInt(bit);
+    }
+  }
+
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt('0x' + hashA) ^ BigInt('0x' + hashB);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = {
+  tokenize,
+  titleTokens,
+  jaccard,
+  simhash,
+  hammingDistance
+};
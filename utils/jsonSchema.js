@@ -0,0 +1,103 @@
+// JSON Schema 子集校验：支持 type、properties、required、items、enum、minimum、maximum、minItems、maxItems
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * 按 schema 校验数据
+ * @returns {string[]} 错误信息（如 "$.recommendations[0] must be string"），为空表示通过
+ */
+function validateSchema(schema, value, path = '$') {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [`${path} must be ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 从模型回复中解析 JSON：去掉 markdown 代码块标记，前后有多余文字时截取第一个 { 到最后一个 }
+ * @returns {*} 解析结果，无法解析时抛出 SyntaxError
+ */
+function parseJsonContent(content) {
+  const text = String(content || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+// 按 schema 的字段类型生成空值，再用 values 覆盖，保证降级结果与正常结果结构一致
+// 降级结果同样按 schema 校验，不符合时抛出错误（属于代码问题）
+function buildFallback(schema, values = {}) {
+  const empty = { string: () => '', number: () => 0, integer: () => 0, boolean: () => false, array: () => [], object: () => ({}) };
+  const result = {};
+
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    result[key] = empty[propertySchema.type] ? empty[propertySchema.type]() : null;
+  }
+
+  const fallback = { ...result, ...values };
+  const errors = validateSchema(schema, fallback);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fallback: ${errors.join('; ')}`);
+  }
+
+  return fallback;
+}
+
+module.exports = {
+  validateSchema,
+  parseJsonContent,
+  buildFallback
+};
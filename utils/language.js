@@ -0,0 +1,60 @@
+// 语言识别与中文分词：新闻按中日韩文字与拉丁字母的比例区分中文/英文，中文按词切分
+
+const CJK_PATTERN = /[㐀-䶿一-鿿豈-﫿]/;
+const CJK_GLOBAL_PATTERN = /[㐀-䶿一-鿿豈-﫿]/g;
+const LATIN_WORD_PATTERN = /[A-Za-z]+/g;
+
+// 支持的新闻语言
+const LANGUAGES = ['zh', 'en'];
+
+// 汉字每两个字折算为一个词，与英文单词数比较，汉字占比达到该值视为中文
+const CJK_RATIO_THRESHOLD = 0.3;
+
+const zhSegmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+
+function containsCJK(text) {
+  return CJK_PATTERN.test(String(text || ''));
+}
+
+/**
+ * 识别文本语言
+ * @param {string} text 标题和正文
+ * @returns {string|null} zh、en，无法识别（没有文字）时返回 null
+ */
+function detectLanguage(text) {
+  const value = String(text || '');
+  const cjk = (value.match(CJK_GLOBAL_PATTERN) || []).length;
+  const latin = (value.match(LATIN_WORD_PATTERN) || []).length;
+
+  if (cjk + latin === 0) {
+    return null;
+  }
+
+  return cjk / 2 / (cjk / 2 + latin) >= CJK_RATIO_THRESHOLD ? 'zh' : 'en';
+}
+
+/**
+ * 切分词语：中文使用 Node 内置 ICU 词典分词，英文和数字按单词切分
+ * @returns {string[]}
+ */
+function segmentWords(text) {
+  return [...zhSegmenter.segment(String(text || ''))]
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
+}
+
+// 拆分关键词列表，支持中英文逗号、顿号和分号
+function splitKeywords(value) {
+  return String(value || '')
+    .split(/[,，、;；]/)
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  LANGUAGES,
+  containsCJK,
+  detectLanguage,
+  segmentWords,
+  splitKeywords
+};
@@ -0,0 +1,130 @@
+// 将用户输入的搜索语法转换为安全的 SQLite FTS5 查询
+// 支持："短语"、AND、OR、NOT、-排除词、前缀匹配 term*、括号分组；未写运算符的词之间默认为 AND
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+function quote(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+function tokenize(input) {
+  const tokens = [];
+  const pattern = /"([^"]*)"?|(\()|(\))|(-?)([^\s()"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) {
+        tokens.push({ type: 'term', value: quote(match[1].trim()) });
+      }
+    } else if (match[2]) {
+      tokens.push({ type: 'open' });
+    } else if (match[3]) {
+      tokens.push({ type: 'close' });
+    } else {
+      const negate = match[4] === '-';
+      const word = match[5];
+
+      if (!negate && OPERATORS.has(word)) {
+        tokens.push({ type: 'op', value: word });
+        continue;
+      }
+
+      // 去掉词两端的标点，保留前缀通配符
+      const prefix = word.endsWith('*');
+      const text = word.replace(/\*+$/, '').replace(/^[^\p{L}\p{N}$]+|[^\p{L}\p{N}]+$/gu, '');
+      if (!text) {
+        continue;
+      }
+
+      if (negate) {
+        tokens.push({ type: 'op', value: 'NOT' });
+      }
+      tokens.push({ type: 'term', value: quote(text) + (prefix ? '*' : '') });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * @param {string} input 用户输入
+ * @returns {string|null} FTS5 MATCH 表达式，没有有效检索词时返回 null
+ */
+function buildFtsQuery(input) {
+  const tokens = tokenize(String(input || ''));
+  const output = [];
+  // 开头的排除词（"-crypto stocks"、"NOT x AND y"），FTS5 的 NOT 需要左操作数，移到末尾处理
+  const exclusions = [];
+  let negateNext = false;
+  let depth = 0;
+
+  const last = () => output[output.length - 1];
+  const expectsOperand = () => output.length === 0 || ['op', 'open'].includes(last().type);
+
+  for (const token of tokens) {
+    if (token.type === 'term') {
+      if (negateNext) {
+        exclusions.push(token.value);
+        negateNext = false;
+        continue;
+      }
+      if (!expectsOperand()) {
+        output.push({ type: 'op', value: 'AND' });
+      }
+      output.push(token);
+    } else if (token.type === 'open') {
+      if (!expectsOperand()) {
+        output.push({ type: 'op', value: 'AND' });
+      }
+      output.push(token);
+      depth++;
+    } else if (token.type === 'close') {
+      if (depth === 0) {
+        continue;
+      }
+      // 空括号或以运算符结尾的括号
+      while (last() && last().type === 'op') {
+        output.pop();
+      }
+      if (last() && last().type === 'open') {
+        output.pop();
+      } else {
+        output.push(token);
+      }
+      depth--;
+    } else if (!expectsOperand()) {
+      output.push(token);
+    } else if (token.value === 'NOT' && output.length > 0 && last().type === 'op') {
+      // "a AND NOT b" 在 FTS5 中写作 "a NOT b"
+      output[output.length - 1] = token;
+    } else if (token.value === 'NOT') {
+      negateNext = true;
+    }
+    // 开头的 AND/OR 无法表达，忽略
+  }
+
+  while (last() && ['op', 'open'].includes(last().type)) {
+    if (output.pop().type === 'open') {
+      depth--;
+    }
+  }
+
+  if (!output.some(token => token.type === 'term')) {
+    return null;
+  }
+
+  const expression = output
+    .map(token => (token.type === 'open' ? '(' : token.type === 'close' ? ')' : token.value))
+    .join(' ') + ')'.repeat(depth);
+
+  if (exclusions.length === 0) {
+    return expression;
+  }
+
+  return `(${expression})` + exclusions.map(term => ` NOT ${term}`).join('');
+}
+
+module.exports = {
+  buildFtsQuery
+};
@@ -0,0 +1,90 @@
+// 新闻链接规范化：去掉跟踪参数、锚点、AMP 变体等，用作去重键
+
+// 跟踪/来源参数（小写比较）
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  'cmpid', 'cmp', 'ncid', 'ocid', 'icid', 'sr_share', 'taid', 'yptr', 'soc_src', 'soc_trk',
+  'guccounter', 'guce_referrer', 'guce_referrer_sig', '_ga', '_gl', 'ref', 'ref_src', 'referrer',
+  'src', 'source', 'via', 'mod', 'rss', 'feed', 'feedtype', 'siteid', 'partner', 'smid', 'smtyp',
+  'share', 'from', 'spm', 'amp', 'outputtype'
+]);
+
+// 以这些前缀开头的参数一律视为跟踪参数
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_', 'at_', 'ito'];
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * 规范化新闻链接
+ * - 协议统一为 https，主机名小写并去掉 www./m./amp. 前缀
+ * - 去掉锚点、跟踪参数，其余参数按名称排序
+ * - 去掉 AMP 路径变体（/amp、/amp/、.amp.html）和末尾斜杠
+ * 非 http(s) 地址（如推送新闻的 urn:）原样返回
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return String(url).trim();
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return parsed.href;
+  }
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www\d*|m|amp|mobile)\./, '');
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = '';
+  for (const [name, value] of params) {
+    parsed.searchParams.append(name, value);
+  }
+
+  let pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\.amp(\.html?)$/i, '$1')
+    .replace(/\/index\.html?$/i, '/');
+  if (pathname.length > 1) {
+    pathname = pathname.replace(/\/+$/, '');
+  }
+  parsed.pathname = pathname;
+
+  return parsed.href;
+}
+
+/**
+ * 页面声明的 rel=canonical 是否可信：指向首页或栏目根路径的通常是站点模板错误
+ */
+function isUsableCanonical(canonicalUrl, pageUrl) {
+  try {
+    const canonical = new URL(canonicalUrl);
+    if (!['http:', 'https:'].includes(canonical.protocol)) {
+      return false;
+    }
+    const page = new URL(pageUrl);
+    return !(canonical.pathname.replace(/\/+$/, '') === '' && page.pathname.replace(/\/+$/, '') !== '');
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  normalizeUrl,
+  isUsableCanonical
+};